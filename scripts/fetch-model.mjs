@@ -0,0 +1,26 @@
+// scripts/fetch-model.mjs
+// Downloads the on-device embedding model into models/ so the build can package it:
+//
+//   node scripts/fetch-model.mjs
+//
+// Run by `npm run build`. Files already there are kept, so this only needs the network once.
+import { mkdir, stat, writeFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+
+// Must match EMBEDDING_MODEL in src/utils/embeddings.js; model_quantized.onnx is its 'q8' weights
+const MODEL = 'Xenova/all-MiniLM-L6-v2';
+const FILES = ['config.json', 'tokenizer.json', 'tokenizer_config.json', 'onnx/model_quantized.onnx'];
+const directory = join('models', MODEL);
+
+const exists = (path) => stat(path).then(() => true, () => false);
+
+for (const file of FILES) {
+  const path = join(directory, file);
+  if (await exists(path)) continue;
+  const url = `https://huggingface.co/${MODEL}/resolve/main/${file}`;
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`${url} returned ${response.status}`);
+  await mkdir(dirname(path), { recursive: true });
+  await writeFile(path, Buffer.from(await response.arrayBuffer()));
+  console.log(`Fetched ${path}`);
+}
@@ -0,0 +1,92 @@
+// scripts/sync-server.mjs
+// Minimal sync server for trying the WebDAV / HTTP sync backend locally:
+//
+//   node scripts/sync-server.mjs [port] [directory]
+//
+// then set the sync URL to http://localhost:8787/ in Settings. Files are kept in `directory`
+// (default ./.sync-data). Supports GET and PUT with ETag, If-Match and If-None-Match, which is
+// all the backend uses. Set SYNC_USER and SYNC_PASSWORD to require basic auth.
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { pathToFileURL } from 'node:url';
+
+const etagOf = (body) => `"${createHash('sha256').update(body).digest('hex').slice(0, 32)}"`;
+
+async function readStored(path) {
+  try {
+    return await readFile(path);
+  } catch {
+    return null;
+  }
+}
+
+// The file a request is for: the last path segment. A segment that decodes to a path of its own
+// ("..%2F..%2Fetc%2Fpasswd") is refused rather than flattened, so nothing outside `directory` is reachable.
+function fileNameOf(url) {
+  const segments = new URL(url, 'http://localhost').pathname.split('/').map(decodeURIComponent);
+  if (segments.some(segment => /[/\\\0]/.test(segment) || segment === '..')) return null;
+  return segments[segments.length - 1] || 'index.json';
+}
+
+// Also used by the tests, which run it on a temporary directory
+export function createSyncServer(directory, { user, password } = {}) {
+  function authorized(req) {
+    if (!user) return true;
+    const expected = `Basic ${Buffer.from(`${user}:${password || ''}`).toString('base64')}`;
+    return req.headers.authorization === expected;
+  }
+
+  async function handle(req, send) {
+    const name = fileNameOf(req.url);
+    if (!name) return send(400, 'Bad file name');
+    const path = join(directory, name);
+    if (!authorized(req)) return send(401, 'Unauthorized', { 'WWW-Authenticate': 'Basic realm="ai-tabrix"' });
+
+    const stored = await readStored(path);
+    const etag = stored && etagOf(stored);
+
+    if (req.method === 'GET') {
+      if (!stored) return send(404, 'Not found');
+      return send(200, stored, { 'Content-Type': 'application/json', ETag: etag });
+    }
+
+    if (req.method === 'PUT') {
+      const ifMatch = req.headers['if-match'];
+      const ifNoneMatch = req.headers['if-none-match'];
+      if ((ifMatch && ifMatch !== etag) || (ifNoneMatch === '*' && stored)) return send(412, 'Precondition failed');
+      const chunks = [];
+      for await (const chunk of req) chunks.push(chunk);
+      const body = Buffer.concat(chunks);
+      await mkdir(directory, { recursive: true });
+      await writeFile(path, body);
+      console.log(`${new Date().toISOString()} PUT ${name} (${body.length} bytes)`);
+      return send(stored ? 204 : 201, '', { ETag: etagOf(body) });
+    }
+
+    send(405, 'Method not allowed', { Allow: 'GET, PUT' });
+  }
+
+  return createServer(async (req, res) => {
+    const send = (status, body = '', headers = {}) => {
+      res.writeHead(status, headers);
+      res.end(body);
+    };
+    try {
+      await handle(req, send);
+    } catch (err) {
+      // A malformed escape in the path (URIError) is the client's fault; anything else is ours
+      console.error(`${new Date().toISOString()} ${req.method} ${req.url} failed:`, err.message);
+      if (!res.headersSent) send(err instanceof URIError ? 400 : 500, err instanceof URIError ? 'Bad request' : 'Server error');
+    }
+  });
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = Number(process.argv[2]) || 8787;
+  const directory = process.argv[3] || '.sync-data';
+  const { SYNC_USER, SYNC_PASSWORD } = process.env;
+  createSyncServer(directory, { user: SYNC_USER, password: SYNC_PASSWORD })
+    .listen(port, () => console.log(`Sync server on http://localhost:${port}/ storing files in ${directory}`));
+}
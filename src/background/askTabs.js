@@ -0,0 +1,51 @@
+// --- askTabs.js ---
+// Picks the most relevant rawText passages from remembered pages to ground "ask my tabs" answers.
+import { tokenize, stem, chunkText } from '../utils/textUtils.js';
+
+const PASSAGE_SIZE = 800;
+const PASSAGES_PER_PAGE = 2;
+const MAX_SOURCES = 6;
+const MAX_CONTEXT_CHARS = 6000;
+
+function termOverlap(queryTerms, text) {
+  const terms = tokenize(text).map(stem);
+  if (terms.length === 0) return 0;
+  let hits = 0;
+  terms.forEach(t => { if (queryTerms.has(t)) hits++; });
+  // Reward covering several query terms over repeating one
+  const distinct = new Set(terms.filter(t => queryTerms.has(t))).size;
+  return distinct * 2 + hits / Math.sqrt(terms.length);
+}
+
+// entries: candidate memory entries, best first. Returns numbered sources for citation.
+export function buildAskSources(question, entries) {
+  const queryTerms = new Set(tokenize(question).map(stem));
+  const sources = [];
+  let budget = MAX_CONTEXT_CHARS;
+
+  for (const entry of entries) {
+    if (sources.length >= MAX_SOURCES || budget <= 0) break;
+
+    const chunks = chunkText(entry.rawText || entry.tabNote || '', PASSAGE_SIZE);
+    const best = chunks
+      .map((text, i) => ({ text, i, score: termOverlap(queryTerms, text) }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, PASSAGES_PER_PAGE)
+      .sort((a, b) => a.i - b.i) // keep page order within a source
+      .map(c => c.text);
+
+    const passage = best.join('\n…\n').substring(0, budget);
+    if (!passage.trim()) continue;
+    budget -= passage.length;
+
+    sources.push({
+      n: sources.length + 1,
+      url: entry.url,
+      title: entry.title || entry.url,
+      tabId: entry.tabId ?? null,
+      status: entry.status,
+      passage,
+    });
+  }
+  return sources;
+}
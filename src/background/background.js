@@ -1,5 +1,5 @@
 // --- background.js ---
-import { loadTabs, saveTabs } from '../utils/storage.js';
+import { loadTabs, saveTab as writeTab, deleteTab, loadHistory, saveHistoryEntry, deleteHistoryEntry } from '../utils/storage.js';
 import {
   initAI,
   generateTabNote,
@@ -7,15 +7,55 @@ import {
   unifiedMemorySearch,
   getModelStatus,
   createAndMonitorSummarizer,
-  clusterTabsByTags
+  askTabsQuestion,
+  resetAskConversation,
+  getAskHistory,
+  isUsableNote,
+  getDefaultSummaryOptions,
+  normalizeSummaryOptions,
+  summaryOptionsKey,
+  DEFAULT_SUMMARY_OPTIONS,
+  normalizeTags,
+  getSummaryEngine,
+  getTagEngine,
+  closeAskSession
 } from '../utils/aiClient.js';
+import { ruleBasedTags } from '../utils/fallbackEngine.js';
+import { initSessions, listSessions, createSession, renameSession, removeSession, restoreSession, rewriteSessionTags, importSessions } from './sessions.js';
+import { buildArchive, parseArchive, renderExport, mergePage, mergeNotes, incomingWins, pickPage, CONFLICT_STRATEGIES } from '../utils/archive.js';
+import { initClusters, getClusters, runClustering, groupClusterTabs } from './clusters.js';
+import { buildAskSources } from './askTabs.js';
+import { initTaxonomy, getTaxonomy, getTaggingOptions, updateTaxonomy, rewriteTagList } from './taxonomy.js';
+import { initVectorIndex, indexPage, searchVectorIndex, removePageVectors, dropChunkVectors, getVectorIndexSize, hasPageVectors } from '../utils/vectorIndex.js';
+import { indexDocument, removeDocument, clearFullTextIndex, searchFullText, getSnippet, getFullTextIndexStats } from '../utils/fullTextIndex.js';
+import { loadRedactionSettings, saveRedactionSettings, getRedactionSettings, redactText, mergeRedactionCounts, REDACTION_CATEGORIES } from '../utils/redaction.js';
+import { initPrivacy, getPrivacySettings, updatePrivacySettings, checkCapture, isSitePaused, toggleSitePause, siteOf } from './privacy.js';
+import { parseSearchQuery, matchesQueryFilters, isFilterOnlyQuery, SEARCH_OPERATORS } from '../utils/queryParser.js';
+import { initJobQueue, enqueueJob, cancelJobsForTab, setActiveTab, getQueueStatus } from './jobQueue.js';
+import { initSummaryCache, lookupSummary, storeSummary, recordCacheEvent, resetSummaryCache, getCacheStats, rewriteCachedTags, forgetCachedSummaries, getCacheBytes } from './summaryCache.js';
+import { initRetention, getRetentionSettings, updateRetentionSettings, retentionAction, QUOTA_PRESSURE } from './retention.js';
+import { hashText, diffTextLines, byteLength } from '../utils/textUtils.js';
+import { getProviderSettings, saveProviderSettings, checkProviders } from '../utils/providers/index.js';
+import { loadSyncSettings, saveSyncSettings, getSyncSettings, getActiveSyncBackends, getSyncStatus, syncWith } from '../utils/sync/index.js';
+import { initVault, getVaultStatus, isVaultLocked, enableVault, disableVault, unlockVault, lockVault, setAutoLockMinutes, readLocal, writeLocal } from '../utils/vault.js';
 
 
 console.log("✅ Background service worker loaded and initialized.");
 
 let tabsStore = {};
+let historyStore = {};
+let notedUrls = new Set(); // pages with sticky notes, for has:note
 let isAiReady = false;
 
+// Same order as manifest.json: the extractor defines what content.js calls
+const CONTENT_SCRIPTS = ['src/content/extractor.js', 'src/content/noteAnchors.js', 'src/content/content.js'];
+const MAX_TOPIC_CORPUS = 50; // other pages compared against for fallback topic tags
+
+// Memory-only (incognito) records never reach IndexedDB
+function saveTab(record) {
+  return record.ephemeral ? Promise.resolve() : writeTab(record);
+}
+
 // --- Suppression Helper ---
 function suppressAsyncError() {
   return () => {
@@ -36,7 +76,7 @@ function injectScriptsIntoExistingTabs() {
         console.log(`Manually injecting content script into existing tab ID: ${tab.id}`);
         chrome.scripting.executeScript({
           target: { tabId: tab.id },
-          files: ['src/content/content.js']
+          files: CONTENT_SCRIPTS
         }).catch(err => {
           if (!err.message.includes("Cannot access contents") && !err.message.includes("The message port closed")) {
             console.error(`Error injecting into existing tab ${tab.id}:`, err);
@@ -47,127 +87,914 @@ function injectScriptsIntoExistingTabs() {
   });
 }
 
+// --- Closed Tab History ---
+// Move a tab record into the URL-keyed history so its summary and tags survive closing.
+async function archiveTabRecord(record) {
+  if (!record?.url || !record.url.startsWith('http')) return;
+  if (record.ephemeral) {
+    removeDocument(record.url);
+    return;
+  }
+
+  const previous = historyStore[record.url];
+  const hasNote = record.tabNote && record.tabNote !== "Generating...";
+  historyStore[record.url] = {
+    url: record.url,
+    title: record.title || previous?.title || "",
+    rawText: record.rawText || previous?.rawText || "",
+    metadata: record.metadata || previous?.metadata || null,
+    redactions: record.rawText ? (record.redactions || {}) : (previous?.redactions || {}),
+    redactedWith: record.rawText ? record.redactedWith : previous?.redactedWith,
+    contentHash: (record.rawText ? record.contentHash : previous?.contentHash) || null,
+    tabNote: hasNote ? record.tabNote : (previous?.tabNote || ""),
+    sections: hasNote ? (record.sections || []) : (previous?.sections || []),
+    summaryStyle: hasNote ? record.summaryStyle : previous?.summaryStyle,
+    noteEngine: hasNote ? record.noteEngine : previous?.noteEngine,
+    tagEngine: record.tags?.length ? record.tagEngine : previous?.tagEngine,
+    tags: record.tags?.length ? record.tags : (previous?.tags || []),
+    aiTags: record.aiTags || previous?.aiTags || [],
+    manualTags: record.manualTags || previous?.manualTags || null,
+    starred: !!record.starred,
+    totalTime: (previous?.totalTime || 0) + (record.totalTime || 0),
+    visitCount: (previous?.visitCount || 0) + 1,
+    closedAt: Date.now(),
+    lastUpdated: record.lastUpdated || Date.now(),
+  };
+  await saveHistoryEntry(historyStore[record.url]);
+}
+
+// Tab ids don't survive a browser restart: archive records whose tab is gone.
+async function archiveStaleTabs() {
+  const openTabs = await chrome.tabs.query({});
+  const openIds = new Set(openTabs.map(t => t.id));
+
+  for (const id of Object.keys(tabsStore)) {
+    const tabIdInt = parseInt(id);
+    if (openIds.has(tabIdInt)) continue;
+    await archiveTabRecord(tabsStore[id]);
+    delete tabsStore[id];
+    await deleteTab(tabIdInt);
+  }
+}
+
+// Open tabs plus closed-tab history, deduplicated by URL (an open tab wins).
+function getMemoryEntries() {
+  const openEntries = Object.values(tabsStore).map(t => ({ ...t, status: 'open' }));
+  const openUrls = new Set(openEntries.map(t => t.url));
+  const closedEntries = Object.values(historyStore)
+    .filter(h => !openUrls.has(h.url))
+    .map(h => ({ ...h, tabId: null, status: 'closed' }));
+  return [...openEntries, ...closedEntries];
+}
+
+// Entries for a session snapshot: every tab in a window, or every remembered page with a tag.
+async function collectSessionEntries(source) {
+  if (source?.type === 'window') {
+    const windowTabs = await chrome.tabs.query({ windowId: source.windowId });
+    return windowTabs.map(t => ({
+      ...(tabsStore[t.id] || {}),
+      url: t.url,
+      title: t.title,
+      pinned: t.pinned,
+      incognito: t.incognito,
+    }));
+  }
+  if (source?.type === 'tag') {
+    return getMemoryEntries().filter(e => e.tags?.includes(source.tag));
+  }
+  return [];
+}
+
+// Clusters with their (still open) tabs filled in for the side panel
+function getHydratedClusters() {
+  return getClusters()
+    .map(c => ({ ...c, tabs: c.tabIds.map(id => tabsStore[id]).filter(Boolean) }))
+    .filter(c => c.tabs.length > 0);
+}
+
+// Re-cluster every summarized open tab and record each tab's clusterId
+async function reclusterTabs() {
+  const tabs = Object.values(tabsStore).filter(t =>
+    t.url?.startsWith('http') && t.tabNote && t.tabNote !== "Generating..."
+  );
+  const clusters = await runClustering(tabs);
+
+  const clusterOf = {};
+  clusters.forEach(c => c.tabIds.forEach(id => { clusterOf[id] = c.id; }));
+  for (const tab of tabs) {
+    const clusterId = clusterOf[tab.tabId] || null;
+    if (tab.clusterId !== clusterId) {
+      tab.clusterId = clusterId;
+      await saveTab(tab);
+    }
+  }
+  return getHydratedClusters();
+}
+
+// Sticky notes for a page, flattened for the full-text index
+function stickyNotesText(notes = []) {
+  return notes.map(n => n.text || "").join("\n");
+}
+
+// --- PII Redaction ---
+// Captured text is redacted before it is stored or indexed; `redactions` is the per-page report
+// ({ category: count }) shown in Tab Notes. Prompts are redacted again in aiClient.js.
+
+// Records are marked with the categories they were checked for, so settings changes only redo what's new
+function redactionSignature() {
+  return Object.entries(getRedactionSettings().categories).filter(([, on]) => on).map(([c]) => c).sort().join(',');
+}
+
+function redactCapture({ title, bodyText, metadata }) {
+  const redactedTitle = redactText(title);
+  const redactedBody = redactText(bodyText);
+  const redactedDescription = redactText(metadata?.description);
+  return {
+    title: redactedTitle.text,
+    bodyText: redactedBody.text,
+    metadata: metadata ? { ...metadata, description: metadata.description && redactedDescription.text } : metadata,
+    redactions: mergeRedactionCounts(redactedTitle.counts, redactedBody.counts, redactedDescription.counts),
+    redactedWith: redactionSignature(),
+  };
+}
+
+// Redact stored records captured before redaction existed or before a category was enabled
+function redactRecord(record) {
+  const signature = redactionSignature();
+  if (record.redactedWith === signature) return false;
+  const counts = [];
+  ['title', 'rawText', 'tabNote'].forEach(field => {
+    if (!record[field]) return;
+    const { text, counts: found } = redactText(record[field]);
+    record[field] = text;
+    counts.push(found);
+  });
+  record.redactions = mergeRedactionCounts(record.redactions, ...counts);
+  record.redactedWith = signature;
+  return true;
+}
+
+async function redactStoredRecords() {
+  let updated = 0;
+  for (const record of Object.values(tabsStore)) {
+    if (redactRecord(record)) {
+      await saveTab(record);
+      updated++;
+    }
+  }
+  for (const entry of Object.values(historyStore)) {
+    if (redactRecord(entry)) {
+      await saveHistoryEntry(entry);
+      updated++;
+    }
+  }
+  if (updated) console.log(`[Redaction] 🛡️ Re-checked ${updated} stored page(s) for PII.`);
+  return updated;
+}
+
+// Build the BM25 index from everything remembered (open tabs, history, sticky notes)
+async function buildFullTextIndex() {
+  getMemoryEntries().forEach(e => indexDocument({
+    url: e.url,
+    title: e.title,
+    tabNote: e.tabNote,
+    rawText: e.rawText,
+  }));
+  const stickyNotes = await readLocal("stickyNotes", {});
+  Object.entries(stickyNotes).forEach(([url, notes]) => updateStickyNotesIndex(url, notes));
+}
+
+function updateStickyNotesIndex(url, notes = []) {
+  indexDocument({ url, notes: stickyNotesText(notes) });
+  if (notes.length) notedUrls.add(url);
+  else notedUrls.delete(url);
+}
+
+// Tag names and domains from memory, for search autocomplete
+function getSearchSuggestions() {
+  const tags = new Set();
+  const sites = new Set();
+  getMemoryEntries().forEach(e => {
+    (e.tags || []).forEach(tag => tags.add(tag));
+    try {
+      sites.add(new URL(e.url).hostname.replace(/^www\./, ''));
+    } catch {
+      // not a valid URL — nothing to suggest
+    }
+  });
+  return {
+    operators: SEARCH_OPERATORS,
+    tags: [...tags].sort(),
+    sites: [...sites].sort(),
+  };
+}
+
+// --- Tag Editing ---
+// Set a page's tags by hand (open tab by id, or closed page by URL). They survive re-tagging.
+async function setManualTags({ tabId, url, tags }) {
+  const clean = [...new Set((tags || []).map(t => t.trim()).filter(Boolean))];
+  const manualTags = clean.length ? clean : null; // empty list hands control back to the AI
+
+  const record = (tabId !== null && tabId !== undefined) ? tabsStore[tabId] : null;
+  if (record) {
+    record.manualTags = manualTags;
+    record.tags = manualTags || record.aiTags || [];
+    await saveTab(record);
+  } else if (url && historyStore[url]) {
+    historyStore[url].manualTags = manualTags;
+    historyStore[url].tags = manualTags || historyStore[url].aiTags || [];
+    await saveHistoryEntry(historyStore[url]);
+  }
+}
+
+// Starred pages are kept forever, whatever the retention rules say
+async function setStarred({ tabId, url, starred }) {
+  const record = (tabId !== null && tabId !== undefined) ? tabsStore[tabId] : null;
+  if (record) {
+    record.starred = !!starred;
+    await saveTab(record);
+  }
+  const entry = historyStore[record?.url || url];
+  if (entry) {
+    entry.starred = !!starred;
+    await saveHistoryEntry(entry);
+  }
+}
+
+// Rewrite renamed/merged/deleted tags across every stored record
+async function applyTagRewrites(rewrites) {
+  if (rewrites.size === 0) return;
+  const rewrite = (tags) => rewriteTagList(tags, rewrites);
+  const rewriteRecord = (record) => {
+    const before = JSON.stringify([record.tags, record.aiTags, record.manualTags]);
+    record.tags = rewrite(record.tags || []);
+    if (record.aiTags) record.aiTags = rewrite(record.aiTags);
+    if (record.manualTags) {
+      record.manualTags = rewrite(record.manualTags);
+      if (!record.manualTags.length) {
+        // No manual tags left: hand control back to the AI, as setManualTags does
+        record.manualTags = null;
+        record.tags = record.aiTags || [];
+      }
+    }
+    return before !== JSON.stringify([record.tags, record.aiTags, record.manualTags]);
+  };
+
+  for (const record of Object.values(tabsStore)) {
+    if (rewriteRecord(record)) await saveTab(record);
+  }
+  for (const entry of Object.values(historyStore)) {
+    if (rewriteRecord(entry)) await saveHistoryEntry(entry);
+  }
+  await rewriteSessionTags(rewrite);
+  await rewriteCachedTags(rewrite);
+}
+
 // --- Initialization ---
-async function initialize() {
+// Everything read from the stores the vault encrypts. Re-run when the vault locks (leaving it all empty)
+// or unlocks.
+async function loadMemory() {
   tabsStore = await loadTabs();
+  historyStore = await loadHistory();
+  await archiveStaleTabs();
+  await redactStoredRecords();
+  await initSessions();
+  await initClusters();
+  await initVectorIndex();
+  clearFullTextIndex();
+  notedUrls.clear();
+  await buildFullTextIndex();
+  await initSummaryCache();
+}
+
+async function initialize() {
+  await initVault();
+  await loadRedactionSettings();
+  await initTaxonomy();
+  await initPrivacy();
+  await initRetention();
+  await loadSyncSettings();
+  await loadMemory();
+  applyAutoLock();
+  await scheduleSync();
   isAiReady = await initAI();
+  const [activeTab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+  if (activeTab) setActiveTab(activeTab.id);
+  await initJobQueue({ summarize: summarizeTab, tag: tagTab }, {
+    onChange: (status) => chrome.runtime.sendMessage({ type: 'JOB_QUEUE_UPDATED', status }, suppressAsyncError()),
+  });
+  if (isAiReady || getTagEngine() === 'ai') backfillSummaries();
   injectScriptsIntoExistingTabs();
-  console.log(` Loaded ${Object.keys(tabsStore).length} tabs from storage. AI ready: ${isAiReady}`);
+  console.log(` Loaded ${Object.keys(tabsStore).length} tabs and ${Object.keys(historyStore).length} closed pages from storage. AI ready: ${isAiReady}. Vault locked: ${isVaultLocked()}`);
+}
+const initialized = initialize();
+
+// --- Vault ---
+// While the vault is locked nothing is captured and memory is empty; these messages would otherwise
+// write to (or wipe) encrypted data they can't see.
+const LOCKED_MESSAGES = new Set([
+  "UPDATE_TAXONOMY", "SET_TAB_TAGS", "SET_STARRED", "APPLY_RETENTION", "EXPORT_MEMORY", "IMPORT_MEMORY", "SYNC_NOW", "RECLUSTER_TABS", "SAVE_SESSION", "RENAME_SESSION", "DELETE_SESSION",
+  "RESUMMARIZE_TAB", "CLEAR_SUMMARY_CACHE", "ASK_TABS_QUESTION", "RESET_ASK_CONVERSATION",
+  "CREATE_STICKY_NOTE", "DELETE_STICKY_NOTE",
+]);
+
+function refuseWhileLocked(type, sendResponse) {
+  if (!isVaultLocked() || !LOCKED_MESSAGES.has(type)) return false;
+  sendResponse({ success: false, locked: true, error: "The vault is locked.", answer: null, sources: [] });
+  return true;
 }
-initialize();
 
-// --- AI Pipeline ---
-async function processTabContent(tabId, content) {
-  if (!tabId) {
-    console.warn("⚠️ processTabContent called without tabId:", content);
-    return;
+function broadcastVaultStatus() {
+  chrome.runtime.sendMessage({ type: 'VAULT_STATUS_CHANGED', status: getVaultStatus() }, suppressAsyncError());
+  chrome.runtime.sendMessage({ type: 'DATA_UPDATED' }, suppressAsyncError());
+}
+
+async function lockMemory(reason) {
+  await lockVault();
+  closeAskSession();
+  await loadMemory(); // only plaintext survives, i.e. nothing
+  broadcastVaultStatus();
+  console.log(`[Vault] 🔒 Locked (${reason})`);
+}
+
+async function unlockMemory(passphrase) {
+  await unlockVault(passphrase);
+  await loadMemory();
+  broadcastVaultStatus();
+  if (isAiReady || getTagEngine() === 'ai') backfillSummaries();
+  console.log(`[Vault] 🔓 Unlocked: ${Object.keys(tabsStore).length} tabs, ${Object.keys(historyStore).length} closed pages`);
+}
+
+// Lock after the configured idle time, and always when the screen locks.
+// 0 minutes means only on screen lock (and browser restarts, which drop the session key).
+function applyAutoLock() {
+  const { autoLockMinutes } = getVaultStatus();
+  chrome.idle.setDetectionInterval(Math.max(15, autoLockMinutes * 60)); // the idle API's minimum is 15s
+}
+
+chrome.idle.onStateChanged.addListener((state) => {
+  const { enabled, locked, autoLockMinutes } = getVaultStatus();
+  if (!enabled || locked) return;
+  if (state === 'locked' || (state === 'idle' && autoLockMinutes > 0)) {
+    lockMemory(state === 'locked' ? 'screen locked' : 'idle')
+      .catch(err => console.error("[Vault] ❌ Auto-lock failed:", err));
+  }
+});
+
+// --- Retention ---
+// Closed pages lose their full text, then their entry, as they age (see retention.js). Open tabs are
+// left alone, and so is the history entry of a page open again: the index, vectors and summary cache are
+// keyed by URL, so trimming it would strip the open tab too. Under storage pressure the oldest full texts
+// go first, whatever their age.
+const RETENTION_ALARM = "retentionAlarm";
+
+async function trimPageText(entry) {
+  entry.rawText = "";
+  entry.textTrimmedAt = Date.now();
+  await saveHistoryEntry(entry);
+  indexDocument({ url: entry.url, rawText: "" });
+  await dropChunkVectors(entry.url);
+}
+
+async function purgePage(url) {
+  delete historyStore[url];
+  await deleteHistoryEntry(url);
+  removeDocument(url);
+  await removePageVectors(url);
+  await forgetCachedSummaries(url);
+  // Sticky notes are the user's own words: they outlive the page's memory
+  const notes = (await readLocal("stickyNotes", {}))[url];
+  if (notes?.length) updateStickyNotesIndex(url, notes);
+}
+
+async function applyRetention() {
+  const result = { trimmed: 0, purged: 0 };
+  if (isVaultLocked()) return result;
+
+  const openUrls = new Set(Object.values(tabsStore).map(t => t.url));
+  const closedEntries = () => Object.values(historyStore).filter(e => !openUrls.has(e.url));
+
+  for (const entry of closedEntries()) {
+    const action = retentionAction(entry);
+    if (action === 'purge') {
+      await purgePage(entry.url);
+      result.purged++;
+    } else if (action === 'trim') {
+      await trimPageText(entry);
+      result.trimmed++;
+    }
   }
 
-  // Ensure store is ready (handles background reloads)
-  if (!tabsStore || typeof tabsStore !== "object") {
-    console.warn("⚠️ tabsStore was undefined — loading from storage...");
-    tabsStore = (await loadTabs()) || {};
+  const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+  let excess = usage - quota * QUOTA_PRESSURE;
+  if (quota && excess > 0) {
+    const oldest = closedEntries()
+      .filter(e => e.rawText && !e.starred)
+      .sort((a, b) => (a.closedAt || 0) - (b.closedAt || 0));
+    for (const entry of oldest) {
+      if (excess <= 0) break;
+      excess -= byteLength(entry.rawText);
+      await trimPageText(entry);
+      result.trimmed++;
+    }
   }
 
-  // Ensure record exists before writing
-  if (!tabsStore[tabId]) {
-    console.log(`[AI Pipeline] 🆕 Creating record for tab ${tabId}`);
-    tabsStore[tabId] = {
-      tabId,
-      url: content?.url || "",
-      title: content?.title || "",
-      rawText: content?.bodyText || "",
-      tabNote: "",
-      tags: [],
-      lastUpdated: Date.now(),
-      clusterId: null,
-      totalTime: 0,
-    };
+  if (result.trimmed || result.purged) {
+    console.log(`[Retention] 🧹 Dropped the text of ${result.trimmed} page(s), forgot ${result.purged} page(s).`);
+    chrome.runtime.sendMessage({ type: 'DATA_UPDATED' }, suppressAsyncError());
   }
+  return result;
+}
 
-  if (!content?.bodyText) {
-    console.log(`[AI Pipeline] ⚪ Skipping empty content for tab ${tabId}`);
-    return;
+// Approximate bytes per kind of remembered data, plus what the browser reports
+async function getStorageUsage() {
+  const records = [...Object.values(tabsStore), ...Object.values(historyStore)];
+  let text = 0;
+  let pages = 0;
+  records.forEach(r => {
+    const textBytes = byteLength(r.rawText);
+    text += textBytes;
+    pages += byteLength(r) - textBytes;
+  });
+  const estimate = await navigator.storage.estimate();
+  return {
+    bytes: {
+      text,
+      pages, // summaries, tags, metadata
+      embeddings: getVectorIndexSize().bytes,
+      summaryCache: getCacheBytes(),
+      sessions: byteLength(listSessions()),
+      notes: byteLength(await readLocal("stickyNotes", {})),
+    },
+    counts: {
+      openTabs: Object.keys(tabsStore).length,
+      closedPages: Object.keys(historyStore).length,
+      starred: records.filter(r => r.starred).length,
+      trimmed: records.filter(r => r.textTrimmedAt && !r.rawText).length,
+    },
+    keywordIndex: getFullTextIndexStats(),
+    browser: { usage: estimate.usage || 0, quota: estimate.quota || 0 },
+    local: { usage: await chrome.storage.local.getBytesInUse(null), quota: chrome.storage.local.QUOTA_BYTES },
+  };
+}
+
+// --- Export & Import ---
+// Archive format and merge rules live in utils/archive.js. Memory-only (incognito) pages are never exported.
+
+async function exportMemory(format) {
+  const archive = buildArchive({
+    pages: getMemoryEntries().filter(e => !e.ephemeral),
+    sessions: listSessions(),
+    stickyNotes: await readLocal("stickyNotes", {}),
+    taxonomy: getTaxonomy(),
+  });
+  return renderExport(archive, format);
+}
+
+// Pages from an archive or another device may lack the tag fields the side panel maps over
+function normalizeTagFields(record) {
+  const tagList = (tags) => (Array.isArray(tags) ? tags.filter(t => typeof t === 'string') : null);
+  const manualTags = tagList(record.manualTags);
+  record.manualTags = manualTags?.length ? manualTags : null; // as setManualTags: empty means AI tags apply
+  record.aiTags = tagList(record.aiTags);
+  record.tags = tagList(record.tags) || record.manualTags || record.aiTags || [];
+}
+
+// Merge an archive into memory. Pages match by URL (an open tab on that URL takes the merge),
+// sessions and sticky notes by id; `strategy` settles conflicts (see CONFLICT_STRATEGIES).
+async function importMemory(text, strategy) {
+  if (!CONFLICT_STRATEGIES.includes(strategy)) strategy = 'newer';
+  const archive = parseArchive(text);
+  const result = { added: 0, updated: 0, skipped: 0, notes: 0, sessions: { added: 0, updated: 0 }, tags: 0 };
+  const openByUrl = new Map(Object.values(tabsStore).map(record => [record.url, record]));
+  const toEmbed = [];
+
+  for (const incoming of archive.pages) {
+    // Privacy rules hold for imported pages too
+    if (!checkCapture(incoming.url).allowed) {
+      result.skipped++;
+      continue;
+    }
+    const open = openByUrl.get(incoming.url);
+    const local = open || historyStore[incoming.url];
+    const merged = mergePage(local, incoming, strategy);
+    if (local && JSON.stringify(merged) === JSON.stringify(local)) continue;
+
+    // Text from another machine is checked against this machine's redaction settings
+    delete merged.redactedWith;
+    redactRecord(merged);
+    normalizeTagFields(merged);
+    if (open) {
+      Object.assign(open, merged, { tabId: open.tabId, incognito: open.incognito, ephemeral: open.ephemeral });
+      await saveTab(open);
+    } else {
+      historyStore[incoming.url] = { ...merged, closedAt: merged.closedAt || merged.lastUpdated || Date.now() };
+      await saveHistoryEntry(historyStore[incoming.url]);
+    }
+    if (local) result.updated++;
+    else result.added++;
+    if (!hasPageVectors(incoming.url) && isUsableNote(merged.tabNote)) toEmbed.push(merged);
   }
 
-  try {
-    // Step 1: Generate summary first (show immediately)
-    const note = await generateTabNote(content.bodyText);
+  for (const category of archive.taxonomy.categories) {
+    if (!category?.name || getTaxonomy().categories.some(c => c.name.toLowerCase() === category.name.toLowerCase())) continue;
+    await updateTaxonomy({ op: 'add', name: category.name, color: category.color });
+    result.tags++;
+  }
 
-    // Update UI right away with the summary
-    Object.assign(tabsStore[tabId], {
-      tabNote: note,
-      lastUpdated: Date.now(),
+  result.sessions = await importSessions(archive.sessions, (local, incoming) =>
+    incomingWins(local, incoming, strategy, s => s.createdAt));
+
+  const stickyNotes = await readLocal("stickyNotes", {});
+  Object.entries(archive.stickyNotes).forEach(([url, notes]) => {
+    if (!Array.isArray(notes)) return;
+    const { notes: merged, added, updated } = mergeNotes(stickyNotes[url], notes, strategy);
+    if (!added && !updated) return;
+    stickyNotes[url] = merged;
+    result.notes += added + updated;
+  });
+  if (result.notes) await writeLocal("stickyNotes", stickyNotes);
+
+  clearFullTextIndex();
+  notedUrls.clear();
+  await buildFullTextIndex();
+  // Semantic search catches up in the background, one page at a time
+  (async () => {
+    for (const page of toEmbed) await indexPage(page);
+  })();
+
+  console.log(`[Import] 📥 ${result.added} added, ${result.updated} updated, ${result.skipped} skipped by privacy rules`);
+  return result;
+}
+
+// --- Sync ---
+// Pages, sessions and sticky notes are replicated record by record (see utils/sync). Memory-only
+// (incognito) pages stay on this machine; pages this machine's privacy rules refuse are not taken in.
+// Backends receive plaintext, so nothing syncs while the vault is on, locked or not.
+const SYNC_ALARM = "syncAlarm";
+const SYNC_VAULT_ERROR = "Sync is paused while the vault is on: synced copies are not encrypted.";
+// Change with every visit; the receiving machine keeps its own
+const SYNC_VOLATILE_FIELDS = ['visitCount', 'totalTime', 'lastUpdated', 'closedAt'];
+// What chrome.storage.sync has room for
+const SYNC_LIGHT_FIELDS = ['url', 'title', 'tags', 'manualTags', 'starred'];
+
+let syncRunning = null;
+
+async function collectSyncRecords(light) {
+  const records = {};
+  getMemoryEntries()
+    .filter(entry => !entry.ephemeral && entry.url?.startsWith('http'))
+    .forEach(entry => {
+      const page = pickPage(entry);
+      SYNC_VOLATILE_FIELDS.forEach(field => delete page[field]);
+      if (light) Object.keys(page).forEach(field => { if (!SYNC_LIGHT_FIELDS.includes(field)) delete page[field]; });
+      records[`page:${entry.url}`] = page;
     });
-    await saveTabs(tabsStore);
-    chrome.runtime.sendMessage({ 
-      type: "UPDATE_SMART_TAGS", 
-      data: { tabId, tabNote: note } 
-    }, suppressAsyncError());
-    console.log(`[AI Pipeline] 🟢 Summary ready for tab ${tabId}, generating tags in background...`);
-
-    // Step 2: Generate tags asynchronously (non-blocking)
-    generateSmartTags(note).then(async (tags) => {
-      if (!tabsStore[tabId]) return;
-      tabsStore[tabId].tags = tags;
-      tabsStore[tabId].lastUpdated = Date.now();
-      await saveTabs(tabsStore);
-      chrome.runtime.sendMessage({
-        type: "UPDATE_SMART_TAGS",
-        data: { tabId, tags }
-      }, suppressAsyncError());
-      console.log(`[AI Pipeline] 🏷️ Tags ready for tab ${tabId}`);
-    }).catch(err => console.error(`[AI Pipeline] ⚠️ Tag generation failed for tab ${tabId}:`, err));
+  listSessions().forEach(session => { records[`session:${session.id}`] = session; });
+  const stickyNotes = await readLocal("stickyNotes", {});
+  Object.entries(stickyNotes).forEach(([url, notes]) => notes.forEach(note => {
+    records[`note:${note.id}`] = { ...note, url };
+  }));
+  return records;
+}
+
+// Write records merged from another device into memory; `deletes` are record keys
+async function applySyncChanges({ upserts, deletes }) {
+  const openByUrl = new Map(Object.values(tabsStore).map(record => [record.url, record]));
+  const stickyNotes = await readLocal("stickyNotes", {});
+  const touchedNotes = new Set();
+  const removeNote = (id) => Object.entries(stickyNotes).forEach(([url, notes]) => {
+    if (!notes.some(n => String(n.id) === id)) return;
+    stickyNotes[url] = notes.filter(n => String(n.id) !== id);
+    touchedNotes.add(url);
+  });
+  const sessions = [];
+  const toEmbed = [];
+
+  for (const [key, data] of upserts) {
+    const kind = key.slice(0, key.indexOf(':'));
+    if (kind === 'page') {
+      if (!checkCapture(data.url).allowed) continue;
+      const open = openByUrl.get(data.url);
+      const local = open || historyStore[data.url];
+      const merged = { ...local, ...data };
+      delete merged.redactedWith;
+      redactRecord(merged);
+      normalizeTagFields(merged);
+      if (open) {
+        Object.assign(open, merged, { tabId: open.tabId, incognito: open.incognito, ephemeral: open.ephemeral });
+        await saveTab(open);
+      } else {
+        historyStore[data.url] = { ...merged, closedAt: local?.closedAt || Date.now(), lastUpdated: local?.lastUpdated || Date.now() };
+        await saveHistoryEntry(historyStore[data.url]);
+      }
+      if (!hasPageVectors(data.url) && isUsableNote(merged.tabNote)) toEmbed.push(merged);
+    } else if (kind === 'session') {
+      sessions.push(data);
+    } else if (kind === 'note') {
+      removeNote(String(data.id));
+      if (!stickyNotes[data.url]) stickyNotes[data.url] = [];
+      stickyNotes[data.url].push(data);
+      touchedNotes.add(data.url);
+    }
+  }
+  if (sessions.length) await importSessions(sessions, () => true);
+
+  for (const key of deletes) {
+    const kind = key.slice(0, key.indexOf(':'));
+    const id = key.slice(kind.length + 1);
+    // An open tab keeps its page: it's still in use here
+    if (kind === 'page' && historyStore[id] && !openByUrl.has(id)) await purgePage(id);
+    else if (kind === 'session') await removeSession(id);
+    else if (kind === 'note') removeNote(id);
+  }
+
+  if (touchedNotes.size) {
+    await writeLocal("stickyNotes", stickyNotes);
+    touchedNotes.forEach(url => updateStickyNotesIndex(url, stickyNotes[url]));
+  }
+  clearFullTextIndex();
+  notedUrls.clear();
+  await buildFullTextIndex();
+  (async () => {
+    for (const page of toEmbed) await indexPage(page);
+  })();
 
+  chrome.runtime.sendMessage({ type: 'DATA_UPDATED' }, suppressAsyncError());
+  chrome.runtime.sendMessage({ type: 'SESSIONS_UPDATED' }, suppressAsyncError());
+}
 
-    // 🔒 Reconfirm existence (prevents "undefined" during race)
-    if (!tabsStore[tabId]) {
-      console.warn(`[AI Pipeline] Tab ${tabId} record vanished mid-process, recreating...`);
-      tabsStore[tabId] = {};
+// One round with every enabled backend; concurrent callers share the running round
+function runSync(reason) {
+  if (!syncRunning) {
+    syncRunning = (async () => {
+      const results = {};
+      if (getVaultStatus().enabled) return results;
+      for (const backend of getActiveSyncBackends()) {
+        try {
+          results[backend.id] = await syncWith(backend, { collect: collectSyncRecords, apply: applySyncChanges });
+          const { pulled, pushed, dropped } = results[backend.id];
+          console.log(`[Sync] 🔄 ${backend.id} (${reason}): ${pulled} pulled, ${pushed} pushed${dropped ? `, ${dropped} over quota` : ''}`);
+        } catch (err) {
+          console.error(`[Sync] ❌ ${backend.id} (${reason}) failed:`, err);
+          results[backend.id] = { error: err.message };
+        }
+      }
+      return results;
+    })().finally(() => { syncRunning = null; });
+  }
+  return syncRunning;
+}
+
+// Keep the alarm in step with the settings; an unchanged alarm is left alone so worker restarts
+// don't keep pushing it back
+async function scheduleSync() {
+  const { enabled, intervalMinutes } = getSyncSettings();
+  const alarm = await chrome.alarms.get(SYNC_ALARM);
+  if (!enabled) {
+    if (alarm) await chrome.alarms.clear(SYNC_ALARM);
+  } else if (alarm?.periodInMinutes !== intervalMinutes) {
+    chrome.alarms.create(SYNC_ALARM, { delayInMinutes: 1, periodInMinutes: intervalMinutes });
+  }
+}
+
+// --- AI Pipeline ---
+// Work runs through the job queue: a "summarize" job per tab, which queues a "tag" job when done.
+
+// Summary options for a tab: its own "re-summarize as" choice, else the global default
+async function summaryOptionsFor(record) {
+  return record.summaryOptions ? normalizeSummaryOptions(record.summaryOptions) : getDefaultSummaryOptions();
+}
+
+// Tags only depend on the text, so a restyled summary of the same text keeps them.
+// Rule-based tags are redone once the Prompt API is available.
+function needsTags(record) {
+  if (record.manualTags) return false;
+  return !record.aiTags
+    || record.tagsHash !== record.contentHash
+    || (record.tagEngine === 'rules' && getTagEngine() === 'ai');
+}
+
+// An extractive note is only a stand-in until a model can summarize
+function canUpgradeNote(record) {
+  return record.noteEngine === 'extractive' && getSummaryEngine() === 'ai';
+}
+
+// Re-captures of the same page (reloads, SPA updates, live DOM changes) only get a new summary
+// when enough of the text changed; counters, timestamps and comment trickles don't qualify.
+const RESUMMARIZE_MIN_RATIO = 0.2;
+const RESUMMARIZE_MIN_CHARS = 2000;
+
+function isMinorChange(record, text) {
+  if (!text || !record.rawText || !isUsableNote(record.tabNote) || canUpgradeNote(record)) return false;
+  const { changedChars, ratio } = diffTextLines(record.rawText, text);
+  return ratio < RESUMMARIZE_MIN_RATIO && changedChars < RESUMMARIZE_MIN_CHARS;
+}
+
+// Redo placeholder and fallback results once a model is available, behind fresh page loads
+function backfillSummaries() {
+  Object.values(tabsStore).forEach(record => {
+    if (!record.rawText) return;
+    if (!isUsableNote(record.tabNote) || canUpgradeNote(record) || needsTags(record)) {
+      scheduleSummary(record.tabId, 'background');
     }
+  });
+}
 
-    Object.assign(tabsStore[tabId], {
-      tabNote: note,
-      tags,
-      lastUpdated: Date.now(),
-    });
+// Privacy rules can change while a job waits: re-check before page text goes to a model
+function mayProcess(record) {
+  const { allowed, reason } = checkCapture(record.url, { incognito: record.incognito });
+  if (!allowed) console.log(`[Privacy] 🔒 Skipping model work for tab ${record.tabId} (${reason})`);
+  return allowed;
+}
+
+// Decide how much model work a capture needs: none if the text is unchanged, a cache copy
+// if this exact text was summarized before (in any tab), otherwise a queued job.
+async function scheduleSummary(tabId, priority) {
+  const record = tabsStore[tabId];
+  if (!record?.rawText) return;
+
+  const hash = await hashText(record.rawText);
+  const style = summaryOptionsKey(await summaryOptionsFor(record));
+  if (tabsStore[tabId] !== record) return; // tab closed or navigated while hashing
+
+  const currentStyle = record.summaryStyle || summaryOptionsKey(DEFAULT_SUMMARY_OPTIONS);
+  if (record.contentHash === hash && currentStyle === style && isUsableNote(record.tabNote) && !canUpgradeNote(record)) {
+    if (!record.ephemeral) recordCacheEvent('unchanged', record.url);
+    await saveTab(record); // keep the refreshed title
+    if (needsTags(record)) enqueueJob('tag', tabId, { priority });
+    return;
+  }
+  record.contentHash = hash;
 
-    await saveTabs(tabsStore);
+  // Memory-only pages leave no trace in the cache or its stats
+  const cached = record.ephemeral ? null : lookupSummary(record.url, hash, style);
+  if (!cached) {
+    await saveTab(record);
+    enqueueJob('summarize', tabId, { priority });
+    return;
+  }
+
+  Object.assign(record, {
+    tabNote: cached.tabNote,
+    sections: cached.sections || [],
+    summaryStyle: style,
+    noteEngine: 'ai',
+    lastUpdated: Date.now(),
+  });
+  if (cached.aiTags) {
+    record.aiTags = cached.aiTags;
+    record.tagEngine = 'ai';
+    record.tagsHash = hash;
+    record.tags = record.manualTags || cached.aiTags;
+  }
+  await saveTab(record);
+  indexDocument({ url: record.url, tabNote: record.tabNote });
+  chrome.runtime.sendMessage({
+    type: "UPDATE_SMART_TAGS",
+    data: { tabId, tabNote: record.tabNote, sections: record.sections, tags: record.tags, lastUpdated: record.lastUpdated }
+  }, suppressAsyncError());
+  console.log(`[AI Pipeline] ♻️ Reused cached summary for tab ${tabId}`);
+  if (needsTags(record)) enqueueJob('tag', tabId, { priority });
+}
 
-    const updated = {
+async function summarizeTab({ tabId, priority }) {
+  const record = tabsStore[tabId];
+  if (!record?.rawText) {
+    console.log(`[AI Pipeline] ⚪ Skipping empty content for tab ${tabId}`);
+    return;
+  }
+  if (!mayProcess(record)) return;
+
+  const { url, contentHash: hash } = record;
+  const options = await summaryOptionsFor(record);
+  const style = summaryOptionsKey(options);
+  // Long pages come back with per-section summaries for the outline
+  const { note, sections, engine } = await generateTabNote(record.rawText, options);
+  // Only model output is cached; extractive notes are cheap and get upgraded later
+  if (engine === 'ai' && !record.ephemeral) storeSummary(url, hash, style, { tabNote: note, sections });
+
+  // Tab closed, navigated or re-captured with new text while the model was busy: this summary is
+  // for a page the record no longer holds (a fresh capture queues its own)
+  if (tabsStore[tabId] !== record || record.url !== url || record.contentHash !== hash) return;
+
+  Object.assign(tabsStore[tabId], {
+    tabNote: note,
+    sections,
+    summaryStyle: style,
+    noteEngine: engine,
+    lastUpdated: Date.now(),
+  });
+  await saveTab(tabsStore[tabId]);
+  indexDocument({ url: tabsStore[tabId].url, tabNote: note });
+  chrome.runtime.sendMessage({
+    type: "UPDATE_SMART_TAGS",
+    data: {
       tabId,
       url: tabsStore[tabId].url,
       title: tabsStore[tabId].title,
-      tabNote: tabsStore[tabId].tabNote,
+      tabNote: note,
+      sections,
       tags: tabsStore[tabId].tags,
       lastUpdated: tabsStore[tabId].lastUpdated,
-    };
+    }
+  }, suppressAsyncError());
+  console.log(`[AI Pipeline] 🟢 Summary ready for tab ${tabId}: "${note.substring(0, 100)}..."`);
+
+  if (needsTags(tabsStore[tabId])) enqueueJob('tag', tabId, { priority });
+
+  // Embed summary + raw text for semantic search (non-blocking; embeddings are stored)
+  if (!tabsStore[tabId].ephemeral) indexPage({
+    url: tabsStore[tabId].url,
+    title: tabsStore[tabId].title,
+    tabNote: note,
+    rawText: tabsStore[tabId].rawText,
+  });
+}
 
-    chrome.runtime.sendMessage({ type: "UPDATE_SMART_TAGS", data: updated }, suppressAsyncError());
-    console.log(`[AI Pipeline] ✅ Completed update for tab ${tabId}`);
+// Rule-based tags (domain, keywords, TF-IDF topics) for when the Prompt API can't tag
+function fallbackTags(record) {
+  const corpus = Object.values(tabsStore)
+    .filter(r => r !== record && r.tabNote)
+    .slice(0, MAX_TOPIC_CORPUS)
+    .map(r => `${r.title || ''}\n${r.tabNote}`);
+  const guess = ruleBasedTags({
+    url: record.url,
+    title: record.title,
+    text: (record.rawText || record.tabNote || '').substring(0, 20000),
+  }, corpus);
+  const tags = normalizeTags(guess, getTaggingOptions());
+  return tags.length ? tags : ['Uncategorized'];
+}
+
+async function tagTab({ tabId }) {
+  const record = tabsStore[tabId];
+  if (!isUsableNote(record?.tabNote) || !mayProcess(record)) return;
+  const { url, contentHash, summaryStyle } = record;
+
+  let aiTags;
+  let tagEngine = 'ai';
+  try {
+    aiTags = await generateSmartTags(record.tabNote, getTaggingOptions());
+    if (!record.ephemeral) storeSummary(url, contentHash, summaryStyle, { aiTags });
+    delete record.tagError;
   } catch (err) {
-    console.error(`[AI Pipeline] ❌ Error for tab ${tabId}:`, err);
+    // Typed failure (AIUnavailableError / StructuredOutputError): record why, fall back to rules
+    if (tabsStore[tabId] !== record) return;
+    if (err.name !== 'AIUnavailableError') {
+      console.error(`[AI Pipeline] ⚠️ Tag generation failed for tab ${tabId} (${err.name}):`, err.validationErrors || err.message);
+      record.tagError = { name: err.name, message: err.message, at: Date.now() };
+    }
+    // AI tags for this same text beat a rule-based guess
+    if (record.aiTags && record.tagEngine !== 'rules' && record.tagsHash === contentHash) {
+      await saveTab(record);
+      chrome.runtime.sendMessage({
+        type: "UPDATE_SMART_TAGS",
+        data: { tabId, tagError: record.tagError }
+      }, suppressAsyncError());
+      return;
+    }
+    aiTags = fallbackTags(record);
+    tagEngine = 'rules';
   }
+  if (tabsStore[tabId] !== record) return;
+
+  // Manual edits stick: automatic tags are kept for reference but don't override them
+  const tags = record.manualTags || aiTags;
+  Object.assign(record, { aiTags, tagEngine, tagsHash: contentHash, tags, lastUpdated: Date.now() });
+  await saveTab(record);
+  chrome.runtime.sendMessage({
+    type: "UPDATE_SMART_TAGS",
+    data: { tabId, tags, tagError: record.tagError }
+  }, suppressAsyncError());
+  console.log(`[AI Pipeline] 🏷️ Tags ready for tab ${tabId} (${tagEngine}): [${tags.join(", ")}]`);
 }
 
 
 
 // --- Tab Lifecycle Management ---
-chrome.tabs.onRemoved.addListener((tabId) => {
-  if (tabsStore[tabId]) {
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+  cancelJobsForTab(tabId);
+  const record = tabsStore[tabId];
+  if (record) {
     delete tabsStore[tabId];
-    saveTabs(tabsStore);
+    await archiveTabRecord(record);
+    await deleteTab(tabId);
     chrome.runtime.sendMessage({ type: 'DATA_UPDATED' }, suppressAsyncError());
   }
 });
 
+chrome.tabs.onActivated.addListener(({ tabId }) => {
+  setActiveTab(tabId);
+});
+
 chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
   const isWebPage = tab.url && (tab.url.startsWith('http://') || tab.url.startsWith('https://'));
   if (isWebPage && (changeInfo.status === 'complete' || changeInfo.url)) {
     console.log(`Injecting script into tab ${tabId} due to navigation.`);
     chrome.scripting.executeScript({
       target: { tabId: tabId },
-      files: ['src/content/content.js']
+      files: CONTENT_SCRIPTS
     }).catch(err => {
       if (!err.message.includes("Cannot access contents")) {
         console.error(`Error injecting into tab ${tabId}:`, err);
@@ -177,8 +1004,23 @@ chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
 });
 
 // --- Message Handling ---
+// Memory loads asynchronously whenever the worker wakes. Until it has, the first REQUEST_TABS_DATA
+// would answer with an empty list and a capture would land in a store about to be replaced, so
+// messages wait for startup.
+let isInitialized = false;
+const startupSettled = initialized
+  .catch(err => console.error("❌ Initialization failed:", err))
+  .then(() => { isInitialized = true; });
+
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (isInitialized) return handleMessage(message, sender, sendResponse);
+  startupSettled.then(() => handleMessage(message, sender, sendResponse));
+  return true;
+});
+
+function handleMessage(message, sender, sendResponse) {
   const tabId = sender.tab?.id || message.tabId;
+  if (refuseWhileLocked(message.type, sendResponse)) return true;
 
   if (message.type === 'AI_COMPUTATION_START') {
     console.log("Resetting Service Worker idle timer for AI computation...");
@@ -190,34 +1032,381 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true; // keep message channel alive
   }
   if (message.type === "PAGE_CONTENT" && tabId) {
+    // Nothing can be stored until the vault is unlocked
+    if (isVaultLocked()) return;
+
+    // Navigated to a different page in the same tab: archive the previous one first
+    const previous = tabsStore[tabId];
+    if (previous && previous.url && previous.url !== message.data.url) {
+      // Summary and tag jobs still queued are for the previous page
+      cancelJobsForTab(tabId);
+      archiveTabRecord(previous);
+      delete tabsStore[tabId];
+    }
+
+    // Privacy rules run before anything is stored, indexed or queued for a model
+    const policy = checkCapture(message.data.url, { incognito: sender.tab?.incognito, sensitive: message.data.sensitive });
+    if (!policy.allowed) {
+      console.log(`[Privacy] 🔒 Not capturing tab ${tabId} (${policy.reason})`);
+      // The previous page's row would otherwise come back as this tab after a restart
+      if (previous && !tabsStore[tabId]) deleteTab(tabId);
+      return;
+    }
+
+    // PII and secrets are swapped for placeholders before anything below stores or indexes the text
+    const page = redactCapture(message.data);
+
+    // Same page with only small edits: keep the summary and the text it was written from
+    const current = tabsStore[tabId];
+    if (current && isMinorChange(current, page.bodyText)) {
+      current.title = page.title || current.title;
+      current.metadata = page.metadata || current.metadata || null;
+      saveTab(current);
+      console.log(`[AI Pipeline] 🔄 Tab ${tabId} re-captured (${message.reason || 'load'}): minor change, summary kept`);
+      return;
+    }
+
     tabsStore[tabId] = tabsStore[tabId] || {
       tabId,
       url: message.data.url,
-      title: message.data.title,
-      rawText: message.data.bodyText,
+      title: page.title,
+      rawText: page.bodyText,
       tabNote: "Generating...",
       tags: [],
       lastUpdated: Date.now(),
       clusterId: null,
-      totalTime: 0
+      totalTime: 0,
+      incognito: !!sender.tab?.incognito,
+      ephemeral: !!policy.ephemeral,
+      starred: !!historyStore[message.data.url]?.starred,
     };
-
-    processTabContent(tabId, message.data)
-      .then(() => {
-        if (tabsStore[tabId]?.tabNote) {
-          const summaryPreview = tabsStore[tabId].tabNote.substring(0, 100) + "...";
-          const tagsList = tabsStore[tabId].tags.join(", ");
-          console.log(` Tab ${tabId} Summary Complete: "${summaryPreview}"`);
-          console.log(` Tags Generated: [${tagsList}]`);
-        }
-      })
-      .catch(err => console.error(` Error during pipeline for tab ${tabId}:`, err));
+    // Same page captured again: keep the freshest text
+    Object.assign(tabsStore[tabId], {
+      title: page.title || tabsStore[tabId].title,
+      rawText: page.bodyText || tabsStore[tabId].rawText,
+      metadata: page.metadata || tabsStore[tabId].metadata || null,
+      ...(page.bodyText ? { redactions: page.redactions, redactedWith: page.redactedWith } : {}),
+    });
+    indexDocument({
+      url: message.data.url,
+      title: tabsStore[tabId].title,
+      rawText: tabsStore[tabId].rawText,
+    });
+    // Unchanged text or a cached summary costs no model calls; anything else is queued
+    scheduleSummary(tabId, sender.tab?.active ? 'active' : 'normal')
+      .catch(err => console.error(` Error scheduling summary for tab ${tabId}:`, err));
 
   } else if (message.type === "REQUEST_TABS_DATA") {
-    const tabList = Object.values(tabsStore).sort((a, b) => (b.lastUpdated || 0) - (a.lastUpdated || 0));
+    const tabList = getMemoryEntries().sort((a, b) => (b.lastUpdated || 0) - (a.lastUpdated || 0));
     sendResponse(tabList);
     return true;
 
+  // --- 🏷️ Tag Taxonomy & Manual Tags ---
+  } else if (message.type === "REQUEST_TAXONOMY") {
+    sendResponse(getTaxonomy());
+    return true;
+
+  } else if (message.type === "UPDATE_TAXONOMY") {
+    (async () => {
+      try {
+        const rewrites = await updateTaxonomy(message.change);
+        await applyTagRewrites(rewrites);
+        sendResponse({ success: true, taxonomy: getTaxonomy() });
+        chrome.runtime.sendMessage({ type: 'DATA_UPDATED' }, suppressAsyncError());
+      } catch (err) {
+        console.error("[Taxonomy] ❌ Update failed:", err);
+        sendResponse({ success: false, error: err.message });
+      }
+    })();
+    return true;
+
+  } else if (message.type === "SET_TAB_TAGS") {
+    setManualTags(message).then(() => {
+      sendResponse({ success: true });
+      chrome.runtime.sendMessage({ type: 'DATA_UPDATED' }, suppressAsyncError());
+    });
+    return true;
+
+  } else if (message.type === "SET_STARRED") {
+    setStarred(message).then(() => {
+      sendResponse({ success: true });
+      chrome.runtime.sendMessage({ type: 'DATA_UPDATED' }, suppressAsyncError());
+    });
+    return true;
+
+  } else if (message.type === "REQUEST_SEARCH_SUGGESTIONS") {
+    sendResponse(getSearchSuggestions());
+    return true;
+
+  } else if (message.type === "REOPEN_TAB") {
+    if (!message.url) {
+      sendResponse({ success: false });
+      return true;
+    }
+    chrome.tabs.create({ url: message.url, active: true }, (tab) => {
+      if (chrome.runtime.lastError) {
+        console.error("Reopen failed:", chrome.runtime.lastError.message);
+        sendResponse({ success: false });
+        return;
+      }
+      sendResponse({ success: true, tabId: tab.id });
+    });
+    return true;
+
+  // --- 🧩 Topic Clusters ---
+  } else if (message.type === "REQUEST_CLUSTERS") {
+    sendResponse(getHydratedClusters());
+    return true;
+
+  } else if (message.type === "RECLUSTER_TABS") {
+    reclusterTabs()
+      .then(clusters => sendResponse(clusters))
+      .catch(err => {
+        console.error("[Clusters] ❌ Clustering failed:", err);
+        sendResponse([]);
+      });
+    return true;
+
+  } else if (message.type === "GROUP_CLUSTER_TABS") {
+    groupClusterTabs(message.clusterId)
+      .then(groupIds => sendResponse({ success: true, groupIds }))
+      .catch(err => {
+        console.error("[Clusters] ❌ Grouping failed:", err);
+        sendResponse({ success: false, error: err.message });
+      });
+    return true;
+
+  // --- 🗂️ Saved Sessions ---
+  } else if (message.type === "REQUEST_SESSIONS") {
+    sendResponse(listSessions());
+    return true;
+
+  } else if (message.type === "SAVE_SESSION") {
+    (async () => {
+      try {
+        const entries = await collectSessionEntries(message.source);
+        const session = await createSession(entries, message.source, message.name);
+        sendResponse({ success: true, session });
+        chrome.runtime.sendMessage({ type: 'SESSIONS_UPDATED' }, suppressAsyncError());
+      } catch (err) {
+        console.error("[Sessions] ❌ Save failed:", err);
+        sendResponse({ success: false, error: err.message });
+      }
+    })();
+    return true;
+
+  } else if (message.type === "RESTORE_SESSION") {
+    restoreSession(message.id, { asGroup: !!message.asGroup })
+      .then(result => sendResponse({ success: true, ...result }))
+      .catch(err => {
+        console.error("[Sessions] ❌ Restore failed:", err);
+        sendResponse({ success: false, error: err.message });
+      });
+    return true;
+
+  } else if (message.type === "RENAME_SESSION") {
+    renameSession(message.id, message.name).then(session => {
+      sendResponse({ success: !!session, session });
+      chrome.runtime.sendMessage({ type: 'SESSIONS_UPDATED' }, suppressAsyncError());
+    });
+    return true;
+
+  } else if (message.type === "DELETE_SESSION") {
+    removeSession(message.id).then(success => {
+      sendResponse({ success });
+      chrome.runtime.sendMessage({ type: 'SESSIONS_UPDATED' }, suppressAsyncError());
+    });
+    return true;
+
+  } else if (message.type === "RESUMMARIZE_TAB") {
+    // Per-tab "re-summarize as…": the chosen style sticks to this tab from now on
+    const record = tabsStore[tabId];
+    if (!record) {
+      sendResponse({ success: false, error: "Only open tabs can be re-summarized." });
+      return true;
+    }
+    record.summaryOptions = normalizeSummaryOptions(message.options);
+    scheduleSummary(tabId, 'active')
+      .then(() => sendResponse({ success: true }))
+      .catch(err => sendResponse({ success: false, error: err.message }));
+    return true;
+
+  } else if (message.type === "REQUEST_QUEUE_STATUS") {
+    sendResponse(getQueueStatus());
+    return true;
+
+  } else if (message.type === "REQUEST_DIAGNOSTICS") {
+    getStorageUsage()
+      .then(storage => sendResponse({ cache: getCacheStats(), queue: getQueueStatus(), storage }))
+      .catch(err => {
+        console.error("[Diagnostics] ❌ Storage estimate failed:", err);
+        sendResponse({ cache: getCacheStats(), queue: getQueueStatus(), storage: null });
+      });
+    return true;
+
+  // --- 📦 Export & Import ---
+  } else if (message.type === "EXPORT_MEMORY") {
+    exportMemory(message.format)
+      .then(file => sendResponse({ success: true, ...file }))
+      .catch(err => sendResponse({ success: false, error: err.message }));
+    return true;
+
+  } else if (message.type === "IMPORT_MEMORY") {
+    importMemory(message.text, message.strategy)
+      .then(result => {
+        sendResponse({ success: true, ...result });
+        chrome.runtime.sendMessage({ type: 'DATA_UPDATED' }, suppressAsyncError());
+        chrome.runtime.sendMessage({ type: 'SESSIONS_UPDATED' }, suppressAsyncError());
+      })
+      .catch(err => {
+        console.error("[Import] ❌ Failed:", err);
+        sendResponse({ success: false, error: err.message });
+      });
+    return true;
+
+  // --- 🧹 Retention ---
+  } else if (message.type === "REQUEST_RETENTION_SETTINGS") {
+    sendResponse(getRetentionSettings());
+    return true;
+
+  } else if (message.type === "UPDATE_RETENTION_SETTINGS") {
+    (async () => {
+      const settings = await updateRetentionSettings(message.settings || {});
+      sendResponse({ settings });
+    })().catch(err => sendResponse({ error: err.message }));
+    return true;
+
+  } else if (message.type === "APPLY_RETENTION") {
+    applyRetention()
+      .then(result => sendResponse({ success: true, ...result }))
+      .catch(err => sendResponse({ success: false, error: err.message }));
+    return true;
+
+  } else if (message.type === "REQUEST_SYNC_SETTINGS") {
+    getSyncStatus().then(status => sendResponse({ settings: getSyncSettings(), status }));
+    return true;
+
+  } else if (message.type === "UPDATE_SYNC_SETTINGS") {
+    (async () => {
+      const settings = await saveSyncSettings(message.settings || {});
+      await scheduleSync();
+      sendResponse({ settings, status: await getSyncStatus() });
+    })().catch(err => sendResponse({ error: err.message }));
+    return true;
+
+  } else if (message.type === "SYNC_NOW") {
+    if (getVaultStatus().enabled) {
+      sendResponse({ success: false, error: SYNC_VAULT_ERROR });
+      return true;
+    }
+    runSync('manual')
+      .then(async results => sendResponse({ success: true, results, status: await getSyncStatus() }))
+      .catch(err => sendResponse({ success: false, error: err.message }));
+    return true;
+
+  } else if (message.type === "CLEAR_SUMMARY_CACHE") {
+    resetSummaryCache().then(() => sendResponse({ success: true }));
+    return true;
+
+  } else if (message.type === "REQUEST_PROVIDER_SETTINGS") {
+    checkProviders().then(status => sendResponse({ settings: getProviderSettings(), status }));
+    return true;
+
+  } else if (message.type === "UPDATE_PROVIDER_SETTINGS") {
+    // Reconnect every capability to its (possibly new) backend
+    async function applyProviderSettings() {
+      await saveProviderSettings(message.settings);
+      isAiReady = await initAI();
+      if (isAiReady || getTagEngine() === 'ai') backfillSummaries();
+      chrome.runtime.sendMessage({ type: isAiReady ? 'MODEL_READY' : 'MODEL_DOWNLOAD_FAILED' }, suppressAsyncError());
+      sendResponse({ settings: getProviderSettings(), status: await checkProviders(), modelStatus: getModelStatus() });
+    }
+    applyProviderSettings().catch(err => sendResponse({ error: err.message }));
+    return true;
+
+  // --- 🔒 Privacy ---
+  } else if (message.type === "REQUEST_PRIVACY_SETTINGS") {
+    sendResponse(getPrivacySettings());
+    return true;
+
+  } else if (message.type === "UPDATE_PRIVACY_SETTINGS") {
+    updatePrivacySettings(message.settings || {})
+      .then(settings => sendResponse({ settings }))
+      .catch(err => sendResponse({ error: err.message }));
+    return true;
+
+  } else if (message.type === "REQUEST_SITE_PRIVACY") {
+    const { allowed, reason } = checkCapture(message.url, { incognito: message.incognito });
+    sendResponse({ site: siteOf(message.url), paused: isSitePaused(message.url), allowed, reason });
+    return true;
+
+  } else if (message.type === "TOGGLE_SITE_PAUSE") {
+    toggleSitePause(message.url)
+      .then(result => sendResponse(result))
+      .catch(err => sendResponse({ error: err.message }));
+    return true;
+
+  } else if (message.type === "REQUEST_REDACTION_SETTINGS") {
+    sendResponse({ settings: getRedactionSettings(), categories: REDACTION_CATEGORIES });
+    return true;
+
+  } else if (message.type === "UPDATE_REDACTION_SETTINGS") {
+    (async () => {
+      const settings = await saveRedactionSettings(message.settings);
+      // Newly enabled categories are stripped from what's already stored (disabling can't restore text)
+      const updated = await redactStoredRecords();
+      if (updated) {
+        await buildFullTextIndex();
+        chrome.runtime.sendMessage({ type: 'DATA_UPDATED' }, suppressAsyncError());
+      }
+      sendResponse({ settings, updated });
+    })().catch(err => sendResponse({ error: err.message }));
+    return true;
+
+  // --- 🔐 Vault ---
+  } else if (message.type === "REQUEST_VAULT_STATUS") {
+    sendResponse(getVaultStatus());
+    return true;
+
+  } else if (message.type === "ENABLE_VAULT") {
+    (async () => {
+      await enableVault(message.passphrase, { autoLockMinutes: message.autoLockMinutes });
+      applyAutoLock();
+      broadcastVaultStatus();
+      console.log("[Vault] 🔐 Enabled: stored memory is now encrypted");
+      sendResponse({ success: true, status: getVaultStatus() });
+    })().catch(err => sendResponse({ success: false, error: err.message }));
+    return true;
+
+  } else if (message.type === "DISABLE_VAULT") {
+    (async () => {
+      await disableVault(message.passphrase);
+      await loadMemory();
+      broadcastVaultStatus();
+      console.log("[Vault] 🔓 Disabled: stored memory is plaintext again");
+      sendResponse({ success: true, status: getVaultStatus() });
+    })().catch(err => sendResponse({ success: false, error: err.message }));
+    return true;
+
+  } else if (message.type === "UNLOCK_VAULT") {
+    unlockMemory(message.passphrase)
+      .then(() => sendResponse({ success: true, status: getVaultStatus() }))
+      .catch(err => sendResponse({ success: false, error: err.message }));
+    return true;
+
+  } else if (message.type === "LOCK_VAULT") {
+    lockMemory('manual')
+      .then(() => sendResponse({ success: true, status: getVaultStatus() }))
+      .catch(err => sendResponse({ success: false, error: err.message }));
+    return true;
+
+  } else if (message.type === "UPDATE_VAULT_SETTINGS") {
+    setAutoLockMinutes(message.autoLockMinutes).then(status => {
+      applyAutoLock();
+      sendResponse({ success: true, status });
+    });
+    return true;
+
   } else if (message.type === "REQUEST_MODEL_STATUS") {
     sendResponse(getModelStatus());
     return true;
@@ -228,12 +1417,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       const success = await createAndMonitorSummarizer(callback);
       if (success) {
         isAiReady = true;
-        for (const id in tabsStore) {
-          const tabIdInt = parseInt(id);
-          if (tabsStore[id].rawText) {
-            processTabContent(tabIdInt, { bodyText: tabsStore[id].rawText });
-          }
-        }
+        backfillSummaries();
       }
       sendResponse({ success });
     }
@@ -249,25 +1433,47 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
   }
 
+  // Step 1 — Apply operators (tag:, site:, before:, is:, has:, "phrases") before any ranking
+  const parsed = parseSearchQuery(userQuery);
+  const tabsArray = getMemoryEntries().filter(e => matchesQueryFilters(e, parsed, { notedUrls }));
+  const byUrl = new Map(tabsArray.map(t => [t.url, t]));
+  const allowedUrls = new Set(byUrl.keys());
+
+  if (isFilterOnlyQuery(parsed)) {
+    const filtered = tabsArray.sort((a, b) => (b.lastUpdated || 0) - (a.lastUpdated || 0));
+    sendResponse({ results: filtered });
+    return true;
+  }
+
+  // Step 2 — Instant BM25 results (no model involved)
+  const rankText = [parsed.text, ...parsed.phrases].join(' ');
+  const keywordMatches = searchFullText(rankText, 20, allowedUrls)
+    .map(hit => ({ ...byUrl.get(hit.url), snippet: hit.snippet }));
+  sendResponse({ results: keywordMatches });
+
+  // Step 3 — Refine with vector candidates + Prompt API re-rank, pushed when ready
   (async () => {
     try {
-      const tabsArray = Object.values(tabsStore);
-      const results = await unifiedMemorySearch(userQuery, tabsArray);
+      const hits = await searchVectorIndex(rankText, 10, allowedUrls).catch(err => {
+        console.warn("Vector search unavailable, using keyword matches only:", err);
+        return [];
+      });
+      const candidates = hits.map(h => byUrl.get(h.url)).filter(Boolean);
+      const results = (await unifiedMemorySearch(rankText, keywordMatches, candidates))
+        .map(t => ({ ...t, snippet: t.snippet || getSnippet(t.url, rankText) }));
 
       if (results?.length) {
         console.log("Unified Memory Search results:", results);
         chrome.runtime.sendMessage({
           type: "AI_MEMORY_RESULTS",
+          query: userQuery,
           results
-        });
+        }, suppressAsyncError());
       } else {
         console.log("⚠️ No matching tabs found for:", userQuery);
       }
-
-      sendResponse({ results });
     } catch (err) {
       console.error("Unified Memory Search failed:", err);
-      sendResponse({ results: [] });
     }
   })();
 
@@ -276,6 +1482,48 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
 
 
+  // --- 💬 Ask My Tabs ---
+  else if (message.type === "ASK_TABS_QUESTION") {
+    const question = (message.question || '').trim();
+    if (!question) {
+      sendResponse({ answer: null, sources: [] });
+      return true;
+    }
+
+    (async () => {
+      // Retrieve pages the same way MemorySearch does, then cut them down to cited passages
+      const entries = getMemoryEntries();
+      const byUrl = new Map(entries.map(e => [e.url, e]));
+      const keywordHits = searchFullText(question, 5).map(h => h.url);
+      const vectorHits = (await searchVectorIndex(question, 5).catch(() => [])).map(h => h.url);
+      const ranked = [...new Set([...vectorHits, ...keywordHits])]
+        .map(url => byUrl.get(url))
+        .filter(e => e && checkCapture(e.url, { incognito: e.incognito }).allowed); // paused/denied pages stay out of prompts
+
+      const sources = buildAskSources(question, ranked);
+      const { answer, error } = await askTabsQuestion(question, sources);
+      sendResponse({
+        answer,
+        error,
+        sources: sources.map(({ n, title, url, tabId, status }) => ({ n, title, url, tabId, status })),
+      });
+    })().catch(err => {
+      console.error("[AskTabs] ❌ Failed:", err);
+      sendResponse({ answer: null, error: err.message, sources: [] });
+    });
+    return true;
+  }
+
+  else if (message.type === "REQUEST_ASK_HISTORY") {
+    getAskHistory().then(history => sendResponse(history));
+    return true;
+  }
+
+  else if (message.type === "RESET_ASK_CONVERSATION") {
+    resetAskConversation().then(() => sendResponse({ success: true }));
+    return true;
+  }
+
   // --- 🔹 Side Panel Management ---
   else if (message.type === 'OPEN_SIDE_PANEL') {
     const targetTabId = message.tabId;
@@ -346,7 +1594,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
 
 
-});
+}
 
 // --- Duplicate Tab Notifier with Debug Logs ---
 console.log("[DuplicateNotifier] Background script loaded");
@@ -387,7 +1635,7 @@ chrome.tabs.onCreated.addListener(async (newTab) => {
               );
               chrome.scripting.executeScript({
                 target: { tabId: newTab.id },
-                files: ["src/content/content.js"],
+                files: CONTENT_SCRIPTS,
               }, () => {
                 console.log("[DuplicateNotifier] Re-trying message after injection");
                 chrome.tabs.sendMessage(newTab.id, {
@@ -437,10 +1685,19 @@ chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
   }
 });
 // background.js (append near bottom)
+// Notes are only touched once startup has loaded the vault: before initVault() it looks disabled,
+// and a write would replace the encrypted notes with plaintext. Writes while it's locked are
+// refused by the main listener.
+function loadStickyNotesForWrite() {
+  return initialized.then(() => (isVaultLocked() ? null : readLocal("stickyNotes", {})));
+}
+
 chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+
   // inside chrome.runtime.onMessage listener in background.js
 if (msg.type === "CREATE_STICKY_NOTE") {
-  chrome.storage.local.get("stickyNotes", ({ stickyNotes = {} }) => {
+  loadStickyNotesForWrite().then(async (stickyNotes) => {
+    if (!stickyNotes) return;
     const url = sender?.tab?.url || (msg.note && msg.note.url) || "";
     if (!stickyNotes[url]) stickyNotes[url] = [];
 
@@ -455,29 +1712,32 @@ if (msg.type === "CREATE_STICKY_NOTE") {
       stickyNotes[url].push(msg.note);
     }
 
-    chrome.storage.local.set({ stickyNotes }, () => {
-      sendResponse({ success: true });
-    });
-  });
+    await writeLocal("stickyNotes", stickyNotes);
+    updateStickyNotesIndex(url, stickyNotes[url]);
+    sendResponse({ success: true });
+  }).catch(err => sendResponse({ success: false, error: err.message }));
   return true; // keep sendResponse alive
 }
 
 // --- DELETE Sticky Note Handler ---
 else if (msg.type === "DELETE_STICKY_NOTE") {
-  chrome.storage.local.get("stickyNotes", ({ stickyNotes = {} }) => {
+  loadStickyNotesForWrite().then(async (stickyNotes) => {
+    if (!stickyNotes) return;
     const url = msg.url;
     if (!stickyNotes[url]) return sendResponse({ success: false });
 
     stickyNotes[url] = stickyNotes[url].filter(n => n.id !== msg.id);
-    chrome.storage.local.set({ stickyNotes }, () => sendResponse({ success: true }));
-  });
+    await writeLocal("stickyNotes", stickyNotes);
+    updateStickyNotesIndex(url, stickyNotes[url]);
+    sendResponse({ success: true });
+  }).catch(err => sendResponse({ success: false, error: err.message }));
   return true;
 }
 
   if (msg.type === "GET_STICKY_NOTES") {
-    chrome.storage.local.get("stickyNotes", ({ stickyNotes = {} }) => {
-      sendResponse(stickyNotes[msg.url] || []);
-    });
+    initialized
+      .then(() => readLocal("stickyNotes", {}))
+      .then(stickyNotes => sendResponse(stickyNotes[msg.url] || []));
     return true;
   }
 
@@ -487,7 +1747,8 @@ else if (msg.type === "DELETE_STICKY_NOTE") {
 
 function setupKeepAlive() {
   chrome.alarms.create("keepAliveAlarm", { periodInMinutes: 4 });
-  console.log("⏰ KeepAlive alarm initialized");
+  chrome.alarms.create(RETENTION_ALARM, { delayInMinutes: 5, periodInMinutes: 60 });
+  console.log("⏰ KeepAlive and retention alarms initialized");
 }
 
 chrome.runtime.onInstalled.addListener(setupKeepAlive);
@@ -497,5 +1758,14 @@ chrome.alarms.onAlarm.addListener((alarm) => {
   if (alarm.name === "keepAliveAlarm") {
     console.log("🔄 KeepAlive alarm ping");
     chrome.storage.local.set({ lastKeepAlive: Date.now() });
+  } else if (alarm.name === SYNC_ALARM) {
+    initialized
+      .then(() => runSync('scheduled'))
+      .catch(err => console.error("[Sync] ❌ Scheduled sync failed:", err));
+  } else if (alarm.name === RETENTION_ALARM) {
+    // The alarm can wake the worker: wait for memory to load first
+    initialized
+      .then(applyRetention)
+      .catch(err => console.error("[Retention] ❌ Cleanup failed:", err));
   }
 });
@@ -0,0 +1,62 @@
+// --- clusters.js ---
+// Topic clusters over open tabs, labeled by the Prompt API and groupable into Chrome tab groups.
+import { clusterTabs } from '../utils/clustering.js';
+import { generateClusterLabel } from '../utils/aiClient.js';
+import { readLocal, writeLocal } from '../utils/vault.js';
+
+const CLUSTERS_KEY = 'tabClusters';
+const GROUP_COLORS = ['blue', 'green', 'purple', 'orange', 'cyan', 'pink', 'yellow', 'red', 'grey'];
+
+let clustersCache = [];
+
+export async function initClusters() {
+  clustersCache = await readLocal(CLUSTERS_KEY, []);
+}
+
+export function getClusters() {
+  return clustersCache;
+}
+
+// Cluster the given tab records and label each group. Single-tab groups are left unclustered.
+export async function runClustering(tabs) {
+  const groups = clusterTabs(tabs).filter(g => g.tabs.length > 1);
+  const batchId = Date.now().toString(36);
+
+  const clusters = [];
+  for (const [i, group] of groups.entries()) {
+    clusters.push({
+      id: `cluster-${batchId}-${i}`,
+      label: await generateClusterLabel(group.tabs, group.topTerms),
+      topTerms: group.topTerms,
+      tabIds: group.tabs.map(t => t.tabId),
+      color: GROUP_COLORS[i % GROUP_COLORS.length],
+      createdAt: Date.now(),
+    });
+  }
+
+  clustersCache = clusters;
+  await writeLocal(CLUSTERS_KEY, clusters);
+  console.log(`[Clusters] 🧩 Built ${clusters.length} cluster(s) from ${tabs.length} tab(s).`);
+  return clusters;
+}
+
+// Put a cluster's tabs into a labeled tab group (one group per window they live in).
+export async function groupClusterTabs(clusterId) {
+  const cluster = clustersCache.find(c => c.id === clusterId);
+  if (!cluster) throw new Error(`Cluster ${clusterId} not found.`);
+
+  const openTabs = await chrome.tabs.query({});
+  const byWindow = {};
+  openTabs
+    .filter(t => cluster.tabIds.includes(t.id) && !t.pinned)
+    .forEach(t => { (byWindow[t.windowId] = byWindow[t.windowId] || []).push(t.id); });
+
+  const groupIds = [];
+  for (const [windowId, tabIds] of Object.entries(byWindow)) {
+    const groupId = await chrome.tabs.group({ tabIds, createProperties: { windowId: Number(windowId) } });
+    await chrome.tabGroups.update(groupId, { title: cluster.label, color: cluster.color });
+    groupIds.push(groupId);
+  }
+  console.log(`[Clusters] 📎 Grouped "${cluster.label}" into ${groupIds.length} tab group(s).`);
+  return groupIds;
+}
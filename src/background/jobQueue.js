@@ -0,0 +1,144 @@
+// --- jobQueue.js ---
+// Persistent queue for on-device AI work. Caps concurrent Summarizer/Prompt calls,
+// runs the active tab first and collapses repeat jobs for the same tab.
+import { loadJobs, saveJob, deleteJob } from '../utils/storage.js';
+
+// How many jobs of each kind may run at once (each kind drives one model)
+const CONCURRENCY = { summarize: 1, tag: 1 };
+const MAX_ATTEMPTS = 3;
+
+// Lower runs first
+const JOB_PRIORITY = { active: 0, normal: 1, background: 2 };
+
+const pending = new Map(); // key -> job
+const running = new Map(); // key -> job
+let handlers = {};
+let onUpdate = () => {};
+let activeTabId = null;
+let progress = { done: 0, failed: 0 }; // since the queue was last idle
+
+const jobKey = (kind, tabId) => `${kind}:${tabId}`;
+
+// jobHandlers: { [kind]: async (job) => void }. Throwing marks the job for retry.
+export async function initJobQueue(jobHandlers, { onChange } = {}) {
+  handlers = jobHandlers;
+  if (onChange) onUpdate = onChange;
+
+  const jobs = await loadJobs();
+  // Jobs that were mid-run when the worker stopped simply go back in line
+  jobs.forEach(job => {
+    if (!handlers[job.kind]) deleteJob(job.key);
+    else if (!pending.has(job.key)) pending.set(job.key, job);
+  });
+  console.log(`[Jobs] Restored ${pending.size} queued job(s).`);
+  pump();
+}
+
+export function setActiveTab(tabId) {
+  activeTabId = tabId;
+}
+
+// Add a job, or fold it into an identical one that is still waiting
+export function enqueueJob(kind, tabId, { priority = 'normal' } = {}) {
+  const key = jobKey(kind, tabId);
+  if (!(priority in JOB_PRIORITY)) priority = 'normal';
+
+  const existing = pending.get(key);
+  if (existing) {
+    if (JOB_PRIORITY[priority] < JOB_PRIORITY[existing.priority]) {
+      existing.priority = priority;
+      saveJob(existing);
+    }
+    return existing;
+  }
+
+  const job = { key, kind, tabId, priority, enqueuedAt: Date.now(), attempts: 0 };
+  pending.set(key, job);
+  saveJob(job);
+  notify();
+  pump();
+  return job;
+}
+
+// Drop waiting jobs for a closed tab (a running one finishes on its own)
+export function cancelJobsForTab(tabId) {
+  for (const job of [...pending.values()]) {
+    if (job.tabId !== tabId) continue;
+    pending.delete(job.key);
+    if (!running.has(job.key)) deleteJob(job.key);
+  }
+  notify();
+}
+
+export function getQueueStatus() {
+  return {
+    pending: pending.size,
+    running: running.size,
+    done: progress.done,
+    failed: progress.failed,
+    current: [...running.values()].map(({ kind, tabId }) => ({ kind, tabId })),
+  };
+}
+
+function notify() {
+  onUpdate(getQueueStatus());
+}
+
+// Active tab first, then priority, then oldest
+function compareJobs(a, b) {
+  return (a.tabId !== activeTabId) - (b.tabId !== activeTabId)
+    || JOB_PRIORITY[a.priority] - JOB_PRIORITY[b.priority]
+    || a.enqueuedAt - b.enqueuedAt;
+}
+
+function nextJob(kind) {
+  let best = null;
+  for (const job of pending.values()) {
+    // A re-queued job waits until its earlier run for the same tab finishes
+    if (job.kind !== kind || running.has(job.key)) continue;
+    if (!best || compareJobs(job, best) < 0) best = job;
+  }
+  return best;
+}
+
+function pump() {
+  Object.entries(CONCURRENCY).forEach(([kind, limit]) => {
+    if (!handlers[kind]) return; // not initialized yet: jobs wait in line
+    let active = [...running.values()].filter(j => j.kind === kind).length;
+    while (active < limit) {
+      const job = nextJob(kind);
+      if (!job) break;
+      runJob(job);
+      active++;
+    }
+  });
+}
+
+async function runJob(job) {
+  pending.delete(job.key);
+  running.set(job.key, job);
+  job.attempts++;
+  saveJob(job);
+  notify();
+
+  try {
+    await handlers[job.kind](job);
+    progress.done++;
+    if (!pending.has(job.key)) await deleteJob(job.key);
+  } catch (err) {
+    console.error(`[Jobs] ❌ ${job.key} failed (attempt ${job.attempts}):`, err);
+    if (pending.has(job.key)) {
+      // A fresher job for the same tab is already waiting; let that one run instead
+    } else if (job.attempts < MAX_ATTEMPTS) {
+      pending.set(job.key, job);
+    } else {
+      progress.failed++;
+      await deleteJob(job.key);
+    }
+  } finally {
+    running.delete(job.key);
+    notify();
+    if (pending.size === 0 && running.size === 0) progress = { done: 0, failed: 0 };
+    pump();
+  }
+}
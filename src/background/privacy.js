@@ -0,0 +1,122 @@
+// --- privacy.js ---
+// Which pages may be captured: deny/allow lists, sites paused from the popup, pages with password
+// or payment fields, and incognito tabs. Checked before page text is stored or sent to a model.
+// Settings are kept in chrome.storage.sync.
+
+const PRIVACY_KEY = 'privacySettings';
+
+export const INCOGNITO_POLICIES = ['skip', 'memory', 'allow'];
+
+const DEFAULT_PRIVACY = {
+  mode: 'deny',         // 'deny': capture everything not on the deny list; 'allow': only the allow list
+  denyList: [],         // patterns, see matchesPattern
+  allowList: [],
+  pausedSites: [],      // hostnames paused from the popup
+  skipSensitive: true,  // pages with password fields or payment forms
+  incognito: 'skip',    // 'skip' | 'memory' (kept until the tab closes, never written to disk) | 'allow'
+};
+
+let privacy = DEFAULT_PRIVACY;
+
+export async function initPrivacy() {
+  const { [PRIVACY_KEY]: saved } = await chrome.storage.sync.get(PRIVACY_KEY);
+  privacy = saved ? { ...DEFAULT_PRIVACY, ...saved } : DEFAULT_PRIVACY;
+}
+
+export function getPrivacySettings() {
+  return privacy;
+}
+
+function cleanPatterns(list) {
+  return [...new Set((list || []).map(p => String(p).trim().toLowerCase()).filter(Boolean))];
+}
+
+export async function updatePrivacySettings(next) {
+  privacy = {
+    mode: next.mode === 'allow' ? 'allow' : 'deny',
+    denyList: cleanPatterns(next.denyList),
+    allowList: cleanPatterns(next.allowList),
+    pausedSites: cleanPatterns(next.pausedSites),
+    skipSensitive: next.skipSensitive !== false,
+    incognito: INCOGNITO_POLICIES.includes(next.incognito) ? next.incognito : DEFAULT_PRIVACY.incognito,
+  };
+  await chrome.storage.sync.set({ [PRIVACY_KEY]: privacy });
+  return privacy;
+}
+
+// Hostname without "www.", the unit the popup pauses
+export function siteOf(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '').toLowerCase();
+  } catch {
+    return null;
+  }
+}
+
+function globToRegExp(glob, { prefix }) {
+  const body = glob.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${body}${prefix ? '' : '$'}`);
+}
+
+// Pattern forms:
+//   example.com             the site and its subdomains
+//   *.example.com, mail.*   glob on the hostname
+//   example.com/private     that path and everything under it (globs allowed)
+//   https://intranet.local/ full-URL prefix (globs allowed)
+// `url` is a parsed URL. Also used for retention overrides.
+export function matchesPattern(pattern, url) {
+  if (/^[a-z]+:\/\//.test(pattern)) return globToRegExp(pattern, { prefix: true }).test(url.href.toLowerCase());
+  if (pattern.includes('/')) {
+    const host = url.hostname.replace(/^www\./, '');
+    return globToRegExp(pattern.replace(/^www\./, ''), { prefix: true }).test(`${host}${url.pathname}`.toLowerCase());
+  }
+  const host = url.hostname.toLowerCase();
+  if (pattern.includes('*')) return globToRegExp(pattern, { prefix: false }).test(host);
+  return host === pattern || host.endsWith(`.${pattern}`);
+}
+
+// The paused entry covering a site: the site itself or a parent domain (pausing example.com covers mail.example.com)
+function pausedEntryFor(site) {
+  return site ? privacy.pausedSites.find(p => site === p || site.endsWith(`.${p}`)) : undefined;
+}
+
+// Returns { allowed, reason, ephemeral }. `sensitive` is what the content script found on the page
+// ({ password, payment }); `ephemeral` records must never be written to disk.
+export function checkCapture(url, { incognito = false, sensitive = null } = {}) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return { allowed: false, reason: 'invalid-url' };
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return { allowed: false, reason: 'not-a-web-page' };
+  if (incognito && privacy.incognito === 'skip') return { allowed: false, reason: 'incognito' };
+
+  const site = siteOf(url);
+  if (pausedEntryFor(site)) return { allowed: false, reason: 'paused' };
+  if (privacy.denyList.some(p => matchesPattern(p, parsed))) return { allowed: false, reason: 'deny-list' };
+  if (privacy.mode === 'allow' && !privacy.allowList.some(p => matchesPattern(p, parsed))) {
+    return { allowed: false, reason: 'not-on-allow-list' };
+  }
+  if (privacy.skipSensitive && sensitive?.password) return { allowed: false, reason: 'password-field' };
+  if (privacy.skipSensitive && sensitive?.payment) return { allowed: false, reason: 'payment-form' };
+
+  return { allowed: true, reason: null, ephemeral: incognito && privacy.incognito === 'memory' };
+}
+
+export function isSitePaused(url) {
+  return !!pausedEntryFor(siteOf(url));
+}
+
+// Pause or resume capture for the page's site; returns the new state.
+// Resuming lifts whichever entry covers the page, which may be a parent domain.
+export async function toggleSitePause(url) {
+  const site = siteOf(url);
+  if (!site) throw new Error('Not a web page.');
+  const entry = pausedEntryFor(site);
+  await updatePrivacySettings({
+    ...privacy,
+    pausedSites: entry ? privacy.pausedSites.filter(s => s !== entry) : [...privacy.pausedSites, site],
+  });
+  return { site: entry || site, paused: !entry };
+}
@@ -0,0 +1,72 @@
+// --- retention.js ---
+// How long closed pages are remembered: the full text for a number of days (after that only the
+// summary, tags and metadata stay), the whole entry for a number of days, starred pages forever.
+// Per-domain overrides use the same pattern forms as the privacy lists. Settings are kept in
+// chrome.storage.sync; background.js enforces them on an alarm.
+import { matchesPattern } from './privacy.js';
+
+const RETENTION_KEY = 'retentionSettings';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Above this share of the browser's storage quota the oldest full texts are dropped early
+export const QUOTA_PRESSURE = 0.8;
+
+const DEFAULT_RETENTION = {
+  keepTextDays: 90,   // 0 = keep full text forever
+  purgeAfterDays: 0,  // 0 = never purge
+  overrides: [],      // [{ pattern, keepTextDays, purgeAfterDays }], first match wins
+};
+
+let retention = DEFAULT_RETENTION;
+
+export async function initRetention() {
+  const { [RETENTION_KEY]: saved } = await chrome.storage.sync.get(RETENTION_KEY);
+  retention = saved ? { ...DEFAULT_RETENTION, ...saved } : DEFAULT_RETENTION;
+}
+
+export function getRetentionSettings() {
+  return retention;
+}
+
+function cleanDays(value, fallback) {
+  const days = Math.floor(Number(value));
+  return Number.isFinite(days) && days >= 0 ? days : fallback;
+}
+
+export async function updateRetentionSettings(next) {
+  retention = {
+    keepTextDays: cleanDays(next.keepTextDays, DEFAULT_RETENTION.keepTextDays),
+    purgeAfterDays: cleanDays(next.purgeAfterDays, DEFAULT_RETENTION.purgeAfterDays),
+    overrides: (next.overrides || [])
+      .map(o => ({
+        pattern: String(o.pattern || '').trim().toLowerCase(),
+        keepTextDays: cleanDays(o.keepTextDays, 0),
+        purgeAfterDays: cleanDays(o.purgeAfterDays, 0),
+      }))
+      .filter(o => o.pattern),
+  };
+  await chrome.storage.sync.set({ [RETENTION_KEY]: retention });
+  return retention;
+}
+
+// The rules that apply to a page: its first matching override, else the defaults
+export function retentionFor(url) {
+  try {
+    const parsed = new URL(url);
+    const override = retention.overrides.find(o => matchesPattern(o.pattern, parsed));
+    if (override) return override;
+  } catch {
+    // not a valid URL — defaults apply
+  }
+  return retention;
+}
+
+// What retention does to a closed page right now: 'purge', 'trim' (drop the full text) or null
+export function retentionAction(entry, now = Date.now()) {
+  if (entry.starred) return null;
+  const { keepTextDays, purgeAfterDays } = retentionFor(entry.url);
+  const age = now - (entry.closedAt || entry.lastUpdated || now);
+  if (purgeAfterDays && age > purgeAfterDays * DAY_MS) return 'purge';
+  if (keepTextDays && entry.rawText && age > keepTextDays * DAY_MS) return 'trim';
+  return null;
+}
@@ -0,0 +1,139 @@
+// --- sessions.js ---
+// Saved sessions: named snapshots of a window or a tag cluster that can be reopened later.
+import { loadSessions, saveSession, deleteSession } from '../utils/storage.js';
+import { generateSessionName } from '../utils/aiClient.js';
+import { getPrivacySettings } from './privacy.js';
+
+let sessionsStore = {};
+
+export async function initSessions() {
+  const sessions = await loadSessions();
+  sessionsStore = {};
+  sessions.forEach(s => { sessionsStore[s.id] = s; });
+  console.log(`[Sessions] Loaded ${sessions.length} saved session(s).`);
+}
+
+export function listSessions() {
+  return Object.values(sessionsStore).sort((a, b) => b.createdAt - a.createdAt);
+}
+
+// Keep only what's needed to reopen and remember each page
+function toSessionTab(entry) {
+  return {
+    url: entry.url,
+    title: entry.title || entry.url,
+    tabNote: entry.tabNote || "",
+    tags: entry.tags || [],
+    pinned: !!entry.pinned,
+  };
+}
+
+// Snapshot the given memory entries into a new session.
+// `source` describes what was captured, e.g. { type: 'window', windowId } or { type: 'tag', tag }.
+export async function createSession(entries, source, name) {
+  // Sessions are written to disk: incognito tabs only when the privacy policy allows persisting them
+  const keepIncognito = getPrivacySettings().incognito === 'allow';
+  const webEntries = entries.filter(e => e.url && e.url.startsWith('http'));
+  const tabs = webEntries
+    .filter(e => keepIncognito || !e.incognito)
+    .map(toSessionTab);
+
+  if (tabs.length === 0) {
+    throw new Error(webEntries.length
+      ? "Nothing to save: incognito tabs aren't saved under the current privacy settings."
+      : "Nothing to save: no web pages in this selection.");
+  }
+
+  const session = {
+    id: crypto.randomUUID(),
+    name: name?.trim() || await generateSessionName(tabs),
+    source,
+    createdAt: Date.now(),
+    tabs,
+  };
+
+  sessionsStore[session.id] = session;
+  await saveSession(session);
+  console.log(`[Sessions] 💾 Saved "${session.name}" with ${tabs.length} tab(s).`);
+  return session;
+}
+
+export async function renameSession(id, name) {
+  const session = sessionsStore[id];
+  if (!session || !name?.trim()) return null;
+  session.name = name.trim();
+  await saveSession(session);
+  return session;
+}
+
+// Apply a tag rewrite (rename/merge/delete) to every saved session
+export async function rewriteSessionTags(rewriteTags) {
+  for (const session of Object.values(sessionsStore)) {
+    let changed = false;
+    session.tabs.forEach(tab => {
+      const next = rewriteTags(tab.tags);
+      if (JSON.stringify(next) !== JSON.stringify(tab.tags)) {
+        tab.tags = next;
+        changed = true;
+      }
+    });
+    if (changed) await saveSession(session);
+  }
+}
+
+export async function removeSession(id) {
+  if (!sessionsStore[id]) return false;
+  delete sessionsStore[id];
+  await deleteSession(id);
+  return true;
+}
+
+// Merge sessions from an archive by id. `wins(local, incoming)` settles conflicts.
+export async function importSessions(sessions, wins) {
+  let added = 0;
+  let updated = 0;
+  for (const session of sessions) {
+    const local = sessionsStore[session.id];
+    if (local && (JSON.stringify(local) === JSON.stringify(session) || !wins(local, session))) continue;
+    const imported = {
+      id: session.id,
+      name: session.name || 'Imported session',
+      source: session.source || { type: 'import' },
+      createdAt: session.createdAt || Date.now(),
+      tabs: session.tabs.filter(t => t?.url?.startsWith('http')).map(toSessionTab),
+    };
+    sessionsStore[imported.id] = imported;
+    await saveSession(imported);
+    if (local) updated++;
+    else added++;
+  }
+  return { added, updated };
+}
+
+// Reopen a session into a new window, optionally wrapped in a named tab group.
+export async function restoreSession(id, { asGroup = false } = {}) {
+  const session = sessionsStore[id];
+  if (!session) throw new Error(`Session ${id} not found.`);
+
+  const urls = session.tabs.map(t => t.url);
+  const win = await chrome.windows.create({ url: urls, focused: true });
+  const tabIds = (win.tabs || []).map(t => t.id).filter(Boolean);
+
+  // Restore pinned state before grouping (pinned tabs can't be grouped)
+  const pinnedIds = [];
+  session.tabs.forEach((t, i) => {
+    if (t.pinned && tabIds[i]) pinnedIds.push(tabIds[i]);
+  });
+  await Promise.all(pinnedIds.map(tId => chrome.tabs.update(tId, { pinned: true })));
+
+  if (asGroup && chrome.tabGroups) {
+    const groupable = tabIds.filter(tId => !pinnedIds.includes(tId));
+    if (groupable.length > 0) {
+      const groupId = await chrome.tabs.group({ tabIds: groupable, createProperties: { windowId: win.id } });
+      await chrome.tabGroups.update(groupId, { title: session.name });
+    }
+  }
+
+  console.log(`[Sessions] ♻️ Restored "${session.name}" into window ${win.id}.`);
+  return { windowId: win.id, tabCount: tabIds.length };
+}
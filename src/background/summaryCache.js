@@ -0,0 +1,117 @@
+// --- summaryCache.js ---
+// Summaries and AI tags keyed by URL + content hash (+ summary style), so identical page text
+// is only ever sent to the models once per style. Also keeps the hit/miss counters shown in Diagnostics.
+import { loadSummaryCache, saveSummaryCacheEntry, deleteSummaryCacheEntry, clearSummaryCache } from '../utils/storage.js';
+import { readLocal, writeLocal } from '../utils/vault.js';
+import { byteLength } from '../utils/textUtils.js';
+
+const STATS_KEY = 'summaryCacheStats';
+const MAX_ENTRIES = 1000;
+const MAX_RECENT_EVENTS = 25;
+
+const EMPTY_STATS = { hits: 0, misses: 0, unchanged: 0, since: Date.now(), recent: [] };
+
+const cache = new Map(); // key -> { key, url, hash, style, tabNote, sections, aiTags, createdAt, lastUsedAt }
+let stats = { ...EMPTY_STATS };
+
+const cacheKey = (url, hash, style) => `${url}#${hash}#${style}`;
+
+export async function initSummaryCache() {
+  const entries = await loadSummaryCache();
+  cache.clear();
+  entries.forEach(e => cache.set(e.key, e));
+  const saved = await readLocal(STATS_KEY, null);
+  stats = { ...EMPTY_STATS, since: Date.now(), recent: [], ...saved };
+  console.log(`[Cache] Loaded ${entries.length} cached summaries.`);
+}
+
+// outcome: 'hit' (copied from cache), 'miss' (sent to the models) or 'unchanged' (same text as before)
+export function recordCacheEvent(outcome, url) {
+  if (outcome === 'hit') stats.hits++;
+  else if (outcome === 'miss') stats.misses++;
+  else stats.unchanged++;
+  stats.recent = [{ outcome, url, at: Date.now() }, ...stats.recent].slice(0, MAX_RECENT_EVENTS);
+  writeLocal(STATS_KEY, stats).catch(() => {}); // nothing to record while the vault is locked
+}
+
+// Returns the cached entry for this exact text, recording a hit or miss
+export function lookupSummary(url, hash, style) {
+  const entry = cache.get(cacheKey(url, hash, style));
+  if (!entry?.tabNote) {
+    recordCacheEvent('miss', url);
+    return null;
+  }
+  entry.lastUsedAt = Date.now();
+  saveSummaryCacheEntry(entry);
+  recordCacheEvent('hit', url);
+  return entry;
+}
+
+// Merge results into the entry for url+hash+style (summary and tags arrive separately)
+export async function storeSummary(url, hash, style, { tabNote, sections, aiTags }) {
+  if (!url || !hash || !style) return;
+  const key = cacheKey(url, hash, style);
+  const entry = cache.get(key) || { key, url, hash, style, createdAt: Date.now() };
+  if (tabNote !== undefined) entry.tabNote = tabNote;
+  if (sections !== undefined) entry.sections = sections;
+  if (aiTags !== undefined) entry.aiTags = aiTags;
+  entry.lastUsedAt = Date.now();
+  cache.set(key, entry);
+  await saveSummaryCacheEntry(entry);
+  await evictOldest();
+}
+
+async function evictOldest() {
+  if (cache.size <= MAX_ENTRIES) return;
+  const stale = [...cache.values()]
+    .sort((a, b) => a.lastUsedAt - b.lastUsedAt)
+    .slice(0, cache.size - MAX_ENTRIES);
+  for (const entry of stale) {
+    cache.delete(entry.key);
+    await deleteSummaryCacheEntry(entry.key);
+  }
+}
+
+// Apply a tag rewrite (rename/merge/delete) to cached AI tags
+export async function rewriteCachedTags(rewriteTags) {
+  for (const entry of cache.values()) {
+    if (!entry.aiTags) continue;
+    const next = rewriteTags(entry.aiTags);
+    if (JSON.stringify(next) !== JSON.stringify(entry.aiTags)) {
+      entry.aiTags = next;
+      await saveSummaryCacheEntry(entry);
+    }
+  }
+}
+
+export async function resetSummaryCache() {
+  cache.clear();
+  stats = { ...EMPTY_STATS, since: Date.now(), recent: [] };
+  await clearSummaryCache();
+  await writeLocal(STATS_KEY, stats);
+}
+
+// Drop every cached summary of a page (retention purges)
+export async function forgetCachedSummaries(url) {
+  for (const entry of [...cache.values()]) {
+    if (entry.url !== url) continue;
+    cache.delete(entry.key);
+    await deleteSummaryCacheEntry(entry.key);
+  }
+}
+
+export function getCacheBytes() {
+  let bytes = 0;
+  cache.forEach(entry => { bytes += byteLength(entry); });
+  return bytes;
+}
+
+export function getCacheStats() {
+  const lookups = stats.hits + stats.misses;
+  return {
+    ...stats,
+    entries: cache.size,
+    maxEntries: MAX_ENTRIES,
+    hitRate: lookups ? stats.hits / lookups : null,
+  };
+}
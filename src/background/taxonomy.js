@@ -0,0 +1,124 @@
+// --- taxonomy.js ---
+// User-managed tag taxonomy (names, colours, tagging limits), kept in chrome.storage.sync.
+import { AI_CATEGORIES } from '../utils/aiClient.js';
+
+const TAXONOMY_KEY = 'tagTaxonomy';
+
+const DEFAULT_COLORS = ['#3b82f6', '#8b5cf6', '#10b981', '#f59e0b', '#ef4444', '#ec4899', '#06b6d4', '#84cc16'];
+
+const DEFAULT_TAXONOMY = {
+  categories: AI_CATEGORIES.map((name, i) => ({ name, color: DEFAULT_COLORS[i % DEFAULT_COLORS.length] })),
+  maxTags: 3,
+  freeformTopics: true,
+};
+
+let taxonomy = DEFAULT_TAXONOMY;
+
+export async function initTaxonomy() {
+  const { [TAXONOMY_KEY]: saved } = await chrome.storage.sync.get(TAXONOMY_KEY);
+  taxonomy = saved ? { ...DEFAULT_TAXONOMY, ...saved } : DEFAULT_TAXONOMY;
+}
+
+export function getTaxonomy() {
+  return taxonomy;
+}
+
+// Options passed to generateSmartTags
+export function getTaggingOptions() {
+  return {
+    categories: taxonomy.categories.map(c => c.name),
+    maxTags: taxonomy.maxTags,
+    freeformTopics: taxonomy.freeformTopics,
+  };
+}
+
+async function saveTaxonomy(next) {
+  taxonomy = next;
+  await chrome.storage.sync.set({ [TAXONOMY_KEY]: taxonomy });
+}
+
+// Tag names are compared without regard to case everywhere: "News" and "news" are one tag
+const tagKey = (name) => name?.toLowerCase();
+
+function findCategory(name) {
+  return taxonomy.categories.find(c => tagKey(c.name) === tagKey(name));
+}
+
+// Apply a taxonomy edit. Returns a Map of old tag -> new tag (null = removed)
+// that callers use to rewrite stored records.
+export async function updateTaxonomy(change) {
+  const rewrites = new Map();
+  let categories = [...taxonomy.categories];
+  const name = change.name?.trim();
+
+  switch (change.op) {
+    case 'add':
+      if (!name || findCategory(name)) break;
+      categories.push({ name, color: change.color || DEFAULT_COLORS[categories.length % DEFAULT_COLORS.length] });
+      break;
+
+    case 'color':
+      categories = categories.map(c => (tagKey(c.name) === tagKey(name) ? { ...c, color: change.color } : c));
+      break;
+
+    case 'rename': {
+      const to = change.to?.trim();
+      if (!name || !to || name === to) break;
+      const source = findCategory(name);
+      const target = findCategory(to);
+      if (target && target !== source) {
+        // Renaming onto an existing tag is a merge
+        categories = categories.filter(c => c !== source);
+        rewrites.set(name, target.name);
+      } else {
+        // Includes case-only renames ("news" -> "News")
+        categories = categories.map(c => (c === source ? { ...c, name: to } : c));
+        rewrites.set(name, to);
+      }
+      break;
+    }
+
+    case 'merge': {
+      const into = change.into?.trim();
+      if (!into) break;
+      const sources = (change.from || []).filter(f => tagKey(f) !== tagKey(into));
+      categories = categories.filter(c => !sources.some(f => tagKey(f) === tagKey(c.name)));
+      if (!categories.some(c => tagKey(c.name) === tagKey(into))) {
+        categories.push({ name: into, color: DEFAULT_COLORS[categories.length % DEFAULT_COLORS.length] });
+      }
+      sources.forEach(f => rewrites.set(f, into));
+      break;
+    }
+
+    case 'delete':
+      categories = categories.filter(c => tagKey(c.name) !== tagKey(name));
+      rewrites.set(name, null);
+      break;
+
+    case 'settings':
+      await saveTaxonomy({
+        ...taxonomy,
+        maxTags: Math.min(8, Math.max(1, Number(change.maxTags) || taxonomy.maxTags)),
+        freeformTopics: change.freeformTopics ?? taxonomy.freeformTopics,
+      });
+      return rewrites;
+
+    default:
+      throw new Error(`Unknown taxonomy operation: ${change.op}`);
+  }
+
+  await saveTaxonomy({ ...taxonomy, categories });
+  return rewrites;
+}
+
+// Rewrite a tag list through a rename/merge/delete map, keeping order and dropping duplicates
+export function rewriteTagList(tags, rewrites) {
+  if (!Array.isArray(tags)) return tags;
+  const lookup = new Map([...rewrites].map(([from, to]) => [tagKey(from), to]));
+  const out = [];
+  tags.forEach(tag => {
+    const next = lookup.has(tagKey(tag)) ? lookup.get(tagKey(tag)) : tag;
+    if (next && !out.some(t => tagKey(t) === tagKey(next))) out.push(next);
+  });
+  return out;
+}
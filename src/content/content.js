@@ -2,46 +2,110 @@
 
 console.log("Content script loaded ✅");
 
-// Heuristically find the main content block for better summarization
-function getMainContentText() {
-    
-    // 1. Prioritize standard article container elements
-    const article = document.querySelector('main, article, [role="main"], #content, .content-main, .post');
-    if (article) {
-        return article.innerText;
-    }
-
-    // 2. Fallback: Find the element that contains the most text
-    let maxTextLength = 0;
-    let mainText = document.body.innerText;
-
-    document.querySelectorAll('div, p, section').forEach(el => {
-        const text = el.innerText;
-        // Check for displayed elements with high text density
-        if (el.offsetParent !== null && text.length > maxTextLength * 1.5) { 
-            maxTextLength = text.length;
-            mainText = text;
-        }
-    });
-    
-    // Clean up excessive whitespace/newlines
-    return mainText.replace(/(\n\s*){3,}/g, '\n\n').trim();
+// Password fields and payment forms; the background skips these pages unless the user allows them
+const PAYMENT_FIELD_SELECTOR = [
+    'input[autocomplete^="cc-"]',
+    'input[name*="cardnumber" i]', 'input[name*="card_number" i]', 'input[name*="card-number" i]',
+    'input[name*="cvc" i]', 'input[name*="cvv" i]', 'input[name*="iban" i]',
+    'iframe[src*="js.stripe.com"]', 'iframe[src*="braintreegateway.com"]', 'iframe[src*="adyen.com"]',
+].join(",");
+
+function detectSensitiveFields() {
+    return {
+        password: !!document.querySelector('input[type="password"]'),
+        payment: !!document.querySelector(PAYMENT_FIELD_SELECTOR),
+    };
 }
 
 // Function to extract page info and send to background
 function extractPageData() {
+    // Readability-style extraction (extractor.js): main text without boilerplate, plus page metadata
+    const { text, metadata } = window.TabrixExtractor.extractPage(document);
     const pageData = {
         title: document.title || "",
         url: window.location.href || "",
-        bodyText: getMainContentText(), // Use the robust content extractor
+        bodyText: text,
+        metadata,
+        sensitive: detectSensitiveFields(),
     };
     return pageData;
 }
 
 // Send extracted data to background service worker for AI processing
+let lastCapture = extractPageData();
 chrome.runtime.sendMessage({
     type: "PAGE_CONTENT",
-    data: extractPageData()
+    data: lastCapture
+});
+
+// --- 🔄 Re-capture on SPA navigations and dynamic updates ---
+// Client-side routes (pushState) and large DOM changes don't reload the page, so capture again
+// (debounced); the background diffs against what it summarized and decides whether to re-summarize.
+const ROUTE_SETTLE_MS = 1500; // let the new route render first
+const MUTATION_SETTLE_MS = 4000;
+const MIN_MUTATION_INTERVAL_MS = 30 * 1000; // live feeds/chat would otherwise re-capture constantly
+const MIN_MUTATION_CHARS = 500; // text added/removed before a change counts as significant
+
+let recaptureTimer = null;
+let pendingReason = null;
+let mutatedChars = 0;
+let lastCaptureAt = Date.now();
+
+function recapture() {
+    recaptureTimer = null;
+    // Hidden tabs catch up when they're shown again
+    if (document.visibilityState === "hidden") return;
+    const reason = pendingReason;
+    pendingReason = null;
+    mutatedChars = 0;
+    lastCaptureAt = Date.now();
+
+    const data = extractPageData();
+    if (data.url === lastCapture.url && data.bodyText === lastCapture.bodyText) return;
+    lastCapture = data;
+    console.log(`[Recapture] 🔄 Page changed (${reason}) → re-sending content`);
+    chrome.runtime.sendMessage({ type: "PAGE_CONTENT", data, reason }).catch(() => {});
+}
+
+function scheduleRecapture(reason) {
+    // Mutations don't push back a capture already waiting (live pages would never settle),
+    // and a pending route change covers them
+    if (reason === "mutation" && (recaptureTimer || pendingReason === "route")) return;
+    pendingReason = reason;
+    clearTimeout(recaptureTimer);
+    const delay = reason === "route"
+        ? ROUTE_SETTLE_MS
+        : Math.max(MUTATION_SETTLE_MS, lastCaptureAt + MIN_MUTATION_INTERVAL_MS - Date.now());
+    recaptureTimer = setTimeout(recapture, delay);
+}
+
+function checkRoute() {
+    if (window.location.href !== lastCapture.url) scheduleRecapture("route");
+}
+
+// Content scripts can't see the page's own history.pushState calls; the Navigation API and popstate can
+window.navigation?.addEventListener("navigatesuccess", checkRoute);
+window.addEventListener("popstate", checkRoute);
+
+const contentObserver = new MutationObserver((mutations) => {
+    checkRoute(); // fallback for browsers without the Navigation API
+    for (const m of mutations) {
+        // Our own UI (sticky notes, popups) isn't page content
+        const target = m.target.nodeType === Node.ELEMENT_NODE ? m.target : m.target.parentElement;
+        if (target?.closest?.(".ai-tabrix-sticky, [data-ai-tabrix]")) continue;
+        if (m.type === "characterData") {
+            mutatedChars += Math.abs((m.target.nodeValue?.length || 0) - (m.oldValue?.length || 0)) || 1;
+        } else {
+            m.addedNodes.forEach(n => { mutatedChars += n.textContent?.length || 0; });
+            m.removedNodes.forEach(n => { mutatedChars += n.textContent?.length || 0; });
+        }
+    }
+    if (mutatedChars >= MIN_MUTATION_CHARS) scheduleRecapture("mutation");
+});
+contentObserver.observe(document.body, { childList: true, subtree: true, characterData: true, characterDataOldValue: true });
+
+document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "visible" && pendingReason && !recaptureTimer) recapture();
 });
 
 // --- 🔁 Duplicate Notifier UI with Debug Logs ---
@@ -51,6 +115,7 @@ function showDuplicatePopup(existingTabId, windowId) {
   console.log("[DuplicateNotifier] Showing popup for duplicate:", existingTabId);
 
   const popup = document.createElement("div");
+  popup.dataset.aiTabrix = "duplicate-notifier";
   popup.style.position = "fixed";
   popup.style.top = "30px";
   popup.style.right = "30px";
@@ -122,8 +187,19 @@ chrome.runtime.onMessage.addListener((msg) => {
 });
 
 // content.js — Sticky notes (replacement block)
+// A note keeps its text as markdown-lite, a colour, a size, a collapsed flag and an anchor to the
+// page content (noteAnchors.js); x/y are where it was last put, used when the anchor can't be found.
 window.activeNotes = window.activeNotes || [];
-const activeNotes = window.activeNotes;
+const activeNotes = window.activeNotes; // { div, place } per rendered note
+
+const NOTE_COLORS = {
+  yellow: "#fff8b3",
+  green: "#d4f5c4",
+  blue: "#cfe8ff",
+  pink: "#ffd6e7",
+  grey: "#ececec",
+};
+const RESIZE_HANDLE_PX = 16; // bottom-right corner where the browser draws the resize grip
 
 // Helper: safely read the stickyNotes toggle (returns Promise<boolean>)
 function isStickyEnabled() {
@@ -136,74 +212,206 @@ function isStickyEnabled() {
   });
 }
 
-// Render function kept mostly as-is (I reused your renderNote but kept it self-contained)
+function saveNote(note) {
+  note.updatedAt = Date.now();
+  chrome.runtime.sendMessage({ type: "CREATE_STICKY_NOTE", note });
+}
+
+function escapeHtml(text) {
+  return text.replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+}
+
+// Markdown-lite: **bold**, *italic*, ~~strike~~, `code`, [link](https://…), "- " bullets, "# " headings
+function renderMarkdownLite(source) {
+  const inline = (line) => escapeHtml(line)
+    .replace(/`([^`]+)`/g, '<code style="background:rgba(0,0,0,0.07);padding:0 3px;border-radius:3px">$1</code>')
+    .replace(/\*\*([^*]+)\*\*/g, "<strong>$1</strong>")
+    .replace(/(^|[^*])\*([^*\s][^*]*)\*/g, "$1<em>$2</em>")
+    .replace(/~~([^~]+)~~/g, "<s>$1</s>")
+    .replace(/\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/g, '<a href="$2" target="_blank" rel="noopener noreferrer" style="color:#1a56db;text-decoration:underline">$1</a>');
+
+  const html = [];
+  let inList = false;
+  (source || "").split("\n").forEach(line => {
+    const bullet = line.match(/^\s*[-*]\s+(.*)$/);
+    if (bullet && !inList) html.push('<ul style="margin:0;padding-left:18px">');
+    if (!bullet && inList) html.push("</ul>");
+    inList = !!bullet;
+    if (bullet) html.push(`<li>${inline(bullet[1])}</li>`);
+    else if (/^#{1,3}\s/.test(line)) html.push(`<div style="font-weight:700;font-size:1.1em">${inline(line.replace(/^#+\s/, ""))}</div>`);
+    else html.push(`<div>${inline(line) || "<br>"}</div>`);
+  });
+  if (inList) html.push("</ul>");
+  return html.join("");
+}
+
+function noteButton(label, title) {
+  const btn = document.createElement("button");
+  btn.textContent = label;
+  btn.title = title;
+  btn.style.border = "none";
+  btn.style.background = "transparent";
+  btn.style.cursor = "pointer";
+  btn.style.fontSize = "16px";
+  btn.style.color = "#444";
+  btn.style.fontWeight = "700";
+  btn.style.lineHeight = "1";
+  btn.style.padding = "0 2px";
+  return btn;
+}
+
 function renderNote(note) {
+  const anchors = window.TabrixNoteAnchors;
+
   // create container
   const div = document.createElement("div");
   div.className = "ai-tabrix-sticky";
   div.style.position = "absolute";
-  div.style.left = (note.x ?? 100) + "px";
-  div.style.top = (note.y ?? 100) + "px";
-  div.style.background = "#fff8b3";
   div.style.padding = "8px 10px";
   div.style.borderRadius = "8px";
   div.style.boxShadow = "0 2px 6px rgba(0,0,0,0.15)";
   div.style.zIndex = 999999;
   div.style.minWidth = "120px";
   div.style.minHeight = "60px";
-  div.style.overflow = "hidden";
+  div.style.boxSizing = "border-box";
+  div.style.overflow = "auto";
+  div.style.resize = "both";
   div.style.display = "inline-block";
   div.style.cursor = "default";
+  if (note.width) div.style.width = `${note.width}px`;
+  if (note.height) div.style.height = `${note.height}px`;
 
-  // header (holds delete button)
+  // header: colour swatches on the left, minimise and delete on the right
   const header = document.createElement("div");
   header.style.display = "flex";
-  header.style.justifyContent = "flex-end";
+  header.style.justifyContent = "space-between";
   header.style.alignItems = "center";
+  header.style.gap = "6px";
   header.style.marginBottom = "4px";
-  header.style.pointerEvents = "none";
-
-  const delBtn = document.createElement("button");
-  delBtn.textContent = "×";
-  delBtn.title = "Delete note";
-  delBtn.style.pointerEvents = "auto";
-  delBtn.style.border = "none";
-  delBtn.style.background = "transparent";
-  delBtn.style.cursor = "pointer";
-  delBtn.style.fontSize = "16px";
-  delBtn.style.color = "#444";
-  delBtn.style.fontWeight = "700";
-  delBtn.style.lineHeight = "1";
-  delBtn.style.opacity = "0";
-  delBtn.style.transition = "opacity 120ms ease";
-
-  div.addEventListener("mouseenter", () => (delBtn.style.opacity = "1"));
-  div.addEventListener("mouseleave", () => (delBtn.style.opacity = "0"));
-  header.appendChild(delBtn);
+  header.style.opacity = "0";
+  header.style.transition = "opacity 120ms ease";
+
+  const swatches = document.createElement("div");
+  swatches.style.display = "flex";
+  swatches.style.gap = "3px";
+  Object.entries(NOTE_COLORS).forEach(([name, color]) => {
+    const swatch = document.createElement("button");
+    swatch.title = name;
+    swatch.style.width = "12px";
+    swatch.style.height = "12px";
+    swatch.style.padding = "0";
+    swatch.style.borderRadius = "50%";
+    swatch.style.border = "1px solid rgba(0,0,0,0.3)";
+    swatch.style.background = color;
+    swatch.style.cursor = "pointer";
+    swatch.addEventListener("click", (e) => {
+      e.stopPropagation();
+      note.color = name;
+      applyColor();
+      saveNote(note);
+    });
+    swatches.appendChild(swatch);
+  });
+
+  const actions = document.createElement("div");
+  const minBtn = noteButton("–", "Minimise note");
+  const delBtn = noteButton("×", "Delete note");
+  actions.appendChild(minBtn);
+  actions.appendChild(delBtn);
+  header.appendChild(swatches);
+  header.appendChild(actions);
+
+  // collapsed form: just an icon at the note's place
+  const icon = document.createElement("div");
+  icon.textContent = "🗒️";
+  icon.title = "Show note";
+  icon.style.cursor = "pointer";
+  icon.style.fontSize = "18px";
+  icon.style.lineHeight = "1";
+
+  div.addEventListener("mouseenter", () => (header.style.opacity = "1"));
+  div.addEventListener("mouseleave", () => (header.style.opacity = "0"));
 
   const textDiv = document.createElement("div");
-  textDiv.contentEditable = true;
-  textDiv.innerText = note.text || "";
   textDiv.style.outline = "none";
   textDiv.style.paddingRight = "8px";
   textDiv.style.minHeight = "40px";
   textDiv.style.whiteSpace = "pre-wrap";
   textDiv.style.wordBreak = "break-word";
-  textDiv.style.color = "#000"
+  textDiv.style.color = "#000";
+  textDiv.style.cursor = "text";
   // apply saved font size from storage (async)
   chrome.storage.local.get("stickyFontSize", ({ stickyFontSize = "16px" }) => {
     textDiv.style.fontSize = stickyFontSize;
   });
 
+  // shown formatted; click to edit the source
+  const showFormatted = () => {
+    textDiv.contentEditable = "false";
+    textDiv.innerHTML = renderMarkdownLite(note.text);
+  };
+  textDiv.addEventListener("click", (e) => {
+    if (e.target.closest("a") || textDiv.isContentEditable) return;
+    textDiv.contentEditable = "plaintext-only";
+    textDiv.innerText = note.text || "";
+    textDiv.focus();
+  });
+
   // save text on blur (upsert)
   textDiv.addEventListener("blur", () => {
-    note.text = textDiv.innerText;
-    chrome.runtime.sendMessage({ type: "CREATE_STICKY_NOTE", note });
+    if (!textDiv.isContentEditable) return;
+    const text = textDiv.innerText;
+    showFormatted();
+    if (text === note.text) return;
+    note.text = text;
+    saveNote(note);
+  });
+
+  const applyColor = () => {
+    div.style.background = NOTE_COLORS[note.color] || NOTE_COLORS.yellow;
+  };
+
+  const applyCollapsed = () => {
+    const collapsed = !!note.collapsed;
+    header.style.display = collapsed ? "none" : "flex";
+    textDiv.style.display = collapsed ? "none" : "block";
+    icon.style.display = collapsed ? "block" : "none";
+    div.style.resize = collapsed ? "none" : "both";
+    div.style.minWidth = collapsed ? "0" : "120px";
+    div.style.minHeight = collapsed ? "0" : "60px";
+    div.style.padding = collapsed ? "5px" : "8px 10px";
+    div.style.borderRadius = collapsed ? "50%" : "8px";
+    div.style.width = collapsed ? "auto" : note.width ? `${note.width}px` : "";
+    div.style.height = collapsed ? "auto" : note.height ? `${note.height}px` : "";
+    div.style.overflow = collapsed ? "visible" : "auto";
+  };
+
+  // follow the anchored content; the last dropped position if it's gone
+  const place = () => {
+    if (isDragging) return;
+    const anchored = anchors?.placeAnchored(note.anchor);
+    div.style.left = `${Math.max(0, Math.round(anchored?.left ?? note.x ?? 100))}px`;
+    div.style.top = `${Math.max(0, Math.round(anchored?.top ?? note.y ?? 100))}px`;
+  };
+
+  minBtn.addEventListener("click", (e) => {
+    e.stopPropagation();
+    note.collapsed = true;
+    applyCollapsed();
+    saveNote(note);
+  });
+  icon.addEventListener("click", (e) => {
+    e.stopPropagation();
+    note.collapsed = false;
+    applyCollapsed();
+    saveNote(note);
   });
 
   delBtn.addEventListener("click", (e) => {
     e.stopPropagation();
     div.remove();
+    const i = activeNotes.findIndex(n => n.div === div);
+    if (i >= 0) activeNotes.splice(i, 1);
     chrome.runtime.sendMessage({
       type: "DELETE_STICKY_NOTE",
       id: note.id,
@@ -211,13 +419,19 @@ function renderNote(note) {
     });
   });
 
-  // draggable
+  // draggable; the browser's own grip in the corner resizes
   let isDragging = false;
+  let isResizing = false;
   let offsetX = 0;
   let offsetY = 0;
 
   div.addEventListener("mousedown", (e) => {
-    if (e.target === textDiv || e.target === delBtn) return;
+    if (textDiv.contains(e.target) || e.target.closest("button") || e.target === icon) return;
+    const rect = div.getBoundingClientRect();
+    if (!note.collapsed && e.clientX > rect.right - RESIZE_HANDLE_PX && e.clientY > rect.bottom - RESIZE_HANDLE_PX) {
+      isResizing = true;
+      return;
+    }
     isDragging = true;
     offsetX = e.clientX - div.getBoundingClientRect().left;
     offsetY = e.clientY - div.getBoundingClientRect().top;
@@ -227,19 +441,28 @@ function renderNote(note) {
 
   const onMouseMove = (e) => {
     if (!isDragging) return;
-    const left = e.clientX - offsetX;
-    const top = e.clientY - offsetY;
+    const left = e.clientX - offsetX + window.scrollX;
+    const top = e.clientY - offsetY + window.scrollY;
     div.style.left = `${left}px`;
     div.style.top = `${top}px`;
   };
 
   const onMouseUp = () => {
+    if (isResizing) {
+      isResizing = false;
+      if (div.offsetWidth === note.width && div.offsetHeight === note.height) return;
+      note.width = div.offsetWidth;
+      note.height = div.offsetHeight;
+      saveNote(note);
+      return;
+    }
     if (!isDragging) return;
     isDragging = false;
     div.style.cursor = "default";
     note.x = parseInt(div.style.left, 10);
     note.y = parseInt(div.style.top, 10);
-    chrome.runtime.sendMessage({ type: "CREATE_STICKY_NOTE", note });
+    note.anchor = anchors?.describeAnchorAt(note.x, note.y) || null;
+    saveNote(note);
   };
 
   document.addEventListener("mousemove", onMouseMove);
@@ -247,10 +470,30 @@ function renderNote(note) {
 
   // assemble and attach
   div.appendChild(header);
+  div.appendChild(icon);
   div.appendChild(textDiv);
+  applyColor();
+  applyCollapsed();
+  showFormatted();
   document.body.appendChild(div);
-  activeNotes.push(div);
+  place();
+  activeNotes.push({ div, place });
+
+  // notes from before anchoring: anchor them where they sit now
+  if (!note.anchor && anchors) {
+    note.anchor = anchors.describeAnchorAt(note.x ?? 100, note.y ?? 100);
+    if (note.anchor) saveNote(note);
+  }
+}
+
+// Re-place notes when the layout moves under them (window resizes, content loading in)
+let notesLayoutTimer = null;
+function scheduleNotesLayout() {
+  clearTimeout(notesLayoutTimer);
+  notesLayoutTimer = setTimeout(() => activeNotes.forEach(n => n.place?.()), 150);
 }
+window.addEventListener("resize", scheduleNotesLayout);
+new ResizeObserver(scheduleNotesLayout).observe(document.body);
 
 // Initialize sticky notes (load saved notes) if toggle ON
 (async () => {
@@ -270,6 +513,8 @@ function renderNote(note) {
 
 // dblclick handler: check toggle at runtime before creating a new note
 document.addEventListener("dblclick", async (e) => {
+  // double-clicking inside a note selects a word, it doesn't make another note
+  if (e.target.closest?.(".ai-tabrix-sticky")) return;
   const enabled = await isStickyEnabled();
   if (!enabled) {
     // ignore dblclick if sticky notes disabled
@@ -281,7 +526,10 @@ document.addEventListener("dblclick", async (e) => {
     text: "New Note",
     x: e.pageX,
     y: e.pageY,
-    url: window.location.href
+    color: "yellow",
+    anchor: window.TabrixNoteAnchors?.describeAnchorAt(e.pageX, e.pageY) || null,
+    url: window.location.href,
+    updatedAt: Date.now()
   };
   renderNote(newNote);
   chrome.runtime.sendMessage({ type: "CREATE_STICKY_NOTE", note: newNote });
@@ -299,8 +547,8 @@ chrome.storage.onChanged.addListener((changes, area) => {
 
     if (!nextOn && prevOn) {
       // user turned off -> remove existing notes
-      activeNotes.forEach(n => n.remove());
-      activeNotes = [];
+      activeNotes.forEach(n => n.div.remove());
+      activeNotes.length = 0;
       console.log("[StickyNotes] Disabled at runtime -> removed active notes");
     } else if (nextOn && !prevOn) {
       // user turned on -> load saved notes for this page
@@ -313,13 +561,6 @@ chrome.storage.onChanged.addListener((changes, area) => {
 });
 console.log("🧩 Content script loaded ✅");
 
-// Heuristically find the main content block (for your existing summarizer)
-function getMainContentText() {
-  const article = document.querySelector('main, article, [role="main"], #content, .content-main, .post');
-  if (article) return article.innerText;
-  return document.body.innerText;
-}
-
 // --- Background keep-alive ping ---
 function startPingLoop() {
   const PING_INTERVAL_MS = 30 * 1000; // every 30 seconds
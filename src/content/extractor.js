@@ -0,0 +1,260 @@
+// src/content/extractor.js
+// Readability-style main content extraction plus page metadata.
+// Loaded before content.js (classic content scripts can't import), exposed as window.TabrixExtractor.
+
+(() => {
+  if (window.TabrixExtractor) return; // already injected into this page
+
+  // Never part of the readable content. Form controls go but <form> itself stays: ASP.NET WebForms and
+  // many CMS pages wrap the whole page in one.
+  const BOILERPLATE_SELECTOR = [
+    "script", "style", "noscript", "template", "svg", "canvas", "iframe", "button", "input", "select", "textarea",
+    "nav", "footer", "aside", "dialog",
+    "[role='navigation']", "[role='banner']", "[role='contentinfo']", "[role='complementary']", "[role='dialog']",
+    "[role='alertdialog']", "[aria-hidden='true']", "[hidden]",
+  ].join(",");
+
+  // Class/id hints, as in Mozilla's Readability
+  const UNLIKELY = /banner|breadcrumb|combx|comment|community|consent|cookie|cover-wrap|disqus|extra|gdpr|header|legends|menu|modal|newsletter|pager|pagination|popup|promo|related|remark|replies|rss|share|shoutbox|sidebar|skyscraper|social|sponsor|subscribe|supplemental|tags|toolbar|tweet|twitter|widget|ad-break|advert/i;
+  const MAYBE = /and|article|body|column|content|main|shadow/i;
+  const POSITIVE = /article|body|content|entry|hentry|h-entry|main|page|post|text|blog|story/i;
+  const NEGATIVE = /-ad-|hidden|^hid$| hid$| hid |^hid |banner|combx|comment|com-|contact|footer|gdpr|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|widget/i;
+
+  const SCORED_TAGS = new Set(["P", "PRE", "TD", "BLOCKQUOTE", "LI", "DD"]);
+  const BLOCK_TAGS = new Set([
+    "ADDRESS", "ARTICLE", "BLOCKQUOTE", "BR", "DD", "DIV", "DL", "DT", "FIGCAPTION", "FIGURE", "H1", "H2", "H3", "H4", "H5", "H6",
+    "HEADER", "HR", "LI", "MAIN", "OL", "P", "PRE", "SECTION", "TABLE", "TR", "UL",
+  ]);
+  const MIN_PARAGRAPH_CHARS = 25;
+  const MIN_CONTENT_CHARS = 500; // shorter picks fall back to the whole cleaned body
+  const MAX_OUTLINE = 30;
+
+  function classWeight(el) {
+    let weight = 0;
+    for (const hint of [el.className, el.id]) {
+      if (typeof hint !== "string" || !hint) continue;
+      if (NEGATIVE.test(hint)) weight -= 25;
+      if (POSITIVE.test(hint)) weight += 25;
+    }
+    return weight;
+  }
+
+  function initialScore(el) {
+    switch (el.tagName) {
+      case "ARTICLE": case "MAIN": return 10 + classWeight(el);
+      case "DIV": case "SECTION": return 5 + classWeight(el);
+      case "PRE": case "TD": case "BLOCKQUOTE": return 3 + classWeight(el);
+      case "OL": case "UL": case "DL": case "DD": case "DT": case "LI": case "FORM": return -3 + classWeight(el);
+      case "H1": case "H2": case "H3": case "H4": case "H5": case "H6": case "TH": return -5 + classWeight(el);
+      default: return classWeight(el);
+    }
+  }
+
+  function normalizeSpace(text) {
+    return (text || "").replace(/\s+/g, " ").trim();
+  }
+
+  function linkDensity(el) {
+    const length = normalizeSpace(el.textContent).length;
+    if (!length) return 0;
+    let linkLength = 0;
+    el.querySelectorAll("a").forEach(a => { linkLength += normalizeSpace(a.textContent).length; });
+    return linkLength / length;
+  }
+
+  // Strip boilerplate from a detached copy of the body; the live page is never touched
+  function cleanedBody(doc) {
+    const body = doc.body.cloneNode(true);
+    body.querySelectorAll(BOILERPLATE_SELECTOR).forEach(el => el.remove());
+    body.querySelectorAll("[style]").forEach(el => {
+      if (/display\s*:\s*none|visibility\s*:\s*hidden/i.test(el.getAttribute("style"))) el.remove();
+    });
+    body.querySelectorAll("*").forEach(el => {
+      if (!el.isConnected || el.tagName === "BODY" || el.tagName === "ARTICLE" || el.tagName === "MAIN") return;
+      const hint = `${el.className && typeof el.className === "string" ? el.className : ""} ${el.id || ""}`;
+      if (UNLIKELY.test(hint) && !MAYBE.test(hint)) el.remove();
+    });
+    return body;
+  }
+
+  function pickContentNodes(body) {
+    const scores = new Map();
+    const addScore = (el, points) => {
+      if (!el || el === body.parentNode) return;
+      if (!scores.has(el)) scores.set(el, initialScore(el));
+      scores.set(el, scores.get(el) + points);
+    };
+
+    body.querySelectorAll("*").forEach(el => {
+      if (!SCORED_TAGS.has(el.tagName)) return;
+      const text = normalizeSpace(el.textContent);
+      if (text.length < MIN_PARAGRAPH_CHARS) return;
+      // One point per paragraph, per comma and per 100 chars (up to 3)
+      const commas = text.split(/[,，、]/).length - 1;
+      const points = 1 + commas + Math.min(Math.floor(text.length / 100), 3);
+      addScore(el.parentElement, points);
+      addScore(el.parentElement?.parentElement, points / 2);
+      addScore(el.parentElement?.parentElement?.parentElement, points / 3);
+    });
+
+    let top = null;
+    let topScore = 0;
+    scores.forEach((score, el) => {
+      const adjusted = score * (1 - linkDensity(el));
+      scores.set(el, adjusted);
+      if (adjusted > topScore) {
+        top = el;
+        topScore = adjusted;
+      }
+    });
+    if (!top) return [body];
+
+    // Siblings scoring close to the winner (or prose-like paragraphs) are part of the same article
+    const parent = top.parentElement;
+    if (!parent) return [top];
+    const threshold = Math.max(10, topScore * 0.2);
+    return [...parent.children].filter(sibling => {
+      if (sibling === top) return true;
+      if ((scores.get(sibling) || 0) >= threshold) return true;
+      if (sibling.tagName !== "P") return false;
+      const text = normalizeSpace(sibling.textContent);
+      return (text.length > 80 && linkDensity(sibling) < 0.25) || (/\.( |$)/.test(text) && linkDensity(sibling) === 0);
+    });
+  }
+
+  // textContent with line breaks around block elements (a detached copy has no layout for innerText)
+  function blockText(nodes) {
+    const lines = [];
+    let current = "";
+    const flush = () => {
+      const line = normalizeSpace(current);
+      if (line) lines.push(line);
+      current = "";
+    };
+    const walk = (node) => {
+      if (node.nodeType === Node.TEXT_NODE) {
+        current += node.nodeValue;
+        return;
+      }
+      if (node.nodeType !== Node.ELEMENT_NODE) return;
+      const block = BLOCK_TAGS.has(node.tagName);
+      if (block) flush();
+      if (node.tagName === "LI") current += "• ";
+      node.childNodes.forEach(walk);
+      if (block) flush();
+    };
+    nodes.forEach(walk);
+    flush();
+    return lines.join("\n");
+  }
+
+  // --- Metadata ---
+
+  function meta(doc, ...names) {
+    for (const name of names) {
+      const el = doc.querySelector(`meta[property="${name}"], meta[name="${name}"], meta[itemprop="${name}"]`);
+      const value = normalizeSpace(el?.getAttribute("content"));
+      if (value) return value;
+    }
+    return null;
+  }
+
+  // Every JSON-LD object on the page, with @graph containers flattened
+  function jsonLdObjects(doc) {
+    const objects = [];
+    const visit = (value) => {
+      if (Array.isArray(value)) return value.forEach(visit);
+      if (!value || typeof value !== "object") return;
+      if (value["@graph"]) visit(value["@graph"]);
+      objects.push(value);
+    };
+    doc.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+      try {
+        visit(JSON.parse(script.textContent));
+      } catch {
+        // Malformed JSON-LD is common; ignore it
+      }
+    });
+    return objects;
+  }
+
+  function ldTypes(obj) {
+    return [].concat(obj["@type"] || []);
+  }
+
+  function ldName(value) {
+    if (!value) return null;
+    if (typeof value === "string") return normalizeSpace(value) || null;
+    if (Array.isArray(value)) return value.map(ldName).filter(Boolean).join(", ") || null;
+    return normalizeSpace(value.name) || null;
+  }
+
+  function ldImage(value) {
+    const first = [].concat(value || [])[0];
+    return typeof first === "string" ? first : first?.url || null;
+  }
+
+  function isoDate(value) {
+    if (!value) return null;
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? null : new Date(time).toISOString();
+  }
+
+  function absoluteUrl(value, doc) {
+    if (!value) return null;
+    try {
+      return new URL(value, doc.baseURI).href;
+    } catch {
+      return null;
+    }
+  }
+
+  function extractMetadata(doc, contentNodes) {
+    const ld = jsonLdObjects(doc);
+    const article = ld.find(o => ldTypes(o).some(t => /Article|BlogPosting|Report|Review|Recipe|NewsArticle/.test(t)))
+      || ld.find(o => ldTypes(o).some(t => /WebPage|CreativeWork/.test(t)))
+      || {};
+
+    const outline = [];
+    contentNodes.forEach(node => {
+      const headings = node.matches?.("h1, h2, h3") ? [node] : [...node.querySelectorAll("h1, h2, h3")];
+      headings.forEach(h => {
+        const text = normalizeSpace(h.textContent);
+        if (text && outline.length < MAX_OUTLINE) outline.push({ level: Number(h.tagName[1]), text });
+      });
+    });
+
+    const byline = doc.querySelector('[rel="author"], [itemprop="author"], .byline, .author');
+    return {
+      title: meta(doc, "og:title", "twitter:title") || normalizeSpace(article.headline) || null,
+      description: meta(doc, "og:description", "description", "twitter:description") || normalizeSpace(article.description) || null,
+      author: meta(doc, "author", "article:author", "parsely-author") || ldName(article.author) || normalizeSpace(byline?.textContent).substring(0, 100) || null,
+      publishedAt: isoDate(meta(doc, "article:published_time", "datePublished", "date", "pubdate", "DC.date.issued"))
+        || isoDate(article.datePublished)
+        || isoDate(doc.querySelector("time[datetime]")?.getAttribute("datetime")),
+      modifiedAt: isoDate(meta(doc, "article:modified_time", "dateModified")) || isoDate(article.dateModified),
+      siteName: meta(doc, "og:site_name", "application-name") || ldName(article.publisher),
+      type: meta(doc, "og:type") || ldTypes(article)[0] || null,
+      image: absoluteUrl(meta(doc, "og:image", "twitter:image") || ldImage(article.image), doc),
+      canonicalUrl: absoluteUrl(doc.querySelector('link[rel="canonical"]')?.getAttribute("href") || meta(doc, "og:url"), doc),
+      language: doc.documentElement.lang || meta(doc, "og:locale", "language", "content-language") || null,
+      outline,
+    };
+  }
+
+  // Returns { text, metadata } for the page's main content
+  function extractPage(doc = document) {
+    const body = cleanedBody(doc);
+    let nodes = pickContentNodes(body);
+    let text = blockText(nodes);
+    if (text.length < MIN_CONTENT_CHARS) {
+      nodes = [body];
+      text = blockText(nodes);
+    }
+    const metadata = extractMetadata(doc, nodes);
+    metadata.wordCount = text.split(/\s+/).filter(Boolean).length;
+    return { text, metadata };
+  }
+
+  window.TabrixExtractor = { extractPage };
+})();
@@ -0,0 +1,155 @@
+// src/content/noteAnchors.js
+// Ties sticky notes to page content, so they follow it across reloads, window resizes and responsive
+// layouts. An anchor names the block under the note's top-left corner three ways, tried in order:
+//   selector      a CSS path from the nearest element with a unique id
+//   quote         the first characters of that block's text, with the text just before it
+//   textPosition  where the quote started in the page text (picks between repeated quotes, and is
+//                 the last resort when the quote is gone)
+// plus the note's offset from the block (horizontal as a share of its width, vertical in pixels).
+// Loaded before content.js, exposed as window.TabrixNoteAnchors.
+
+(() => {
+  if (window.TabrixNoteAnchors) return; // already injected into this page
+
+  const NOTE_SELECTOR = ".ai-tabrix-sticky";
+  const QUOTE_CHARS = 80;
+  const PREFIX_CHARS = 30;
+  const VERIFY_CHARS = 20; // how much of the quote the selector's element must start with
+  const SKIP_TAGS = new Set(["SCRIPT", "STYLE", "NOSCRIPT", "TEMPLATE"]);
+  const BLOCK_DISPLAY = /^(block|list-item|table|table-cell|flex|grid|flow-root)$/;
+
+  const normalize = (text) => (text || "").replace(/\s+/g, " ").trim();
+
+  // Nearest block-level element that isn't a note or the page itself
+  function blockFor(node) {
+    let el = node?.nodeType === Node.TEXT_NODE ? node.parentElement : node;
+    while (el && el !== document.body && el !== document.documentElement) {
+      if (!el.closest(NOTE_SELECTOR) && BLOCK_DISPLAY.test(getComputedStyle(el).display)) return el;
+      el = el.parentElement;
+    }
+    return null;
+  }
+
+  function cssPath(el) {
+    const parts = [];
+    while (el && el !== document.body) {
+      if (el.id && document.querySelectorAll(`#${CSS.escape(el.id)}`).length === 1) {
+        parts.unshift(`#${CSS.escape(el.id)}`);
+        return parts.join(" > ");
+      }
+      const tag = el.tagName.toLowerCase();
+      const siblings = [...el.parentElement.children].filter(c => c.tagName === el.tagName);
+      parts.unshift(siblings.length > 1 ? `${tag}:nth-of-type(${siblings.indexOf(el) + 1})` : tag);
+      el = el.parentElement;
+    }
+    return ["body", ...parts].join(" > ");
+  }
+
+  // The page text as one string, with where each text node starts in it (notes themselves excluded)
+  function pageText() {
+    const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT, {
+      acceptNode: (n) => (SKIP_TAGS.has(n.parentElement?.tagName) || n.parentElement?.closest(NOTE_SELECTOR)
+        ? NodeFilter.FILTER_REJECT
+        : NodeFilter.FILTER_ACCEPT),
+    });
+    const nodes = [];
+    let text = "";
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      nodes.push({ node, start: text.length });
+      text += node.nodeValue;
+    }
+    return { text, nodes };
+  }
+
+  function blockAtTextPosition({ nodes }, position) {
+    const hit = nodes.findLast(n => n.start <= position);
+    return hit ? blockFor(hit.node) : null;
+  }
+
+  function describeAnchor(element, left, top) {
+    const rect = element.getBoundingClientRect();
+    const page = pageText();
+    const first = page.nodes.find(({ node }) => element.contains(node) && node.nodeValue.trim());
+    let quote = null;
+    let textPosition = null;
+    if (first) {
+      textPosition = first.start + first.node.nodeValue.search(/\S/);
+      quote = {
+        exact: page.text.slice(textPosition, textPosition + QUOTE_CHARS),
+        prefix: page.text.slice(Math.max(0, textPosition - PREFIX_CHARS), textPosition),
+      };
+    }
+    return {
+      selector: cssPath(element),
+      quote,
+      textPosition,
+      dx: rect.width ? (left - (rect.left + window.scrollX)) / rect.width : 0,
+      dy: top - (rect.top + window.scrollY),
+    };
+  }
+
+  // Anchor for a note whose corner is at page coordinates (left, top); null if nothing suitable is
+  // there or the point is off screen (elementsFromPoint only sees the viewport)
+  function describeAnchorAt(left, top) {
+    const x = left - window.scrollX + 1;
+    const y = top - window.scrollY + 1;
+    if (x < 0 || y < 0 || x > window.innerWidth || y > window.innerHeight) return null;
+    const target = document.elementsFromPoint(x, y).find(el => !el.closest(NOTE_SELECTOR));
+    const element = blockFor(target);
+    return element ? describeAnchor(element, left, top) : null;
+  }
+
+  function startsWithQuote(element, quote) {
+    if (!quote) return true;
+    const own = normalize(element.textContent);
+    const wanted = normalize(quote.exact);
+    return !!own && (own.startsWith(wanted.slice(0, VERIFY_CHARS)) || wanted.startsWith(own));
+  }
+
+  // Of the quote's occurrences, prefer one with the same text before it, then the one nearest its old place
+  function findQuote(page, { quote, textPosition }) {
+    let best = -1;
+    let bestScore = Infinity;
+    for (let i = page.text.indexOf(quote.exact); i >= 0; i = page.text.indexOf(quote.exact, i + 1)) {
+      const prefixMatches = page.text.slice(Math.max(0, i - quote.prefix.length), i) === quote.prefix;
+      const score = (prefixMatches ? 0 : page.text.length) + Math.abs(i - (textPosition ?? 0));
+      if (score < bestScore) {
+        best = i;
+        bestScore = score;
+      }
+    }
+    return best;
+  }
+
+  function resolveAnchor(anchor) {
+    let element = null;
+    try {
+      element = document.querySelector(anchor.selector);
+    } catch {
+      // not a valid selector on this page
+    }
+    if (element && startsWithQuote(element, anchor.quote)) return element;
+    if (!anchor.quote?.exact) return element;
+
+    const page = pageText();
+    const found = findQuote(page, anchor);
+    if (found >= 0) return blockAtTextPosition(page, found);
+    // The quoted text is gone: same structural place, else the same place in the text
+    return element || (anchor.textPosition !== null ? blockAtTextPosition(page, anchor.textPosition) : null);
+  }
+
+  // Page coordinates for an anchored note, or null when its content can't be found (or is hidden)
+  function placeAnchored(anchor) {
+    if (!anchor?.selector) return null;
+    const element = resolveAnchor(anchor);
+    if (!element) return null;
+    const rect = element.getBoundingClientRect();
+    if (!rect.width && !rect.height) return null;
+    return {
+      left: rect.left + window.scrollX + anchor.dx * rect.width,
+      top: rect.top + window.scrollY + anchor.dy,
+    };
+  }
+
+  window.TabrixNoteAnchors = { describeAnchorAt, placeAnchored };
+})();
@@ -2,16 +2,42 @@
 import React, { useState, useEffect, useCallback } from "react";
 
 // --- Type Definitions ---
-type Feature = 'TabNotes*' | 'SmartTags' | 'MemorySearch';
+type Feature = 'TabNotes*' | 'SmartTags' | 'MemorySearch' | 'Ask' | 'Clusters' | 'Sessions' | 'Diagnostics' | 'Settings';
 type ToggleKey = 'duplicateNotifier' | 'stickyNotes';
+type SummarySettings = { type: string; length: string; format: string };
+type QueueStatus = {
+    pending: number;
+    running: number;
+    done: number;
+    failed: number;
+    current: { kind: 'summarize' | 'tag'; tabId: number }[];
+};
+type SitePrivacy = { site: string | null; paused: boolean; allowed: boolean; reason: string | null };
+type VaultStatus = { enabled: boolean; locked: boolean; autoLockMinutes: number };
 
 // Data for the main navigable features
 const mainFeatures: { icon: string; name: Feature; description: string }[] = [
     { icon: '📝', name: 'TabNotes*', description: 'AI summaries for all tabs.' },
     { icon: '🏷️', name: 'SmartTags', description: 'Auto-categorize tabs for quick grouping.' },
     { icon: '🔍', name: 'MemorySearch', description: 'Search content using natural language.' },
+    { icon: '💬', name: 'Ask', description: 'Chat with your tabs, with cited answers.' },
+    { icon: '🧩', name: 'Clusters', description: 'Group related tabs by topic.' },
+    { icon: '🗂️', name: 'Sessions', description: 'Save and reopen groups of tabs.' },
+    { icon: '🩺', name: 'Diagnostics', description: 'Cache hits, misses and AI queue status.' },
 ];
 
+const SUMMARY_TYPES = ['tldr', 'key-points', 'teaser', 'headline'];
+const SUMMARY_LENGTHS = ['short', 'medium', 'long'];
+const defaultSummarySettings: SummarySettings = { type: 'tldr', length: 'short', format: 'plain-text' };
+
+// Why the current page isn't captured (see background/privacy.js)
+const PRIVACY_REASONS: Record<string, string> = {
+    'incognito': 'incognito window',
+    'deny-list': 'on your deny list',
+    'not-on-allow-list': 'not on your allow list',
+    'not-a-web-page': 'not a web page',
+};
+
 // Initial state for toggles (will be fetched from storage later)
 const initialToggles = {
   duplicateNotifier: true,
@@ -44,9 +70,74 @@ export default function Popup() {
       });
     }, []);
 
+    // Default style for new summaries (tabs can override it from the side panel)
+    const [summarySettings, setSummarySettings] = useState<SummarySettings>(defaultSummarySettings);
+    useEffect(() => {
+      chrome.storage.sync.get("summarySettings", (res) => {
+        if (res.summarySettings) setSummarySettings({ ...defaultSummarySettings, ...res.summarySettings });
+      });
+    }, []);
+
+    const updateSummarySettings = (change: Partial<SummarySettings>) => {
+      const next = { ...summarySettings, ...change };
+      setSummarySettings(next);
+      chrome.storage.sync.set({ summarySettings: next });
+    };
+
+    // Capture state of the active tab's site, for the pause button
+    const [activeTab, setActiveTab] = useState<chrome.tabs.Tab | null>(null);
+    const [sitePrivacy, setSitePrivacy] = useState<SitePrivacy | null>(null);
+    useEffect(() => {
+      chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+        const tab = tabs[0];
+        if (!tab?.url) return;
+        setActiveTab(tab);
+        chrome.runtime.sendMessage({ type: "REQUEST_SITE_PRIVACY", url: tab.url, incognito: tab.incognito }, (response: SitePrivacy) => {
+          if (response) setSitePrivacy(response);
+        });
+      });
+    }, []);
+
+    const toggleSitePause = () => {
+      if (!activeTab?.url) return;
+      chrome.runtime.sendMessage({ type: "TOGGLE_SITE_PAUSE", url: activeTab.url }, (response: { paused?: boolean; error?: string }) => {
+        if (!response || response.error) return;
+        chrome.runtime.sendMessage({ type: "REQUEST_SITE_PRIVACY", url: activeTab.url, incognito: activeTab.incognito }, (next: SitePrivacy) => {
+          if (next) setSitePrivacy(next);
+        });
+      });
+    };
+
+    // Encrypted memory: unlock here, or lock it before walking away
+    const [vault, setVault] = useState<VaultStatus | null>(null);
+    const [passphrase, setPassphrase] = useState('');
+    const [vaultError, setVaultError] = useState<string | null>(null);
+    useEffect(() => {
+      chrome.runtime.sendMessage({ type: "REQUEST_VAULT_STATUS" }, (status: VaultStatus) => {
+        if (status) setVault(status);
+      });
+    }, []);
+
+    const sendVault = (message: object) => {
+      setVaultError(null);
+      chrome.runtime.sendMessage(message, (response: { success: boolean; status?: VaultStatus; error?: string }) => {
+        if (!response?.success) {
+          setVaultError(response?.error || 'Something went wrong.');
+          return;
+        }
+        setPassphrase('');
+        if (response.status) setVault(response.status);
+      });
+    };
+    const unlockVault = (e: React.FormEvent) => {
+      e.preventDefault();
+      sendVault({ type: "UNLOCK_VAULT", passphrase });
+    };
+
     const [modelStatus, setModelStatus] = useState('checking...');
     const [downloadProgress, setDownloadProgress] = useState<number | null>(null);
     const [isDownloading, setIsDownloading] = useState(false);
+    const [queueStatus, setQueueStatus] = useState<QueueStatus | null>(null);
     // 🌗 Theme handling
     const [theme, setTheme] = useState("light");
 
@@ -97,6 +188,9 @@ const toggleTheme = () => {
     // --- Lifecycle and Message Listener (Handles background communication) ---
     useEffect(() => {
         updateModelStatus(); // Initial load of status
+        chrome.runtime.sendMessage({ type: "REQUEST_QUEUE_STATUS" }, (status: QueueStatus) => {
+            if (status) setQueueStatus(status);
+        });
         
         const listener = (message: any) => {
             if (message.type === 'MODEL_DOWNLOAD_PROGRESS' && message.progress !== undefined) {
@@ -107,6 +201,8 @@ const toggleTheme = () => {
                 setIsDownloading(false);
                 setDownloadProgress(null);
                 updateModelStatus();
+            } else if (message.type === 'JOB_QUEUE_UPDATED') {
+                setQueueStatus(message.status);
             } else if (message.type === 'MODEL_DOWNLOAD_FAILED') {
                 // Handle explicit failure
                 setIsDownloading(false);
@@ -141,6 +237,9 @@ const toggleTheme = () => {
 
     
     const isReady = modelStatus === 'available';
+    const featuresEnabled = isReady && !vault?.locked;
+    const queueTotal = queueStatus ? queueStatus.done + queueStatus.failed + queueStatus.running + queueStatus.pending : 0;
+    const queueBusy = !!queueStatus && queueStatus.running + queueStatus.pending > 0;
 
     return (
         <div className="p-4 h-auto max-h-[450px] bg-white dark:bg-gray-900 flex flex-col text-gray-900 dark:text-gray-100 transition-colors">
@@ -148,16 +247,78 @@ const toggleTheme = () => {
                 <h1 className="text-xl font-bold text-gray-900 dark:text-gray-100">
                     AI-Tabrix
                 </h1>
-                <button
-                    onClick={toggleTheme}
-                    className="p-1.5 rounded-lg border dark:border-gray-700 hover:bg-gray-100 dark:hover:bg-gray-800 transition"
-                    title="Toggle theme"
-                >
-                    {theme === "light" ? "🌙" : "☀️"}
-                </button>
+                <div className="flex gap-1">
+                    {vault?.enabled && !vault.locked && (
+                        <button
+                            onClick={() => sendVault({ type: "LOCK_VAULT" })}
+                            className="p-1.5 rounded-lg border dark:border-gray-700 hover:bg-gray-100 dark:hover:bg-gray-800 transition"
+                            title="Lock memory"
+                        >
+                            🔒
+                        </button>
+                    )}
+                    <button
+                        onClick={() => openSidePanel('Settings')}
+                        className="p-1.5 rounded-lg border dark:border-gray-700 hover:bg-gray-100 dark:hover:bg-gray-800 transition"
+                        title="Settings (AI providers)"
+                    >
+                        ⚙️
+                    </button>
+                    <button
+                        onClick={toggleTheme}
+                        className="p-1.5 rounded-lg border dark:border-gray-700 hover:bg-gray-100 dark:hover:bg-gray-800 transition"
+                        title="Toggle theme"
+                    >
+                        {theme === "light" ? "🌙" : "☀️"}
+                    </button>
+                </div>
             </div>
 
-            
+            {/* --- Locked vault --- */}
+            {vault?.locked && (
+                <form onSubmit={unlockVault} className="bg-gray-100 dark:bg-gray-800 border-l-4 border-gray-500 p-3 mb-4 text-sm rounded-lg">
+                    <p className="font-semibold mb-1">🔒 Memory is locked</p>
+                    <p className="text-xs text-gray-600 dark:text-gray-400 mb-2">Pages aren't captured until you unlock.</p>
+                    <div className="flex gap-1">
+                        <input
+                            type="password"
+                            value={passphrase}
+                            onChange={(e) => setPassphrase(e.target.value)}
+                            placeholder="Passphrase"
+                            autoFocus
+                            className="flex-1 min-w-0 p-1 rounded border border-gray-300 bg-white dark:bg-gray-900"
+                        />
+                        <button
+                            type="submit"
+                            disabled={!passphrase}
+                            className="px-3 py-1 bg-blue-600 text-white rounded hover:bg-blue-700 transition disabled:opacity-50"
+                        >
+                            Unlock
+                        </button>
+                    </div>
+                    {vaultError && <p className="mt-1 text-xs text-red-700">{vaultError}</p>}
+                </form>
+            )}
+
+            {/* --- Capture state for the current site --- */}
+            {sitePrivacy?.site && sitePrivacy.reason !== 'not-a-web-page' && (
+                <div className="flex items-center justify-between gap-2 p-2 mb-3 text-sm rounded-lg bg-gray-50 dark:bg-gray-800">
+                    <span className="truncate" title={sitePrivacy.site}>
+                        {sitePrivacy.paused ? '⏸️' : sitePrivacy.allowed ? '🟢' : '🔒'} {sitePrivacy.site}
+                        {!sitePrivacy.paused && !sitePrivacy.allowed && sitePrivacy.reason && (
+                            <span className="text-xs text-gray-500"> · not captured ({PRIVACY_REASONS[sitePrivacy.reason] || sitePrivacy.reason})</span>
+                        )}
+                    </span>
+                    <button
+                        onClick={toggleSitePause}
+                        className="shrink-0 px-2 py-0.5 text-xs rounded border dark:border-gray-600 hover:bg-gray-100 dark:hover:bg-gray-700 transition"
+                        title={sitePrivacy.paused ? 'Capture and summarize this site again' : 'Stop reading pages on this site (already saved pages are kept)'}
+                    >
+                        {sitePrivacy.paused ? 'Resume capture' : 'Pause capture for this site'}
+                    </button>
+                </div>
+            )}
+
             {/* --- AI Status and Download Control --- */}
             {modelStatus !== 'available' && (
                 <div className="bg-yellow-100 border-l-4 border-yellow-500 text-yellow-800 p-3 mb-4 text-sm rounded-lg">
@@ -190,12 +351,37 @@ const toggleTheme = () => {
                             Check Chrome flags, browser version, and ensure &gt; 22GB free disk space.
                         </p>
                     )}
+
+                    {modelStatus !== 'downloadable' && downloadProgress === null && (
+                        <button
+                            onClick={() => openSidePanel('Settings')}
+                            className="mt-2 w-full py-1.5 bg-white border border-yellow-500 rounded hover:bg-yellow-50 transition"
+                        >
+                            ⚙️ Use a local AI server instead
+                        </button>
+                    )}
                 </div>
             )}
 
 
+            {/* --- AI Job Queue Progress --- */}
+            {queueBusy && queueStatus && (
+                <div className="bg-blue-50 dark:bg-gray-800 border-l-4 border-blue-500 p-3 mb-4 text-sm rounded-lg">
+                    <p className="font-semibold mb-1">
+                        Processing pages: {queueStatus.done + queueStatus.failed} / {queueTotal}
+                    </p>
+                    <p className="text-xs text-gray-600 dark:text-gray-400">
+                        {queueStatus.current.map(j => (j.kind === 'summarize' ? 'Summarizing' : 'Tagging')).join(' · ') || 'Waiting…'}
+                        {queueStatus.failed > 0 && ` · ${queueStatus.failed} failed`}
+                    </p>
+                    <div className="w-full bg-gray-200 rounded-full h-1.5 mt-1">
+                        <div className="bg-blue-600 h-1.5 rounded-full" style={{ width: `${((queueStatus.done + queueStatus.failed) / queueTotal) * 100}%` }}></div>
+                    </div>
+                </div>
+            )}
+
             {/* --- Main Feature Links (Open Side Panel) */}
-            <div className={`flex flex-col space-y-3 mb-5 ${!isReady ? 'opacity-50 pointer-events-none' : ''}`}>
+            <div className={`flex flex-col space-y-3 mb-5 ${!featuresEnabled ? 'opacity-50 pointer-events-none' : ''}`}>
                 <span className="text-sm font-semibold text-gray-500 mt-2">Core Features</span>
 
                 {mainFeatures.map((button) => (
@@ -203,7 +389,7 @@ const toggleTheme = () => {
                         key={button.name}
                         onClick={() => handleFeatureClick(button.name)}
                         className="flex items-center p-2 rounded hover:bg-blue-50 transition-colors text-left"
-                        disabled={!isReady} // Disable features if AI isn't ready
+                        disabled={!featuresEnabled} // Disable features if AI isn't ready or memory is locked
                     >
                         <span className="text-xl mr-3">{button.icon}</span>
                         <div className="flex flex-col">
@@ -246,6 +432,38 @@ const toggleTheme = () => {
             </label>
             </div>
 
+            {/* Default Summary Style */}
+            <div className="flex items-center justify-between p-2 rounded hover:bg-gray-50">
+                <div className="flex items-center">
+                    <span className="text-xl mr-3">🧾</span>
+                    <span className="text-base font-medium text-gray-800">Summary Style</span>
+                </div>
+                <div className="flex items-center gap-1 text-xs">
+                    <select
+                        value={summarySettings.type}
+                        onChange={(e) => updateSummarySettings({ type: e.target.value })}
+                        className="p-1 rounded border border-gray-300 bg-white dark:bg-gray-800"
+                    >
+                        {SUMMARY_TYPES.map(t => <option key={t} value={t}>{t}</option>)}
+                    </select>
+                    <select
+                        value={summarySettings.length}
+                        onChange={(e) => updateSummarySettings({ length: e.target.value })}
+                        className="p-1 rounded border border-gray-300 bg-white dark:bg-gray-800"
+                    >
+                        {SUMMARY_LENGTHS.map(l => <option key={l} value={l}>{l}</option>)}
+                    </select>
+                    <label className="flex items-center gap-1" title="Let summaries use lists and emphasis">
+                        <input
+                            type="checkbox"
+                            checked={summarySettings.format === 'markdown'}
+                            onChange={(e) => updateSummarySettings({ format: e.target.checked ? 'markdown' : 'plain-text' })}
+                        />
+                        md
+                    </label>
+                </div>
+            </div>
+
             <p className="text-xs text-center text-gray-400 mt-4 pt-2 border-t">Built for the AI Challenge 2025.</p>
         </div>
     );
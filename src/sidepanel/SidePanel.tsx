@@ -1,30 +1,418 @@
 // src/sidepanel/SidePanel.tsx
 
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 
-type Feature = 'TabNotes' | 'SmartTags' | 'MemorySearch';
+type Feature = 'TabNotes' | 'SmartTags' | 'MemorySearch' | 'Ask' | 'Clusters' | 'Sessions' | 'Diagnostics' | 'Settings';
 const FEATURE_KEY = 'activeSidePanelFeature';
 
 // src/sidepanel/SidePanel.tsx (Focusing on the TabNotesView update)
 
 // --- Type Definitions (Ensure these match your background data structure) ---
 type TabInfo = {
-    tabId: number;
+    tabId: number | null; // null for closed tabs kept in history
     title: string;
     url: string;
     tabNote: string; 
     tags: string[]; 
     lastUpdated: number;
+    status?: 'open' | 'closed';
+    closedAt?: number;
+    visitCount?: number;
+    aiTags?: string[];
+    manualTags?: string[] | null;
+    tagError?: { name: string; message: string; at: number };
+    sections?: SectionSummary[];
+    summaryStyle?: string; // "type/length/format" the note was written with
+    summaryOptions?: SummaryOptions | null; // per-tab override of the default style
+    metadata?: PageMetadata | null;
+    redactions?: Record<string, number>; // PII stripped from this page, by category
+    noteEngine?: 'ai' | 'extractive' | 'none';
+    tagEngine?: 'ai' | 'rules';
+    starred?: boolean; // kept forever by retention
+    textTrimmedAt?: number; // full text dropped by retention, summary kept
+};
+type SummaryOptions = { type: string; length: string; format: string };
+type SectionSummary = { heading: string; summary: string; chars: number };
+// Captured by the content extractor (meta tags, OpenGraph, JSON-LD)
+type PageMetadata = {
+    title: string | null;
+    description: string | null;
+    author: string | null;
+    publishedAt: string | null;
+    modifiedAt: string | null;
+    siteName: string | null;
+    type: string | null;
+    image: string | null;
+    canonicalUrl: string | null;
+    language: string | null;
+    outline: { level: number; text: string }[];
+    wordCount: number;
+};
+type TagCategory = { name: string; color: string };
+type Taxonomy = { categories: TagCategory[]; maxTags: number; freeformTopics: boolean };
+type SnippetSegment = { text: string; hit: boolean };
+type SearchResult = TabInfo & { snippet?: SnippetSegment[] | null };
+type SearchSuggestions = { operators: string[]; tags: string[]; sites: string[] };
+type AskSource = Pick<TabInfo, 'tabId' | 'url' | 'title' | 'status'> & { n: number };
+type AskMessage = { role: 'user' | 'assistant'; content: string; sources?: AskSource[]; error?: string };
+type Cluster = {
+    id: string;
+    label: string;
+    topTerms: string[];
+    tabIds: number[];
+    color: string;
+    tabs: TabInfo[];
+};
+type SessionTab = {
+    url: string;
+    title: string;
+    tabNote: string;
+    tags: string[];
+    pinned: boolean;
+};
+type Session = {
+    id: string;
+    name: string;
+    createdAt: number;
+    source: { type: 'window'; windowId: number } | { type: 'tag'; tag: string };
+    tabs: SessionTab[];
+};
+type AICapability = 'summarize' | 'prompt' | 'embed';
+type ProviderId = 'builtin' | 'openai';
+type ProviderSettings = {
+    capabilities: Record<AICapability, ProviderId>;
+    openai: { baseUrl: string; apiKey: string; chatModel: string; embeddingModel: string };
+};
+type ProviderStatus = Record<AICapability, { provider: ProviderId; status: string }>;
+type CacheEvent = { outcome: 'hit' | 'miss' | 'unchanged'; url: string; at: number };
+type Diagnostics = {
+    cache: {
+        hits: number;
+        misses: number;
+        unchanged: number;
+        since: number;
+        recent: CacheEvent[];
+        entries: number;
+        maxEntries: number;
+        hitRate: number | null;
+    };
+    queue: { pending: number; running: number; done: number; failed: number };
+    storage: StorageUsage | null;
+};
+type StorageUsage = {
+    bytes: { text: number; pages: number; embeddings: number; summaryCache: number; sessions: number; notes: number };
+    counts: { openTabs: number; closedPages: number; starred: number; trimmed: number };
+    keywordIndex: { documents: number; terms: number; postings: number };
+    browser: { usage: number; quota: number };
+    local: { usage: number; quota: number };
 };
-type SearchResult = TabInfo;
 // --- End Type Definitions ---
 
 
+// --- Shared helpers for open/closed memory entries ---
+
+const entryKey = (tab: TabInfo) => tab.tabId ?? tab.url;
+
+// Focus the tab if it's still open, otherwise reopen its URL
+const openMemoryEntry = (tab: Pick<TabInfo, 'tabId' | 'url' | 'status'>) => {
+    if (tab.status === 'closed' || tab.tabId === null) {
+        chrome.runtime.sendMessage({ type: 'REOPEN_TAB', url: tab.url });
+    } else {
+        chrome.tabs.update(tab.tabId, { active: true, highlighted: true });
+    }
+};
+
+const StatusBadge: React.FC<{ tab: TabInfo }> = ({ tab }) => {
+    if (tab.status !== 'closed') {
+        return (
+            <span className="text-xs font-semibold px-2 py-0.5 rounded-full bg-blue-100 text-blue-800">Open</span>
+        );
+    }
+    return (
+        <span className="flex items-center gap-1">
+            <span
+                className="text-xs font-semibold px-2 py-0.5 rounded-full bg-gray-200 text-gray-700"
+                title={tab.closedAt ? `Closed ${new Date(tab.closedAt).toLocaleString()} · visited ${tab.visitCount || 1}×` : undefined}
+            >
+                Closed
+            </span>
+            <button
+                onClick={(e) => { e.stopPropagation(); openMemoryEntry(tab); }}
+                className="text-xs text-blue-600 hover:underline"
+            >
+                ↩ Reopen
+            </button>
+        </span>
+    );
+};
+
+const StarButton: React.FC<{ tab: TabInfo }> = ({ tab }) => (
+    <button
+        onClick={(e) => {
+            e.stopPropagation();
+            chrome.runtime.sendMessage({ type: 'SET_STARRED', tabId: tab.tabId, url: tab.url, starred: !tab.starred });
+        }}
+        className={`text-sm ${tab.starred ? 'text-yellow-500' : 'text-gray-300 hover:text-yellow-500'}`}
+        title={tab.starred ? 'Starred: kept forever. Click to unstar' : 'Star to keep this page forever'}
+    >
+        {tab.starred ? '★' : '☆'}
+    </button>
+);
+
+// How much PII was replaced with placeholders on this page
+const RedactionBadge: React.FC<{ redactions?: Record<string, number> }> = ({ redactions }) => {
+    const found = Object.entries(redactions || {}).filter(([, n]) => n > 0);
+    if (found.length === 0) return null;
+    const total = found.reduce((sum, [, n]) => sum + n, 0);
+    return (
+        <span
+            className="mr-2 text-xs text-green-700"
+            title={`Replaced before saving: ${found.map(([category, n]) => `${n} ${category}`).join(' · ')}`}
+        >
+            🛡️ {total} redacted
+        </span>
+    );
+};
+
+// Byline (author · date · site · language · reading time) with the page's headings on demand
+const PageMeta: React.FC<{ tab: TabInfo }> = ({ tab }) => {
+    const [showHeadings, setShowHeadings] = useState(false);
+    const meta = tab.metadata;
+    if (!meta) return null;
+
+    const published = meta.publishedAt ? new Date(meta.publishedAt) : null;
+    const parts = [
+        meta.author && `by ${meta.author}`,
+        published && published.toLocaleDateString(),
+        meta.siteName,
+        meta.language,
+        meta.wordCount > 0 && `${Math.max(1, Math.round(meta.wordCount / 230))} min read`,
+    ].filter(Boolean);
+    const canonical = meta.canonicalUrl && meta.canonicalUrl !== tab.url ? meta.canonicalUrl : null;
+    if (parts.length === 0 && !canonical && meta.outline.length === 0) return null;
+
+    return (
+        <div className="mt-0.5 text-xs text-gray-500" onClick={(e) => e.stopPropagation()}>
+            {parts.length > 0 && (
+                <span title={meta.modifiedAt ? `Updated ${new Date(meta.modifiedAt).toLocaleString()}` : undefined}>
+                    {parts.join(' · ')}
+                </span>
+            )}
+            {canonical && (
+                <a href={canonical} target="_blank" rel="noreferrer" className="ml-2 text-blue-600 hover:underline" title={canonical}>
+                    canonical ↗
+                </a>
+            )}
+            {meta.outline.length > 0 && (
+                <>
+                    <button onClick={() => setShowHeadings(!showHeadings)} className="ml-2 text-blue-600 hover:underline">
+                        {showHeadings ? '▾' : '▸'} Headings ({meta.outline.length})
+                    </button>
+                    {showHeadings && (
+                        <ul className="mt-1 border-l-2 border-gray-100">
+                            {meta.outline.map((heading, i) => (
+                                <li key={i} style={{ paddingLeft: `${(heading.level - 1) * 0.75 + 0.5}rem` }}>
+                                    {heading.text}
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </>
+            )}
+        </div>
+    );
+};
+
+// --- Tag taxonomy (names + colours), shared by every view that shows tags ---
+
+const useTaxonomy = () => {
+    const [taxonomy, setTaxonomy] = useState<Taxonomy>({ categories: [], maxTags: 3, freeformTopics: true });
+
+    const fetchTaxonomy = useCallback(() => {
+        chrome.runtime.sendMessage({ type: "REQUEST_TAXONOMY" }, (response: Taxonomy) => {
+            if (response?.categories) setTaxonomy(response);
+        });
+    }, []);
+
+    useEffect(() => {
+        fetchTaxonomy();
+        const listener = (message: any) => {
+            if (message.type === 'DATA_UPDATED') fetchTaxonomy();
+        };
+        chrome.runtime.onMessage.addListener(listener);
+        return () => { chrome.runtime.onMessage.removeListener(listener); };
+    }, [fetchTaxonomy]);
+
+    return taxonomy;
+};
+
+const TagChip: React.FC<{ tag: string; taxonomy: Taxonomy }> = ({ tag, taxonomy }) => {
+    const color = taxonomy.categories.find(c => c.name === tag)?.color;
+    if (!color) {
+        // Free-form topic tags
+        return <span className="text-xs font-semibold px-2 py-0.5 rounded-full bg-green-100 text-green-800">{tag}</span>;
+    }
+    return (
+        <span
+            className="text-xs font-semibold px-2 py-0.5 rounded-full text-gray-800"
+            style={{ backgroundColor: `${color}33`, border: `1px solid ${color}` }}
+        >
+            {tag}
+        </span>
+    );
+};
+
+// Inline editor for a page's tags; saved tags are "manual" and survive AI re-tagging
+const TagEditor: React.FC<{ tab: TabInfo; taxonomy: Taxonomy; onDone: () => void }> = ({ tab, taxonomy, onDone }) => {
+    const [tags, setTags] = useState<string[]>(tab.tags);
+    const [draft, setDraft] = useState('');
+
+    const addDraft = () => {
+        const tag = draft.trim();
+        if (tag && !tags.includes(tag)) setTags([...tags, tag]);
+        setDraft('');
+    };
+
+    const save = (next: string[]) => {
+        chrome.runtime.sendMessage({ type: "SET_TAB_TAGS", tabId: tab.tabId, url: tab.url, tags: next }, onDone);
+    };
+
+    return (
+        <div className="mt-2 space-y-2" onClick={(e) => e.stopPropagation()}>
+            <div className="flex flex-wrap gap-1">
+                {tags.map(tag => (
+                    <span key={tag} className="text-xs px-2 py-0.5 rounded-full bg-gray-100 text-gray-800">
+                        {tag}
+                        <button onClick={() => setTags(tags.filter(t => t !== tag))} className="ml-1 text-gray-500">×</button>
+                    </span>
+                ))}
+            </div>
+            <div className="flex gap-1">
+                <input
+                    list="tag-taxonomy-options"
+                    value={draft}
+                    onChange={(e) => setDraft(e.target.value)}
+                    onKeyDown={(e) => { if (e.key === 'Enter') { e.preventDefault(); addDraft(); } }}
+                    placeholder="Add tag…"
+                    className="flex-1 p-1 text-xs rounded border border-gray-300 bg-white text-black"
+                />
+                <datalist id="tag-taxonomy-options">
+                    {taxonomy.categories.map(c => <option key={c.name} value={c.name} />)}
+                </datalist>
+                <button onClick={() => save(tags)} className="text-xs px-2 rounded bg-blue-600 text-white">Save</button>
+                <button onClick={onDone} className="text-xs px-2 rounded bg-gray-200 text-gray-700">Cancel</button>
+            </div>
+            {tab.manualTags && (
+                <button onClick={() => save([])} className="text-xs text-gray-500 hover:underline">
+                    ↺ Reset to AI tags{tab.aiTags?.length ? ` (${tab.aiTags.join(', ')})` : ''}
+                </button>
+            )}
+        </div>
+    );
+};
+
 // --- TabNotes List View (REPLACING THE PLACEHOLDER) ---
 
+// --- Summary rendering ---
+
+const SUMMARY_TYPES = ['tldr', 'key-points', 'teaser', 'headline'];
+const SUMMARY_LENGTHS = ['short', 'medium', 'long'];
+
+// Inline markdown (**bold**, *italic*, `code`) as React nodes — never as HTML
+const renderInline = (text: string) =>
+    text.split(/(\*\*[^*]+\*\*|\*[^*\s][^*]*\*|_[^_\s][^_]*_|`[^`]+`)/g).map((part, i) => {
+        if (/^\*\*.+\*\*$/.test(part)) return <strong key={i}>{part.slice(2, -2)}</strong>;
+        if (/^([*_]).+\1$/.test(part)) return <em key={i}>{part.slice(1, -1)}</em>;
+        if (/^`.+`$/.test(part)) return <code key={i} className="px-1 bg-gray-100 rounded">{part.slice(1, -1)}</code>;
+        return <span key={i}>{part}</span>;
+    });
+
+// Small, safe markdown subset for Summarizer output: headings, bullet/numbered lists, paragraphs
+const MarkdownText: React.FC<{ text: string; className?: string }> = ({ text, className }) => {
+    const blocks: React.ReactNode[] = [];
+    let list: { ordered: boolean; items: string[] } | null = null;
+
+    const flushList = () => {
+        if (!list) return;
+        const items = list.items.map((item, i) => <li key={i}>{renderInline(item)}</li>);
+        blocks.push(list.ordered
+            ? <ol key={blocks.length} className="list-decimal pl-5">{items}</ol>
+            : <ul key={blocks.length} className="list-disc pl-5">{items}</ul>);
+        list = null;
+    };
+
+    text.split('\n').forEach(raw => {
+        const line = raw.trim();
+        const bullet = /^[-*•]\s+(.*)$/.exec(line);
+        const numbered = /^\d+[.)]\s+(.*)$/.exec(line);
+        if (bullet || numbered) {
+            const ordered = !!numbered;
+            if (list && list.ordered !== ordered) flushList();
+            list = list || { ordered, items: [] };
+            list.items.push((bullet || numbered)![1]);
+            return;
+        }
+        flushList();
+        if (!line) return;
+        const heading = /^#{1,6}\s+(.*)$/.exec(line);
+        blocks.push(heading
+            ? <p key={blocks.length} className="font-semibold">{renderInline(heading[1])}</p>
+            : <p key={blocks.length}>{renderInline(line)}</p>);
+    });
+    flushList();
+
+    return <div className={className}>{blocks}</div>;
+};
+
+// Summaries written with format "markdown" are rendered, everything else stays plain text
+const NoteText: React.FC<{ text: string; style?: string; className?: string }> = ({ text, style, className }) =>
+    style?.endsWith('/markdown')
+        ? <MarkdownText text={text} className={className} />
+        : <p className={className}>{text}</p>;
+
+// Per-tab "re-summarize as…" picker
+const ResummarizeForm: React.FC<{ tab: TabInfo; onDone: () => void }> = ({ tab, onDone }) => {
+    const [type, length, format] = (tab.summaryStyle || 'tldr/short/plain-text').split('/');
+    const [options, setOptions] = useState<SummaryOptions>(tab.summaryOptions || { type, length, format });
+    const [error, setError] = useState<string | null>(null);
+
+    const submit = () => {
+        chrome.runtime.sendMessage({ type: "RESUMMARIZE_TAB", tabId: tab.tabId, options }, (response: { success: boolean; error?: string }) => {
+            if (response?.success) onDone();
+            else setError(response?.error || 'Could not re-summarize this tab.');
+        });
+    };
+
+    return (
+        <div className="mt-2 flex flex-wrap items-center gap-1 text-xs" onClick={(e) => e.stopPropagation()}>
+            <select value={options.type} onChange={(e) => setOptions({ ...options, type: e.target.value })} className="p-1 rounded border border-gray-300">
+                {SUMMARY_TYPES.map(t => <option key={t} value={t}>{t}</option>)}
+            </select>
+            <select value={options.length} onChange={(e) => setOptions({ ...options, length: e.target.value })} className="p-1 rounded border border-gray-300">
+                {SUMMARY_LENGTHS.map(l => <option key={l} value={l}>{l}</option>)}
+            </select>
+            <label className="flex items-center gap-1">
+                <input
+                    type="checkbox"
+                    checked={options.format === 'markdown'}
+                    onChange={(e) => setOptions({ ...options, format: e.target.checked ? 'markdown' : 'plain-text' })}
+                />
+                markdown
+            </label>
+            <button onClick={submit} className="px-2 py-0.5 bg-blue-600 text-white rounded hover:bg-blue-700">Re-summarize</button>
+            <button onClick={onDone} className="text-gray-500 hover:underline">Cancel</button>
+            {error && <span className="text-red-600">{error}</span>}
+        </div>
+    );
+};
+
 const TabNotesView: React.FC = () => {
     const [tabs, setTabs] = useState<TabInfo[]>([]);
     const [isLoading, setIsLoading] = useState(true);
+    const [editingKey, setEditingKey] = useState<string | number | null>(null);
+    const [outlineKey, setOutlineKey] = useState<string | number | null>(null);
+    const [restyleKey, setRestyleKey] = useState<string | number | null>(null);
+    const taxonomy = useTaxonomy();
 
     // This fetches the data from the background service worker
     const fetchTabs = useCallback(() => {
@@ -42,9 +430,9 @@ const TabNotesView: React.FC = () => {
 
     useEffect(() => {
         fetchTabs();
-        // Listener for 'DATA_UPDATED' event from the background script
+        // Refresh on 'DATA_UPDATED' and on live summary/tag updates (e.g. after "re-summarize as…")
         const listener = (message: any) => {
-            if (message.type === 'DATA_UPDATED') {
+            if (message.type === 'DATA_UPDATED' || message.type === 'UPDATE_SMART_TAGS') {
                 fetchTabs();
             }
         };
@@ -66,23 +454,94 @@ const TabNotesView: React.FC = () => {
                 
                 {tabs.map((tab) => (
                     <div
-                        key={tab.tabId}
-                        className="p-3 bg-white rounded-lg shadow-sm cursor-pointer border-l-4 border-blue-500 hover:shadow-md"
-                        onClick={() => chrome.tabs.update(tab.tabId, { active: true, highlighted: true })}
+                        key={entryKey(tab)}
+                        className={`p-3 bg-white rounded-lg shadow-sm cursor-pointer border-l-4 hover:shadow-md ${
+                            tab.status === 'closed' ? 'border-gray-400' : 'border-blue-500'
+                        }`}
+                        onClick={() => openMemoryEntry(tab)}
                     >
-                        <h4 className="font-semibold text-gray-800 truncate">{tab.title}</h4>
+                        <div className="flex items-center justify-between gap-2">
+                            <h4 className="font-semibold text-gray-800 truncate">{tab.title}</h4>
+                            <span className="flex items-center gap-1 shrink-0">
+                                <StarButton tab={tab} />
+                                <StatusBadge tab={tab} />
+                            </span>
+                        </div>
+                        <PageMeta tab={tab} />
                         
                         {/* TabNotes Display (Will now show the live summary) */}
-                        <p className="text-sm text-gray-600 mt-1 italic">{tab.tabNote}</p>
-                        
-                        {/* SmartTags Display (Mock data for now) */}
-                        <div className="mt-2 flex flex-wrap gap-1">
-                            {tab.tags.map((tag, i) => (
-                                <span key={i} className="text-xs font-semibold px-2 py-0.5 rounded-full bg-green-100 text-green-800">
-                                    {tag}
-                                </span>
-                            ))}
-                        </div>
+                        <NoteText text={tab.tabNote} style={tab.summaryStyle} className="text-sm text-gray-600 mt-1 italic" />
+                        <RedactionBadge redactions={tab.redactions} />
+                        {!!tab.textTrimmedAt && (
+                            <span className="text-xs text-gray-400 mr-2" title={`Full text dropped ${new Date(tab.textTrimmedAt).toLocaleDateString()} by your retention settings`}>
+                                summary only
+                            </span>
+                        )}
+                        {tab.noteEngine === 'extractive' && (
+                            <span className="text-xs text-gray-400" title="Key sentences picked from the page without AI; replaced once a model is available">
+                                extractive summary
+                            </span>
+                        )}
+                        {tab.status !== 'closed' && tab.tabId !== null && (
+                            restyleKey === entryKey(tab) ? (
+                                <ResummarizeForm tab={tab} onDone={() => setRestyleKey(null)} />
+                            ) : (
+                                <button
+                                    onClick={(e) => { e.stopPropagation(); setRestyleKey(entryKey(tab)); }}
+                                    className="text-xs text-gray-500 hover:underline"
+                                >
+                                    ↻ Re-summarize as…
+                                </button>
+                            )
+                        )}
+
+                        {/* Section outline for long pages (map-reduce summaries) */}
+                        {!!tab.sections?.length && (
+                            <div className="mt-1" onClick={(e) => e.stopPropagation()}>
+                                <button
+                                    onClick={() => setOutlineKey(outlineKey === entryKey(tab) ? null : entryKey(tab))}
+                                    className="text-xs text-blue-600 hover:underline"
+                                >
+                                    {outlineKey === entryKey(tab) ? '▾' : '▸'} Outline ({tab.sections.length} sections)
+                                </button>
+                                {outlineKey === entryKey(tab) && (
+                                    <ol className="mt-1 space-y-1 border-l-2 border-blue-100 pl-2">
+                                        {tab.sections.map((section, i) => (
+                                            <li key={i} className="text-xs">
+                                                <span className="font-medium text-gray-800">{section.heading || `Part ${i + 1}`}</span>
+                                                <NoteText text={section.summary} style={tab.summaryStyle} className="text-gray-600" />
+                                            </li>
+                                        ))}
+                                    </ol>
+                                )}
+                            </div>
+                        )}
+
+                        {/* SmartTags Display */}
+                        {editingKey === entryKey(tab) ? (
+                            <TagEditor tab={tab} taxonomy={taxonomy} onDone={() => setEditingKey(null)} />
+                        ) : (
+                            <div className="mt-2 flex flex-wrap items-center gap-1">
+                                {tab.tags.map((tag, i) => <TagChip key={i} tag={tag} taxonomy={taxonomy} />)}
+                                <button
+                                    onClick={(e) => { e.stopPropagation(); setEditingKey(entryKey(tab)); }}
+                                    className="text-xs text-gray-500 hover:underline"
+                                    title={tab.manualTags ? 'Tags set by you' : 'Edit tags'}
+                                >
+                                    ✎{tab.manualTags ? ' (manual)' : ''}
+                                </button>
+                                {tab.tagEngine === 'rules' && !tab.manualTags && (
+                                    <span className="text-xs text-gray-400" title="Guessed from the site and keywords without AI">
+                                        rule tags
+                                    </span>
+                                )}
+                                {tab.tagError && !tab.manualTags && (
+                                    <span className="text-xs text-red-600" title={tab.tagError.message}>
+                                        ⚠ tagging failed ({tab.tagError.name})
+                                    </span>
+                                )}
+                            </div>
+                        )}
                     </div>
                 ))}
             </div>
@@ -91,10 +550,112 @@ const TabNotesView: React.FC = () => {
 };
 
 // ... (Rest of SidePanel.tsx, including the main SidePanel component and renderFeature function, remains the same)
+// --- Taxonomy manager: add / rename / merge / delete / colour tags and tagging limits ---
+const TaxonomyManager: React.FC<{ taxonomy: Taxonomy; tagsInUse: string[] }> = ({ taxonomy, tagsInUse }) => {
+    const [newName, setNewName] = useState('');
+    const [newColor, setNewColor] = useState('#3b82f6');
+
+    const update = (change: Record<string, unknown>) => {
+        chrome.runtime.sendMessage({ type: "UPDATE_TAXONOMY", change });
+    };
+
+    const categoryNames = taxonomy.categories.map(c => c.name);
+    const topicTags = tagsInUse.filter(t => !categoryNames.includes(t) && t !== 'Uncategorized');
+    const rows = [
+        ...taxonomy.categories.map(c => ({ name: c.name, color: c.color as string | null })),
+        ...topicTags.map(name => ({ name, color: null })),
+    ];
+
+    const rename = (name: string) => {
+        const to = window.prompt(`Rename "${name}" to:`, name);
+        if (to && to.trim() && to.trim() !== name) update({ op: 'rename', name, to: to.trim() });
+    };
+
+    const remove = (name: string) => {
+        if (window.confirm(`Delete "${name}" and remove it from every page?`)) update({ op: 'delete', name });
+    };
+
+    return (
+        <div className="mb-4 p-3 bg-white rounded-lg shadow-sm space-y-2 text-sm">
+            {rows.map(row => (
+                <div key={row.name} className="flex items-center gap-2">
+                    {row.color ? (
+                        <input
+                            type="color"
+                            value={row.color}
+                            onChange={(e) => update({ op: 'color', name: row.name, color: e.target.value })}
+                            className="w-6 h-6 p-0 border-0 bg-transparent"
+                        />
+                    ) : (
+                        <button
+                            onClick={() => update({ op: 'add', name: row.name })}
+                            className="w-6 text-xs text-gray-400"
+                            title="Topic tag — add to your categories"
+                        >
+                            ＋
+                        </button>
+                    )}
+                    <span className="flex-1 truncate text-gray-800">{row.name}</span>
+                    <select
+                        value=""
+                        onChange={(e) => e.target.value && update({ op: 'merge', from: [row.name], into: e.target.value })}
+                        className="text-xs p-0.5 rounded border border-gray-300 bg-white text-gray-700 max-w-[7rem]"
+                    >
+                        <option value="">Merge into…</option>
+                        {categoryNames.filter(n => n !== row.name).map(n => <option key={n} value={n}>{n}</option>)}
+                    </select>
+                    <button onClick={() => rename(row.name)} className="text-xs text-blue-600 hover:underline">Rename</button>
+                    <button onClick={() => remove(row.name)} className="text-xs text-red-600 hover:underline">Delete</button>
+                </div>
+            ))}
+
+            <div className="flex items-center gap-2 pt-2 border-t">
+                <input type="color" value={newColor} onChange={(e) => setNewColor(e.target.value)} className="w-6 h-6 p-0 border-0 bg-transparent" />
+                <input
+                    value={newName}
+                    onChange={(e) => setNewName(e.target.value)}
+                    placeholder="New tag name"
+                    className="flex-1 p-1 text-xs rounded border border-gray-300 bg-white text-black"
+                />
+                <button
+                    onClick={() => { if (newName.trim()) { update({ op: 'add', name: newName.trim(), color: newColor }); setNewName(''); } }}
+                    className="text-xs px-2 py-1 rounded bg-blue-600 text-white"
+                >
+                    Add
+                </button>
+            </div>
+
+            <div className="flex items-center gap-3 pt-2 border-t text-xs text-gray-600">
+                <label className="flex items-center gap-1">
+                    Max tags per page
+                    <input
+                        type="number"
+                        min={1}
+                        max={8}
+                        value={taxonomy.maxTags}
+                        onChange={(e) => update({ op: 'settings', maxTags: Number(e.target.value) })}
+                        className="w-12 p-0.5 rounded border border-gray-300 bg-white text-black"
+                    />
+                </label>
+                <label className="flex items-center gap-1">
+                    <input
+                        type="checkbox"
+                        checked={taxonomy.freeformTopics}
+                        onChange={() => update({ op: 'settings', freeformTopics: !taxonomy.freeformTopics })}
+                    />
+                    Free-form topic tags
+                </label>
+            </div>
+        </div>
+    );
+};
+
 const SmartTagsView: React.FC = () => {
     const [tabs, setTabs] = useState<TabInfo[]>([]);
     const [isLoading, setIsLoading] = useState(true);
     const [selectedTag, setSelectedTag] = useState<string | null>(null);
+    const [isManaging, setIsManaging] = useState(false);
+    const taxonomy = useTaxonomy();
 
     // --- Fetch all tabs with tags from background ---
     const fetchTabs = useCallback(() => {
@@ -143,13 +704,20 @@ const SmartTagsView: React.FC = () => {
         return <div className="p-4 text-gray-500 text-center">Loading tags...</div>;
     }
 
-    if (tabs.length === 0) {
-        return <div className="p-4 text-gray-500 text-center">No Smart Tags generated yet. Try browsing some pages!</div>;
-    }
-
     return (
         <div className="p-4 w-full h-full flex flex-col">
-            <h3 className="text-xl font-bold mb-4">🏷️ Smart Tags</h3>
+            <div className="flex items-center justify-between mb-4">
+                <h3 className="text-xl font-bold">🏷️ Smart Tags</h3>
+                <button onClick={() => setIsManaging(!isManaging)} className="text-sm text-blue-600 hover:underline">
+                    {isManaging ? 'Done' : '⚙ Manage tags'}
+                </button>
+            </div>
+
+            {isManaging && <TaxonomyManager taxonomy={taxonomy} tagsInUse={Object.keys(grouped)} />}
+
+            {tabs.length === 0 && (
+                <div className="p-4 text-gray-500 text-center">No Smart Tags generated yet. Try browsing some pages!</div>
+            )}
 
             {/* Tag list */}
             {!selectedTag && (
@@ -160,7 +728,7 @@ const SmartTagsView: React.FC = () => {
                             onClick={() => setSelectedTag(tag)}
                             className="w-full flex justify-between items-center bg-white hover:bg-blue-50 border border-gray-200 rounded-lg px-3 py-2 shadow-sm transition"
                         >
-                            <span className="font-medium text-gray-800">{tag}</span>
+                            <TagChip tag={tag} taxonomy={taxonomy} />
                             <span className="text-xs bg-blue-100 text-blue-700 px-2 py-0.5 rounded-full">
                                 {tagTabs.length}
                             </span>
@@ -182,9 +750,9 @@ const SmartTagsView: React.FC = () => {
                     <h4 className="text-lg font-semibold mb-2">{selectedTag}</h4>
                     {grouped[selectedTag]?.map(tab => (
                         <div
-                            key={tab.tabId}
+                            key={entryKey(tab)}
                             className="bg-white border-l-4 border-green-500 p-3 rounded-lg shadow-sm cursor-pointer hover:shadow-md"
-                            onClick={() => chrome.tabs.update(tab.tabId, { active: true })}
+                            onClick={() => openMemoryEntry(tab)}
                         >
                             <h5 className="font-medium text-gray-800 truncate">{tab.title}</h5>
                             <p className="text-sm text-gray-600 mt-1">{tab.tabNote}</p>
@@ -196,17 +764,63 @@ const SmartTagsView: React.FC = () => {
     );
 };
 
+// Completions for the token being typed: operator names, or tag/site values after tag:/site:
+const FIXED_COMPLETIONS = ['is:open', 'is:closed', 'is:starred', 'has:note'];
+
+const getCompletions = (query: string, suggestions: SearchSuggestions): string[] => {
+    const lastToken = query.split(/\s+/).pop() || '';
+    if (!lastToken) return [];
+
+    const valueMatch = /^(tag|site):"?(.*)$/i.exec(lastToken);
+    if (valueMatch) {
+        const [, key, partial] = valueMatch;
+        const pool = key.toLowerCase() === 'tag' ? suggestions.tags : suggestions.sites;
+        return pool
+            .filter(v => v.toLowerCase().startsWith(partial.toLowerCase()) && v !== partial)
+            .slice(0, 8)
+            .map(v => `${key}:${/\s/.test(v) ? `"${v}"` : v}`);
+    }
+
+    if (lastToken.includes(':')) return [];
+    const lower = lastToken.toLowerCase();
+    return [...suggestions.operators, ...FIXED_COMPLETIONS]
+        .filter(op => op.startsWith(lower) && op !== lower)
+        .slice(0, 8);
+};
+
 const MemorySearchView: React.FC = () => {
     const [query, setQuery] = useState('');
     const [results, setResults] = useState<SearchResult[]>([]);
     const [isLoading, setIsLoading] = useState(false);
     const [searchPerformed, setSearchPerformed] = useState(false);
+    const [isRefined, setIsRefined] = useState(false);
+    const taxonomy = useTaxonomy();
+    const [suggestions, setSuggestions] = useState<SearchSuggestions>({ operators: [], tags: [], sites: [] });
+    const [showCompletions, setShowCompletions] = useState(false);
+    const activeQuery = useRef('');
+
+    useEffect(() => {
+        chrome.runtime.sendMessage({ type: "REQUEST_SEARCH_SUGGESTIONS" }, (response: SearchSuggestions) => {
+            if (response?.operators) setSuggestions(response);
+        });
+    }, []);
+
+    const completions = showCompletions ? getCompletions(query, suggestions) : [];
+
+    // Replace the token being typed with the chosen completion
+    const applyCompletion = (completion: string) => {
+        const tokens = query.split(/\s+/);
+        tokens[tokens.length - 1] = completion;
+        // Operators like "tag:" still need a value, so keep typing right after them
+        setQuery(tokens.join(' ') + (completion.endsWith(':') ? '' : ' '));
+    };
     // --- 🔔 Listen for AI refined results from background ---
     useEffect(() => {
     const handleMessage = (message: any) => {
-        if (message.type === "AI_MEMORY_RESULTS") {
+        if (message.type === "AI_MEMORY_RESULTS" && message.query === activeQuery.current) {
         console.log("💡 Received AI refined memory search:", message.results);
         setResults(message.results);
+        setIsRefined(true);
         setIsLoading(false);
         }
     };
@@ -219,18 +833,21 @@ const MemorySearchView: React.FC = () => {
         e.preventDefault();
         if (!query.trim()) return;
 
+        setShowCompletions(false);
         setIsLoading(true);
         setSearchPerformed(true);
+        setIsRefined(false);
         setResults([]); // Clear old results
+        activeQuery.current = query.trim();
 
-        // 1. Send query to background service worker for AI ranking
-        chrome.runtime.sendMessage({ type: 'MEMORY_SEARCH_QUERY', query: query.trim() }, (response: SearchResult[]) => {
+        // 1. Instant full-text results come back directly; AI-refined ones follow as AI_MEMORY_RESULTS
+        chrome.runtime.sendMessage({ type: 'MEMORY_SEARCH_QUERY', query: query.trim() }, (response: { results: SearchResult[] }) => {
             if (chrome.runtime.lastError) {
                 console.error("Memory Search failed:", chrome.runtime.lastError);
                 setResults([]);
-            } else if (response && Array.isArray(response)) {
-                // 2. Receive and set the ranked results
-                setResults(response);
+            } else if (response && Array.isArray(response.results)) {
+                // 2. Receive and set the keyword-ranked results
+                setResults(response.results);
             }
             setIsLoading(false);
         });
@@ -245,8 +862,9 @@ const MemorySearchView: React.FC = () => {
                 <input
                     type="search"
                     value={query}
-                    onChange={(e) => setQuery(e.target.value)}
-                    placeholder="Input about what are searching for"
+                    onChange={(e) => { setQuery(e.target.value); setShowCompletions(true); }}
+                    onBlur={() => setTimeout(() => setShowCompletions(false), 150)}
+                    placeholder='e.g. react hooks tag:Study site:github.com is:closed'
                     className="
                         w-full p-2 rounded-lg
                         border border-gray-300 dark:border-gray-600
@@ -255,10 +873,23 @@ const MemorySearchView: React.FC = () => {
                         placeholder-gray-400 dark:placeholder-gray-500
                         focus:ring-blue-500 focus:border-blue-500"
                 />
+                {completions.length > 0 && (
+                    <ul className="absolute left-0 right-0 mt-1 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-600 rounded-lg shadow-lg overflow-hidden">
+                        {completions.map(c => (
+                            <li
+                                key={c}
+                                onMouseDown={(e) => { e.preventDefault(); applyCompletion(c); }}
+                                className="px-3 py-1.5 text-sm font-mono cursor-pointer hover:bg-blue-50 dark:hover:bg-gray-700"
+                            >
+                                {c}
+                            </li>
+                        ))}
+                    </ul>
+                )}
             </form>
 
             {/* Loading/Status */}
-            {isLoading && <div className="text-center text-blue-600 py-4">🧠 Ranking results with Gemini Nano...</div>}
+            {isLoading && <div className="text-center text-blue-600 py-4">🔎 Searching your memory...</div>}
             
             {/* Results Area */}
             <div className="flex-1 overflow-y-auto space-y-3">
@@ -270,27 +901,1384 @@ const MemorySearchView: React.FC = () => {
                 
                 {results.map((tab) => (
                     <div
-                        key={tab.tabId}
+                        key={entryKey(tab)}
                         className="p-3 bg-white rounded-lg shadow-md cursor-pointer border-l-4 border-purple-500 hover:shadow-lg"
-                        onClick={() => chrome.tabs.update(tab.tabId, { active: true, highlighted: true })}
+                        onClick={() => openMemoryEntry(tab)}
                     >
-                        <h4 className="font-semibold text-gray-800 truncate">{tab.title}</h4>
-                        <p className="text-xs text-purple-600 mt-1 font-mono">Ranked Semantic Match</p>
-                        <p className="text-sm text-gray-600 mt-1">{tab.tabNote}</p> 
+                        <div className="flex items-center justify-between gap-2">
+                            <h4 className="font-semibold text-gray-800 truncate">{tab.title}</h4>
+                            <StatusBadge tab={tab} />
+                        </div>
+                        <p className="text-xs text-purple-600 mt-1 font-mono">
+                            {isRefined ? 'Ranked Semantic Match' : 'Keyword Match'}
+                        </p>
+                        {tab.snippet ? (
+                            <p className="text-sm text-gray-600 mt-1">
+                                {tab.snippet.map((seg, i) => seg.hit
+                                    ? <mark key={i} className="bg-yellow-200 text-gray-900 rounded px-0.5">{seg.text}</mark>
+                                    : <span key={i}>{seg.text}</span>
+                                )}
+                            </p>
+                        ) : (
+                            <p className="text-sm text-gray-600 mt-1">{tab.tabNote}</p>
+                        )}
                         {/* Display tags for context */}
                         <div className="mt-2 flex flex-wrap gap-1">
-                            {tab.tags.map((tag, i) => (
-                                <span key={i} className="text-xs font-semibold px-2 py-0.5 rounded-full bg-green-100 text-green-800">
-                                    {tag}
-                                </span>
-                            ))}
+                            {tab.tags.map((tag, i) => <TagChip key={i} tag={tag} taxonomy={taxonomy} />)}
+                        </div>
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+};
+// Render "[2]" markers in an answer as links to the cited source
+const AnswerText: React.FC<{ text: string; sources: AskSource[] }> = ({ text, sources }) => (
+    <>
+        {text.split(/(\[\d+\])/g).map((part, i) => {
+            const match = /^\[(\d+)\]$/.exec(part);
+            const source = match && sources.find(s => s.n === Number(match[1]));
+            if (!source) return <span key={i}>{part}</span>;
+            return (
+                <button
+                    key={i}
+                    onClick={() => openMemoryEntry(source)}
+                    title={source.title}
+                    className="text-xs align-super text-blue-600 hover:underline mx-0.5"
+                >
+                    [{source.n}]
+                </button>
+            );
+        })}
+    </>
+);
+
+const AskView: React.FC = () => {
+    const [messages, setMessages] = useState<AskMessage[]>([]);
+    const [question, setQuestion] = useState('');
+    const [isThinking, setIsThinking] = useState(false);
+    const bottomRef = useRef<HTMLDivElement>(null);
+
+    // Restore the ongoing conversation (the background keeps the model session)
+    useEffect(() => {
+        chrome.runtime.sendMessage({ type: "REQUEST_ASK_HISTORY" }, (history: AskMessage[]) => {
+            if (Array.isArray(history)) setMessages(history);
+        });
+    }, []);
+
+    useEffect(() => {
+        bottomRef.current?.scrollIntoView({ behavior: 'smooth' });
+    }, [messages, isThinking]);
+
+    const ask = (e: React.FormEvent) => {
+        e.preventDefault();
+        const q = question.trim();
+        if (!q || isThinking) return;
+
+        setMessages(prev => [...prev, { role: 'user', content: q }]);
+        setQuestion('');
+        setIsThinking(true);
+
+        chrome.runtime.sendMessage(
+            { type: "ASK_TABS_QUESTION", question: q },
+            (response: { answer: string | null; error?: string; sources: AskSource[] }) => {
+                setIsThinking(false);
+                if (chrome.runtime.lastError || !response) {
+                    setMessages(prev => [...prev, { role: 'assistant', content: '', error: 'No response from background.' }]);
+                    return;
+                }
+                setMessages(prev => [...prev, {
+                    role: 'assistant',
+                    content: response.answer || '',
+                    sources: response.sources,
+                    error: response.answer ? undefined : (response.error || 'No answer.'),
+                }]);
+            }
+        );
+    };
+
+    const newChat = () => {
+        chrome.runtime.sendMessage({ type: "RESET_ASK_CONVERSATION" }, () => setMessages([]));
+    };
+
+    return (
+        <div className="p-4 w-full h-full flex flex-col">
+            <div className="flex items-center justify-between mb-4">
+                <h3 className="text-xl font-bold">💬 Ask My Tabs</h3>
+                <button onClick={newChat} className="text-sm text-blue-600 hover:underline">+ New chat</button>
+            </div>
+
+            <div className="flex-1 overflow-y-auto space-y-3">
+                {messages.length === 0 && (
+                    <div className="text-center text-gray-500 pt-10">
+                        Ask anything about pages you've read, e.g. "what did that article say about React server components?"
+                    </div>
+                )}
+
+                {messages.map((msg, i) => (
+                    <div
+                        key={i}
+                        className={`p-3 rounded-lg shadow-sm text-sm ${
+                            msg.role === 'user' ? 'bg-blue-600 text-white ml-8' : 'bg-white text-gray-800 mr-8'
+                        }`}
+                    >
+                        {msg.role === 'user' && msg.content}
+                        {msg.role === 'assistant' && (
+                            <>
+                                {msg.content && <p className="whitespace-pre-wrap"><AnswerText text={msg.content} sources={msg.sources || []} /></p>}
+                                {msg.error && <p className="text-red-600">{msg.error}</p>}
+                                {msg.sources && msg.sources.length > 0 && (
+                                    <ol className="mt-2 pt-2 border-t border-gray-200 space-y-0.5">
+                                        {msg.sources.map(source => (
+                                            <li
+                                                key={source.n}
+                                                className="text-xs text-gray-600 truncate cursor-pointer hover:underline"
+                                                onClick={() => openMemoryEntry(source)}
+                                            >
+                                                [{source.n}] {source.title}{source.status === 'closed' ? ' (closed)' : ''}
+                                            </li>
+                                        ))}
+                                    </ol>
+                                )}
+                            </>
+                        )}
+                    </div>
+                ))}
+                {isThinking && <div className="text-center text-blue-600 py-2">🧠 Reading your tabs...</div>}
+                <div ref={bottomRef} />
+            </div>
+
+            <form onSubmit={ask} className="mt-3 flex gap-2">
+                <input
+                    value={question}
+                    onChange={(e) => setQuestion(e.target.value)}
+                    placeholder="Ask a question about your tabs…"
+                    className="flex-1 p-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-black dark:text-white"
+                />
+                <button
+                    type="submit"
+                    disabled={isThinking || !question.trim()}
+                    className="px-3 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition disabled:opacity-50"
+                >
+                    Ask
+                </button>
+            </form>
+        </div>
+    );
+};
+
+const ClustersView: React.FC = () => {
+    const [clusters, setClusters] = useState<Cluster[]>([]);
+    const [isClustering, setIsClustering] = useState(false);
+    const [groupedIds, setGroupedIds] = useState<string[]>([]);
+
+    const recluster = useCallback(() => {
+        setIsClustering(true);
+        chrome.runtime.sendMessage({ type: "RECLUSTER_TABS" }, (response: Cluster[]) => {
+            if (response && Array.isArray(response)) setClusters(response);
+            setIsClustering(false);
+        });
+    }, []);
+
+    useEffect(() => {
+        // Show the last result right away; build clusters the first time
+        chrome.runtime.sendMessage({ type: "REQUEST_CLUSTERS" }, (response: Cluster[]) => {
+            if (response && Array.isArray(response) && response.length > 0) {
+                setClusters(response);
+            } else {
+                recluster();
+            }
+        });
+    }, [recluster]);
+
+    const groupTabs = (cluster: Cluster) => {
+        chrome.runtime.sendMessage({ type: "GROUP_CLUSTER_TABS", clusterId: cluster.id }, (response: { success: boolean }) => {
+            if (response?.success) setGroupedIds(prev => [...prev, cluster.id]);
+        });
+    };
+
+    return (
+        <div className="p-4 w-full h-full flex flex-col">
+            <div className="flex items-center justify-between mb-4">
+                <h3 className="text-xl font-bold">🧩 Topic Clusters</h3>
+                <button
+                    onClick={recluster}
+                    disabled={isClustering}
+                    className="text-sm text-blue-600 hover:underline disabled:opacity-50"
+                >
+                    {isClustering ? 'Clustering...' : '↻ Refresh'}
+                </button>
+            </div>
+
+            <div className="flex-1 overflow-y-auto space-y-3">
+                {!isClustering && clusters.length === 0 && (
+                    <div className="text-center text-gray-500 pt-10">
+                        No related tabs found yet. Open a few pages on the same topic.
+                    </div>
+                )}
+
+                {clusters.map(cluster => (
+                    <div key={cluster.id} className="p-3 bg-white rounded-lg shadow-sm border-l-4 border-orange-500">
+                        <div className="flex items-center justify-between gap-2">
+                            <h4 className="font-semibold text-gray-800 truncate">{cluster.label}</h4>
+                            <button
+                                onClick={() => groupTabs(cluster)}
+                                className="text-xs px-2 py-0.5 rounded-full bg-orange-100 text-orange-800 hover:bg-orange-200"
+                            >
+                                {groupedIds.includes(cluster.id) ? '✓ Grouped' : '📎 Group these tabs'}
+                            </button>
                         </div>
+                        <p className="text-xs text-gray-500 mt-1">{cluster.topTerms.join(' · ')}</p>
+                        <ul className="mt-2 space-y-1">
+                            {cluster.tabs.map(tab => (
+                                <li
+                                    key={entryKey(tab)}
+                                    className="text-sm text-gray-700 truncate cursor-pointer hover:underline"
+                                    onClick={() => openMemoryEntry(tab)}
+                                >
+                                    {tab.title}
+                                </li>
+                            ))}
+                        </ul>
                     </div>
                 ))}
             </div>
         </div>
     );
 };
+
+const SessionsView: React.FC = () => {
+    const [sessions, setSessions] = useState<Session[]>([]);
+    const [knownTags, setKnownTags] = useState<string[]>([]);
+    const [selectedTag, setSelectedTag] = useState('');
+    const [asGroup, setAsGroup] = useState(true);
+    const [expandedId, setExpandedId] = useState<string | null>(null);
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState<string | null>(null);
+
+    const fetchSessions = useCallback(() => {
+        chrome.runtime.sendMessage({ type: "REQUEST_SESSIONS" }, (response: Session[]) => {
+            if (response && Array.isArray(response)) setSessions(response);
+        });
+        chrome.runtime.sendMessage({ type: "REQUEST_TABS_DATA" }, (response: TabInfo[]) => {
+            if (response && Array.isArray(response)) {
+                const tags = new Set<string>();
+                response.forEach(t => t.tags?.forEach(tag => tags.add(tag)));
+                setKnownTags([...tags].sort());
+            }
+        });
+    }, []);
+
+    useEffect(() => {
+        fetchSessions();
+        const listener = (message: any) => {
+            if (message.type === 'SESSIONS_UPDATED') fetchSessions();
+        };
+        chrome.runtime.onMessage.addListener(listener);
+        return () => { chrome.runtime.onMessage.removeListener(listener); };
+    }, [fetchSessions]);
+
+    const save = (source: Session['source']) => {
+        setIsSaving(true);
+        setError(null);
+        chrome.runtime.sendMessage({ type: "SAVE_SESSION", source }, (response: { success: boolean; error?: string }) => {
+            setIsSaving(false);
+            if (!response?.success) setError(response?.error || 'Could not save session.');
+        });
+    };
+
+    const saveCurrentWindow = () => {
+        chrome.windows.getCurrent((win) => {
+            if (win?.id !== undefined) save({ type: 'window', windowId: win.id });
+        });
+    };
+
+    const rename = (session: Session) => {
+        const name = window.prompt('Rename session', session.name);
+        if (name && name.trim() && name !== session.name) {
+            chrome.runtime.sendMessage({ type: "RENAME_SESSION", id: session.id, name });
+        }
+    };
+
+    return (
+        <div className="p-4 w-full h-full flex flex-col">
+            <h3 className="text-xl font-bold mb-4">🗂️ Sessions</h3>
+
+            {/* Snapshot controls */}
+            <div className="space-y-2 mb-4">
+                <button
+                    onClick={saveCurrentWindow}
+                    disabled={isSaving}
+                    className="w-full py-1.5 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition disabled:opacity-50"
+                >
+                    {isSaving ? 'Saving & naming...' : '💾 Save current window'}
+                </button>
+                <div className="flex gap-2">
+                    <select
+                        value={selectedTag}
+                        onChange={(e) => setSelectedTag(e.target.value)}
+                        className="flex-1 p-1.5 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-sm"
+                    >
+                        <option value="">Pick a tag…</option>
+                        {knownTags.map(tag => <option key={tag} value={tag}>{tag}</option>)}
+                    </select>
+                    <button
+                        onClick={() => selectedTag && save({ type: 'tag', tag: selectedTag })}
+                        disabled={isSaving || !selectedTag}
+                        className="px-3 py-1.5 bg-green-600 text-white text-sm rounded-lg hover:bg-green-700 transition disabled:opacity-50"
+                    >
+                        Save tag
+                    </button>
+                </div>
+                <label className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-300">
+                    <input type="checkbox" checked={asGroup} onChange={() => setAsGroup(!asGroup)} />
+                    Restore as a Chrome tab group
+                </label>
+                {error && <p className="text-xs text-red-600">{error}</p>}
+            </div>
+
+            {/* Saved sessions */}
+            <div className="flex-1 overflow-y-auto space-y-3">
+                {sessions.length === 0 && (
+                    <div className="text-center text-gray-500 pt-10">No saved sessions yet.</div>
+                )}
+
+                {sessions.map(session => (
+                    <div key={session.id} className="p-3 bg-white rounded-lg shadow-sm border-l-4 border-indigo-500">
+                        <div className="flex items-center justify-between gap-2">
+                            <button
+                                onClick={() => setExpandedId(expandedId === session.id ? null : session.id)}
+                                className="font-semibold text-gray-800 truncate text-left"
+                            >
+                                {expandedId === session.id ? '▾' : '▸'} {session.name}
+                            </button>
+                            <span className="text-xs bg-indigo-100 text-indigo-700 px-2 py-0.5 rounded-full">
+                                {session.tabs.length}
+                            </span>
+                        </div>
+                        <p className="text-xs text-gray-500 mt-1">
+                            {new Date(session.createdAt).toLocaleString()}
+                            {session.source.type === 'tag' ? ` · tag: ${session.source.tag}` : ' · window'}
+                        </p>
+
+                        {expandedId === session.id && (
+                            <ul className="mt-2 space-y-1">
+                                {session.tabs.map((tab, i) => (
+                                    <li key={i} className="text-sm">
+                                        <span className="font-medium text-gray-800">{tab.title}</span>
+                                        {tab.tabNote && <p className="text-xs text-gray-600 italic">{tab.tabNote}</p>}
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+
+                        <div className="mt-2 flex gap-3 text-xs">
+                            <button
+                                onClick={() => chrome.runtime.sendMessage({ type: "RESTORE_SESSION", id: session.id, asGroup })}
+                                className="text-blue-600 hover:underline"
+                            >
+                                ↩ Restore
+                            </button>
+                            <button onClick={() => rename(session)} className="text-gray-600 hover:underline">
+                                Rename
+                            </button>
+                            <button
+                                onClick={() => chrome.runtime.sendMessage({ type: "DELETE_SESSION", id: session.id })}
+                                className="text-red-600 hover:underline"
+                            >
+                                Delete
+                            </button>
+                        </div>
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+};
+const CACHE_OUTCOME_STYLES: Record<CacheEvent['outcome'], string> = {
+    hit: 'bg-green-100 text-green-700',
+    miss: 'bg-yellow-100 text-yellow-800',
+    unchanged: 'bg-gray-100 text-gray-600',
+};
+
+const formatBytes = (bytes: number) => {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    if (bytes < 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    return `${(bytes / 1024 / 1024 / 1024).toFixed(1)} GB`;
+};
+
+const STORAGE_LABELS: Record<keyof StorageUsage['bytes'], { label: string; color: string }> = {
+    text: { label: 'Page text', color: 'bg-blue-500' },
+    pages: { label: 'Summaries, tags & metadata', color: 'bg-green-500' },
+    embeddings: { label: 'Semantic index', color: 'bg-purple-500' },
+    summaryCache: { label: 'Summary cache', color: 'bg-orange-400' },
+    sessions: { label: 'Sessions', color: 'bg-cyan-500' },
+    notes: { label: 'Sticky notes', color: 'bg-yellow-400' },
+};
+
+const StorageUsagePanel: React.FC<{ storage: StorageUsage }> = ({ storage }) => {
+    const total = Object.values(storage.bytes).reduce((sum, n) => sum + n, 0) || 1;
+    const quotaShare = storage.browser.quota ? storage.browser.usage / storage.browser.quota : 0;
+
+    return (
+        <>
+            <h4 className="text-sm font-semibold text-gray-500 mb-2">Storage</h4>
+            <div className="flex h-2 rounded-full overflow-hidden bg-gray-200 mb-2">
+                {(Object.keys(STORAGE_LABELS) as (keyof StorageUsage['bytes'])[]).map(kind => (
+                    <div key={kind} className={STORAGE_LABELS[kind].color} style={{ width: `${(storage.bytes[kind] / total) * 100}%` }} />
+                ))}
+            </div>
+            <ul className="space-y-0.5 mb-2">
+                {(Object.keys(STORAGE_LABELS) as (keyof StorageUsage['bytes'])[]).map(kind => (
+                    <li key={kind} className="flex items-center gap-2 text-xs">
+                        <span className={`w-2 h-2 rounded-full ${STORAGE_LABELS[kind].color}`} />
+                        <span className="flex-1">{STORAGE_LABELS[kind].label}</span>
+                        <span className="text-gray-500">{formatBytes(storage.bytes[kind])}</span>
+                    </li>
+                ))}
+            </ul>
+            <p className="text-xs text-gray-500 mb-4">
+                {storage.counts.openTabs} open · {storage.counts.closedPages} closed · {storage.counts.starred} starred · {storage.counts.trimmed} summary-only ·{' '}
+                keyword index {storage.keywordIndex.terms.toLocaleString()} terms (in memory)
+                <br />
+                Extension storage: {formatBytes(storage.browser.usage)} of {formatBytes(storage.browser.quota)} ({Math.round(quotaShare * 100)}%) ·
+                notes & settings store {formatBytes(storage.local.usage)} of {formatBytes(storage.local.quota)}
+            </p>
+        </>
+    );
+};
+
+const DiagnosticsView: React.FC = () => {
+    const [diagnostics, setDiagnostics] = useState<Diagnostics | null>(null);
+
+    const refresh = useCallback(() => {
+        chrome.runtime.sendMessage({ type: "REQUEST_DIAGNOSTICS" }, (response: Diagnostics) => {
+            if (response) setDiagnostics(response);
+        });
+    }, []);
+
+    useEffect(() => {
+        refresh();
+        const listener = (message: any) => {
+            if (message.type === 'JOB_QUEUE_UPDATED' || message.type === 'UPDATE_SMART_TAGS') refresh();
+        };
+        chrome.runtime.onMessage.addListener(listener);
+        return () => chrome.runtime.onMessage.removeListener(listener);
+    }, [refresh]);
+
+    const clearCache = () => {
+        if (!window.confirm('Clear all cached summaries and reset the counters?')) return;
+        chrome.runtime.sendMessage({ type: "CLEAR_SUMMARY_CACHE" }, refresh);
+    };
+
+    if (!diagnostics) return <div className="p-4 text-gray-500">Loading diagnostics...</div>;
+    const { cache, queue, storage } = diagnostics;
+
+    const stat = (label: string, value: React.ReactNode) => (
+        <div className="p-2 bg-white dark:bg-gray-800 rounded-lg shadow-sm text-center">
+            <div className="text-lg font-semibold">{value}</div>
+            <div className="text-xs text-gray-500">{label}</div>
+        </div>
+    );
+
+    return (
+        <div className="p-4 w-full h-full flex flex-col">
+            <div className="flex items-center justify-between mb-4">
+                <h3 className="text-xl font-bold">🩺 Diagnostics</h3>
+                <button onClick={refresh} className="text-sm text-blue-600 hover:underline">↻ Refresh</button>
+            </div>
+
+            <h4 className="text-sm font-semibold text-gray-500 mb-2">Summary cache</h4>
+            <div className="grid grid-cols-3 gap-2 mb-2">
+                {stat('Hits', cache.hits)}
+                {stat('Misses', cache.misses)}
+                {stat('Unchanged', cache.unchanged)}
+                {stat('Hit rate', cache.hitRate === null ? '–' : `${Math.round(cache.hitRate * 100)}%`)}
+                {stat('Entries', `${cache.entries} / ${cache.maxEntries}`)}
+                {stat('Model calls saved', cache.hits + cache.unchanged)}
+            </div>
+            <p className="text-xs text-gray-500 mb-4">
+                Counting since {new Date(cache.since).toLocaleString()} ·{' '}
+                <button onClick={clearCache} className="text-red-600 hover:underline">Clear cache</button>
+            </p>
+
+            <h4 className="text-sm font-semibold text-gray-500 mb-2">AI job queue</h4>
+            <div className="grid grid-cols-4 gap-2 mb-4">
+                {stat('Running', queue.running)}
+                {stat('Waiting', queue.pending)}
+                {stat('Done', queue.done)}
+                {stat('Failed', queue.failed)}
+            </div>
+
+            {storage && <StorageUsagePanel storage={storage} />}
+
+            <h4 className="text-sm font-semibold text-gray-500 mb-2">Recent captures</h4>
+            <ul className="flex-1 overflow-y-auto space-y-1">
+                {cache.recent.length === 0 && <li className="text-sm text-gray-500">No page captures yet.</li>}
+                {cache.recent.map((event, i) => (
+                    <li key={i} className="flex items-center gap-2 text-xs">
+                        <span className={`px-2 py-0.5 rounded-full ${CACHE_OUTCOME_STYLES[event.outcome]}`}>{event.outcome}</span>
+                        <span className="truncate flex-1" title={event.url}>{event.url}</span>
+                        <span className="text-gray-400">{new Date(event.at).toLocaleTimeString()}</span>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+};
+const CAPABILITY_LABELS: Record<AICapability, string> = {
+    summarize: 'Summaries (TabNotes)',
+    prompt: 'Prompting (tags, search re-rank, Ask)',
+    embed: 'Embeddings (semantic search)',
+};
+
+const PROVIDER_LABELS: Record<ProviderId, string> = {
+    builtin: 'Chrome built-in AI',
+    openai: 'OpenAI-compatible endpoint',
+};
+
+type PrivacySettings = {
+    mode: 'deny' | 'allow';
+    denyList: string[];
+    allowList: string[];
+    pausedSites: string[];
+    skipSensitive: boolean;
+    incognito: 'skip' | 'memory' | 'allow';
+};
+
+const INCOGNITO_LABELS: Record<PrivacySettings['incognito'], string> = {
+    skip: 'Never capture incognito tabs',
+    memory: 'Capture, but keep only until the tab closes',
+    allow: 'Capture like any other tab',
+};
+
+const splitPatterns = (text: string) => text.split('\n').map(p => p.trim()).filter(Boolean);
+
+// Which pages are read at all; enforced by the background before anything is stored or sent to a model
+const PrivacySettingsForm: React.FC<{ inputClass: string }> = ({ inputClass }) => {
+    const [privacy, setPrivacy] = useState<PrivacySettings | null>(null);
+    const [denyText, setDenyText] = useState('');
+    const [allowText, setAllowText] = useState('');
+    const [notice, setNotice] = useState<string | null>(null);
+
+    const load = (settings: PrivacySettings) => {
+        setPrivacy(settings);
+        setDenyText(settings.denyList.join('\n'));
+        setAllowText(settings.allowList.join('\n'));
+    };
+
+    useEffect(() => {
+        chrome.runtime.sendMessage({ type: "REQUEST_PRIVACY_SETTINGS" }, (response: PrivacySettings) => {
+            if (response) load(response);
+        });
+    }, []);
+
+    if (!privacy) return null;
+
+    const save = (next: PrivacySettings) => {
+        setNotice(null);
+        chrome.runtime.sendMessage({ type: "UPDATE_PRIVACY_SETTINGS", settings: next }, (response: { settings?: PrivacySettings; error?: string }) => {
+            if (!response?.settings) {
+                setNotice(response?.error || 'Could not save privacy settings.');
+                return;
+            }
+            load(response.settings);
+            setNotice('Privacy settings saved. Pages already captured are kept.');
+        });
+    };
+    const saveForm = (change: Partial<PrivacySettings> = {}) =>
+        save({ ...privacy, denyList: splitPatterns(denyText), allowList: splitPatterns(allowText), ...change });
+
+    return (
+        <>
+            <h4 className="text-sm font-semibold text-gray-500 mt-6 mb-2">Privacy</h4>
+            <div className="space-y-2">
+                <label className="block text-xs text-gray-600 dark:text-gray-300">
+                    Capture
+                    <select
+                        value={privacy.mode}
+                        onChange={(e) => setPrivacy({ ...privacy, mode: e.target.value as PrivacySettings['mode'] })}
+                        className={inputClass}
+                    >
+                        <option value="deny">Every site except the deny list</option>
+                        <option value="allow">Only sites on the allow list</option>
+                    </select>
+                </label>
+                <label className="block text-xs text-gray-600 dark:text-gray-300">
+                    Deny list (one per line)
+                    <textarea value={denyText} onChange={(e) => setDenyText(e.target.value)} rows={3} className={inputClass} placeholder={'mybank.com\nmail.google.com\n*.intranet.local\nexample.com/account'} />
+                </label>
+                <label className={`block text-xs text-gray-600 dark:text-gray-300 ${privacy.mode === 'allow' ? '' : 'opacity-60'}`}>
+                    Allow list (one per line)
+                    <textarea value={allowText} onChange={(e) => setAllowText(e.target.value)} rows={3} className={inputClass} placeholder={'wikipedia.org\ndeveloper.mozilla.org'} />
+                </label>
+                <p className="text-xs text-gray-500">
+                    "site.com" covers its subdomains · "*" matches anything · "site.com/path" covers everything under that path.
+                </p>
+                <label className="flex items-center gap-2 text-xs text-gray-600 dark:text-gray-300">
+                    <input
+                        type="checkbox"
+                        checked={privacy.skipSensitive}
+                        onChange={(e) => setPrivacy({ ...privacy, skipSensitive: e.target.checked })}
+                    />
+                    Skip pages with password fields or payment forms
+                </label>
+                <label className="block text-xs text-gray-600 dark:text-gray-300">
+                    Incognito tabs
+                    <select
+                        value={privacy.incognito}
+                        onChange={(e) => setPrivacy({ ...privacy, incognito: e.target.value as PrivacySettings['incognito'] })}
+                        className={inputClass}
+                    >
+                        {(Object.keys(INCOGNITO_LABELS) as PrivacySettings['incognito'][]).map(policy => (
+                            <option key={policy} value={policy}>{INCOGNITO_LABELS[policy]}</option>
+                        ))}
+                    </select>
+                </label>
+                {privacy.pausedSites.length > 0 && (
+                    <div className="text-xs text-gray-600 dark:text-gray-300">
+                        Paused sites:
+                        <div className="flex flex-wrap gap-1 mt-1">
+                            {privacy.pausedSites.map(site => (
+                                <span key={site} className="px-2 py-0.5 rounded-full bg-gray-100 dark:bg-gray-700">
+                                    {site}
+                                    <button
+                                        onClick={() => saveForm({ pausedSites: privacy.pausedSites.filter(s => s !== site) })}
+                                        className="ml-1 text-gray-500 hover:text-red-600"
+                                        title="Resume capture"
+                                    >
+                                        ×
+                                    </button>
+                                </span>
+                            ))}
+                        </div>
+                    </div>
+                )}
+                <button
+                    onClick={() => saveForm()}
+                    className="w-full py-1.5 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition"
+                >
+                    Save privacy settings
+                </button>
+                {notice && <p className="text-xs text-gray-600 dark:text-gray-300">{notice}</p>}
+            </div>
+        </>
+    );
+};
+
+type RedactionSettings = { categories: Record<string, boolean> };
+type RedactionCategories = Record<string, { label: string; placeholder: string }>;
+
+// PII categories replaced with placeholders before pages are stored or prompted
+const RedactionSettingsForm: React.FC = () => {
+    const [settings, setSettings] = useState<RedactionSettings | null>(null);
+    const [categories, setCategories] = useState<RedactionCategories>({});
+    const [notice, setNotice] = useState<string | null>(null);
+
+    useEffect(() => {
+        chrome.runtime.sendMessage({ type: "REQUEST_REDACTION_SETTINGS" }, (response: { settings: RedactionSettings; categories: RedactionCategories }) => {
+            if (!response) return;
+            setSettings(response.settings);
+            setCategories(response.categories);
+        });
+    }, []);
+
+    if (!settings) return null;
+
+    const toggle = (category: string, enabled: boolean) => {
+        const next = { categories: { ...settings.categories, [category]: enabled } };
+        setSettings(next);
+        setNotice(null);
+        chrome.runtime.sendMessage({ type: "UPDATE_REDACTION_SETTINGS", settings: next }, (response: { settings?: RedactionSettings; updated?: number; error?: string }) => {
+            if (!response?.settings) {
+                setNotice(response?.error || 'Could not save redaction settings.');
+                return;
+            }
+            setSettings(response.settings);
+            setNotice(response.updated ? `Re-checked ${response.updated} saved page(s).` : 'Saved.');
+        });
+    };
+
+    return (
+        <>
+            <h4 className="text-sm font-semibold text-gray-500 mt-6 mb-2">Redaction</h4>
+            <p className="text-xs text-gray-500 mb-2">
+                Replaced with placeholders like [EMAIL] before pages are saved or sent to a model. Turning a category off only affects new captures.
+            </p>
+            <div className="space-y-1">
+                {Object.entries(categories).map(([category, { label, placeholder }]) => (
+                    <label key={category} className="flex items-center gap-2 text-xs text-gray-600 dark:text-gray-300">
+                        <input
+                            type="checkbox"
+                            checked={!!settings.categories[category]}
+                            onChange={(e) => toggle(category, e.target.checked)}
+                        />
+                        {label} <span className="text-gray-400">{placeholder}</span>
+                    </label>
+                ))}
+            </div>
+            {notice && <p className="text-xs text-gray-600 dark:text-gray-300 mt-2">{notice}</p>}
+        </>
+    );
+};
+
+type RetentionOverride = { pattern: string; keepTextDays: number; purgeAfterDays: number };
+type RetentionSettings = { keepTextDays: number; purgeAfterDays: number; overrides: RetentionOverride[] };
+
+// How long closed pages are kept; enforced hourly by the background
+const RetentionSettingsForm: React.FC<{ inputClass: string }> = ({ inputClass }) => {
+    const [retention, setRetention] = useState<RetentionSettings | null>(null);
+    const [notice, setNotice] = useState<string | null>(null);
+
+    useEffect(() => {
+        chrome.runtime.sendMessage({ type: "REQUEST_RETENTION_SETTINGS" }, (response: RetentionSettings) => {
+            if (response) setRetention(response);
+        });
+    }, []);
+
+    if (!retention) return null;
+
+    const setOverride = (index: number, change: Partial<RetentionOverride>) =>
+        setRetention({ ...retention, overrides: retention.overrides.map((o, i) => (i === index ? { ...o, ...change } : o)) });
+
+    const save = () => {
+        setNotice(null);
+        chrome.runtime.sendMessage({ type: "UPDATE_RETENTION_SETTINGS", settings: retention }, (response: { settings?: RetentionSettings; error?: string }) => {
+            if (!response?.settings) {
+                setNotice(response?.error || 'Could not save retention settings.');
+                return;
+            }
+            setRetention(response.settings);
+            setNotice('Retention settings saved. They apply at the next hourly cleanup.');
+        });
+    };
+    const cleanUpNow = () => {
+        if (!window.confirm('Apply the retention rules now? Dropped text and forgotten pages cannot be restored.')) return;
+        chrome.runtime.sendMessage({ type: "APPLY_RETENTION" }, (response: { success: boolean; trimmed?: number; purged?: number; error?: string }) => {
+            setNotice(response?.success
+                ? `Dropped the text of ${response.trimmed} page(s), forgot ${response.purged} page(s).`
+                : response?.error || 'Cleanup failed.');
+        });
+    };
+
+    const daysInput = (value: number, onChange: (days: number) => void) => (
+        <input type="number" min={0} value={value} onChange={(e) => onChange(Number(e.target.value))} className={`${inputClass} w-20`} />
+    );
+
+    return (
+        <>
+            <h4 className="text-sm font-semibold text-gray-500 mt-6 mb-2">Retention</h4>
+            <div className="space-y-2">
+                <label className="flex items-center justify-between gap-2 text-xs text-gray-600 dark:text-gray-300">
+                    Keep full page text of closed pages for (days)
+                    {daysInput(retention.keepTextDays, keepTextDays => setRetention({ ...retention, keepTextDays }))}
+                </label>
+                <label className="flex items-center justify-between gap-2 text-xs text-gray-600 dark:text-gray-300">
+                    Forget closed pages entirely after (days)
+                    {daysInput(retention.purgeAfterDays, purgeAfterDays => setRetention({ ...retention, purgeAfterDays }))}
+                </label>
+                <p className="text-xs text-gray-500">
+                    0 means forever. After the text is dropped the summary, tags and notes stay searchable. Starred (★) pages are never touched.
+                </p>
+                <div className="text-xs text-gray-600 dark:text-gray-300">
+                    Per-site overrides (text days · forget days):
+                    {retention.overrides.map((override, i) => (
+                        <div key={i} className="flex items-center gap-1 mt-1">
+                            <input
+                                value={override.pattern}
+                                onChange={(e) => setOverride(i, { pattern: e.target.value })}
+                                placeholder="news.example.com"
+                                className={`${inputClass} flex-1`}
+                            />
+                            {daysInput(override.keepTextDays, keepTextDays => setOverride(i, { keepTextDays }))}
+                            {daysInput(override.purgeAfterDays, purgeAfterDays => setOverride(i, { purgeAfterDays }))}
+                            <button
+                                onClick={() => setRetention({ ...retention, overrides: retention.overrides.filter((_, j) => j !== i) })}
+                                className="text-gray-500 hover:text-red-600"
+                                title="Remove override"
+                            >
+                                ×
+                            </button>
+                        </div>
+                    ))}
+                    <button
+                        onClick={() => setRetention({ ...retention, overrides: [...retention.overrides, { pattern: '', keepTextDays: 7, purgeAfterDays: 30 }] })}
+                        className="block mt-1 text-blue-600 hover:underline"
+                    >
+                        + Add override
+                    </button>
+                </div>
+                <div className="flex gap-2">
+                    <button
+                        onClick={save}
+                        className="flex-1 py-1.5 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition"
+                    >
+                        Save retention settings
+                    </button>
+                    <button
+                        onClick={cleanUpNow}
+                        className="px-3 py-1.5 border border-gray-300 dark:border-gray-600 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-700 transition"
+                    >
+                        🧹 Clean up now
+                    </button>
+                </div>
+                {notice && <p className="text-xs text-gray-600 dark:text-gray-300">{notice}</p>}
+            </div>
+        </>
+    );
+};
+
+type ExportFormat = 'json' | 'markdown' | 'bookmarks';
+type ConflictStrategy = 'newer' | 'keep' | 'replace';
+type ImportResult = {
+    success: boolean;
+    added?: number;
+    updated?: number;
+    skipped?: number;
+    notes?: number;
+    tags?: number;
+    sessions?: { added: number; updated: number };
+    error?: string;
+};
+
+const EXPORT_FORMATS: { format: ExportFormat; label: string; title: string }[] = [
+    { format: 'json', label: '📦 Archive (JSON)', title: 'Everything, for importing on another machine' },
+    { format: 'markdown', label: '📝 Digest (Markdown)', title: 'Summaries and notes grouped by tag' },
+    { format: 'bookmarks', label: '🔖 Bookmarks (HTML)', title: 'Importable by Chrome, Firefox and Safari' },
+];
+
+const CONFLICT_LABELS: Record<ConflictStrategy, string> = {
+    newer: 'Keep whichever copy is newer',
+    keep: 'Keep what is already here',
+    replace: 'Take the archive copy',
+};
+
+const downloadFile = ({ filename, mimeType, content }: { filename: string; mimeType: string; content: string }) => {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+// Move memory between machines, or out of the extension altogether
+const ExportImportForm: React.FC<{ inputClass: string }> = ({ inputClass }) => {
+    const [strategy, setStrategy] = useState<ConflictStrategy>('newer');
+    const [isWorking, setIsWorking] = useState(false);
+    const [notice, setNotice] = useState<string | null>(null);
+
+    const exportAs = (format: ExportFormat) => {
+        setIsWorking(true);
+        setNotice(null);
+        chrome.runtime.sendMessage({ type: "EXPORT_MEMORY", format }, (response: { success: boolean; filename: string; mimeType: string; content: string; error?: string }) => {
+            setIsWorking(false);
+            if (!response?.success) {
+                setNotice(response?.error || 'Export failed.');
+                return;
+            }
+            downloadFile(response);
+        });
+    };
+
+    const importFile = async (e: React.ChangeEvent<HTMLInputElement>) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+        setIsWorking(true);
+        setNotice(null);
+        const text = await file.text();
+        chrome.runtime.sendMessage({ type: "IMPORT_MEMORY", text, strategy }, (response: ImportResult) => {
+            setIsWorking(false);
+            if (!response?.success) {
+                setNotice(response?.error || 'Import failed.');
+                return;
+            }
+            setNotice([
+                `${response.added} page(s) added, ${response.updated} updated`,
+                response.skipped ? `${response.skipped} skipped by your privacy rules` : null,
+                `${(response.sessions?.added || 0) + (response.sessions?.updated || 0)} session(s)`,
+                `${response.notes} sticky note(s)`,
+                response.tags ? `${response.tags} new tag(s)` : null,
+            ].filter(Boolean).join(' · '));
+        });
+    };
+
+    return (
+        <>
+            <h4 className="text-sm font-semibold text-gray-500 mt-6 mb-2">Export & import</h4>
+            <div className="space-y-2">
+                <div className="flex flex-wrap gap-1">
+                    {EXPORT_FORMATS.map(({ format, label, title }) => (
+                        <button
+                            key={format}
+                            onClick={() => exportAs(format)}
+                            disabled={isWorking}
+                            title={title}
+                            className="px-2 py-1 text-xs border border-gray-300 dark:border-gray-600 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-700 transition disabled:opacity-50"
+                        >
+                            {label}
+                        </button>
+                    ))}
+                </div>
+                <p className="text-xs text-gray-500">Exports are plain files: page text, summaries and notes are readable by anyone who has them.</p>
+                <label className="block text-xs text-gray-600 dark:text-gray-300">
+                    When a page, session or note already exists
+                    <select value={strategy} onChange={(e) => setStrategy(e.target.value as ConflictStrategy)} className={inputClass}>
+                        {(Object.keys(CONFLICT_LABELS) as ConflictStrategy[]).map(s => (
+                            <option key={s} value={s}>{CONFLICT_LABELS[s]}</option>
+                        ))}
+                    </select>
+                </label>
+                <label className={`block w-full py-1.5 text-center bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition cursor-pointer ${isWorking ? 'opacity-50 pointer-events-none' : ''}`}>
+                    📥 Import an archive (.json)
+                    <input type="file" accept=".json,application/json" onChange={importFile} className="hidden" />
+                </label>
+                {notice && <p className="text-xs text-gray-600 dark:text-gray-300">{notice}</p>}
+            </div>
+        </>
+    );
+};
+
+type SyncBackendId = 'http' | 'chrome';
+type SyncSettings = {
+    enabled: boolean;
+    intervalMinutes: number;
+    backends: Record<SyncBackendId, boolean>;
+    http: { url: string; username: string; password: string };
+};
+type SyncBackendStatus = { lastSyncAt?: number; lastError?: string | null; pulled?: number; pushed?: number; dropped?: number };
+type SyncStatus = Partial<Record<SyncBackendId, SyncBackendStatus>>;
+
+const SYNC_BACKEND_LABELS: Record<SyncBackendId, { label: string; hint: string }> = {
+    http: { label: 'WebDAV / HTTP server', hint: 'Full records: page text, summaries, tags, sessions and notes' },
+    chrome: { label: 'Chrome sync', hint: 'Titles, tags, stars, sessions and notes, within Chrome\'s ~100 KB sync quota' },
+};
+
+const describeSyncStatus = (status?: SyncBackendStatus) => {
+    if (!status?.lastSyncAt && !status?.lastError) return 'Not synced yet';
+    if (status.lastError) return `❌ ${status.lastError}`;
+    const counts = `${status.pulled} in, ${status.pushed} out${status.dropped ? `, ${status.dropped} over quota` : ''}`;
+    return `✅ ${new Date(status.lastSyncAt!).toLocaleString()} · ${counts}`;
+};
+
+// Replicate memory to other devices through Chrome sync and/or a WebDAV or HTTP server
+const SyncSettingsForm: React.FC<{ inputClass: string }> = ({ inputClass }) => {
+    const [sync, setSync] = useState<SyncSettings | null>(null);
+    const [status, setStatus] = useState<SyncStatus>({});
+    const [isSyncing, setIsSyncing] = useState(false);
+    const [notice, setNotice] = useState<string | null>(null);
+    // Backends receive plaintext, so the background worker doesn't sync while the vault is on
+    const vault = useVaultStatus();
+    const pausedByVault = !!vault?.enabled;
+
+    useEffect(() => {
+        chrome.runtime.sendMessage({ type: "REQUEST_SYNC_SETTINGS" }, (response: { settings: SyncSettings; status: SyncStatus }) => {
+            if (!response?.settings) return;
+            setSync(response.settings);
+            setStatus(response.status || {});
+        });
+    }, []);
+
+    if (!sync) return null;
+
+    const setHttp = (change: Partial<SyncSettings['http']>) => setSync({ ...sync, http: { ...sync.http, ...change } });
+
+    const save = () => {
+        setNotice(null);
+        chrome.runtime.sendMessage({ type: "UPDATE_SYNC_SETTINGS", settings: sync }, (response: { settings?: SyncSettings; status?: SyncStatus; error?: string }) => {
+            if (!response?.settings) {
+                setNotice(response?.error || 'Could not save sync settings.');
+                return;
+            }
+            setSync(response.settings);
+            setStatus(response.status || {});
+            setNotice(response.settings.enabled ? `Sync settings saved. Syncing every ${response.settings.intervalMinutes} minutes.` : 'Sync is off.');
+        });
+    };
+    const syncNow = () => {
+        setIsSyncing(true);
+        setNotice(null);
+        chrome.runtime.sendMessage({ type: "SYNC_NOW" }, (response: { success: boolean; status?: SyncStatus; error?: string }) => {
+            setIsSyncing(false);
+            if (response?.status) setStatus(response.status);
+            if (!response?.success) setNotice(response?.error || 'Sync failed.');
+        });
+    };
+
+    return (
+        <>
+            <h4 className="text-sm font-semibold text-gray-500 mt-6 mb-2">Sync across devices</h4>
+            <div className="space-y-2">
+                <label className="flex items-center gap-2 text-sm">
+                    <input type="checkbox" checked={sync.enabled} onChange={(e) => setSync({ ...sync, enabled: e.target.checked })} />
+                    Sync pages, sessions and sticky notes
+                </label>
+                {(Object.keys(SYNC_BACKEND_LABELS) as SyncBackendId[]).map(id => (
+                    <div key={id} className={`p-2 bg-white dark:bg-gray-800 rounded-lg shadow-sm ${sync.enabled ? '' : 'opacity-60'}`}>
+                        <label className="flex items-center gap-2 text-sm font-medium">
+                            <input
+                                type="checkbox"
+                                checked={sync.backends[id]}
+                                onChange={(e) => setSync({ ...sync, backends: { ...sync.backends, [id]: e.target.checked } })}
+                            />
+                            {SYNC_BACKEND_LABELS[id].label}
+                        </label>
+                        <p className="text-xs text-gray-500">{SYNC_BACKEND_LABELS[id].hint}</p>
+                        {id === 'http' && sync.backends.http && (
+                            <div className="space-y-1 mt-1">
+                                <input value={sync.http.url} onChange={(e) => setHttp({ url: e.target.value })} className={inputClass} placeholder="https://cloud.example.com/remote.php/dav/files/me/ai-tabrix/" />
+                                <div className="flex gap-1">
+                                    <input value={sync.http.username} onChange={(e) => setHttp({ username: e.target.value })} className={inputClass} placeholder="User (optional)" />
+                                    <input type="password" value={sync.http.password} onChange={(e) => setHttp({ password: e.target.value })} className={inputClass} placeholder="Password or token" />
+                                </div>
+                            </div>
+                        )}
+                        <p className="text-xs text-gray-600 dark:text-gray-300 mt-1">{describeSyncStatus(status[id])}</p>
+                    </div>
+                ))}
+                <label className="flex items-center justify-between gap-2 text-xs text-gray-600 dark:text-gray-300">
+                    Sync every (minutes)
+                    <input
+                        type="number"
+                        min={5}
+                        value={sync.intervalMinutes}
+                        onChange={(e) => setSync({ ...sync, intervalMinutes: Number(e.target.value) })}
+                        className={`${inputClass} w-20`}
+                    />
+                </label>
+                <p className="text-xs text-gray-500">
+                    The newest edit of each page, session or note wins. Synced copies are not encrypted, so sync is paused while the vault is on; use a server you trust.
+                    Incognito pages kept in memory only are never synced.
+                </p>
+                {pausedByVault && (
+                    <p className="text-xs text-orange-600 dark:text-orange-400">
+                        🔒 Sync is paused: the vault encrypts memory on this device, and synced copies would leave it unencrypted. Turn the vault off to sync.
+                    </p>
+                )}
+                <div className="flex gap-2">
+                    <button
+                        onClick={save}
+                        className="flex-1 py-1.5 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition"
+                    >
+                        Save sync settings
+                    </button>
+                    <button
+                        onClick={syncNow}
+                        disabled={!sync.enabled || isSyncing || pausedByVault}
+                        className="px-3 py-1.5 border border-gray-300 dark:border-gray-600 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-700 transition disabled:opacity-50"
+                    >
+                        {isSyncing ? 'Syncing...' : '🔄 Sync now'}
+                    </button>
+                </div>
+                {notice && <p className="text-xs text-gray-600 dark:text-gray-300">{notice}</p>}
+            </div>
+        </>
+    );
+};
+
+// --- Vault (encryption at rest) ---
+
+type VaultStatus = { enabled: boolean; locked: boolean; autoLockMinutes: number };
+type VaultResponse = { success: boolean; status?: VaultStatus; error?: string };
+
+const AUTO_LOCK_OPTIONS: { minutes: number; label: string }[] = [
+    { minutes: 5, label: 'After 5 idle minutes' },
+    { minutes: 15, label: 'After 15 idle minutes' },
+    { minutes: 60, label: 'After an idle hour' },
+    { minutes: 0, label: 'Only when the screen locks' },
+];
+
+const useVaultStatus = () => {
+    const [vault, setVault] = useState<VaultStatus | null>(null);
+
+    useEffect(() => {
+        chrome.runtime.sendMessage({ type: "REQUEST_VAULT_STATUS" }, (response: VaultStatus) => {
+            if (response) setVault(response);
+        });
+        const listener = (message: any) => {
+            if (message.type === 'VAULT_STATUS_CHANGED') setVault(message.status);
+        };
+        chrome.runtime.onMessage.addListener(listener);
+        return () => { chrome.runtime.onMessage.removeListener(listener); };
+    }, []);
+
+    return vault;
+};
+
+const UnlockForm: React.FC = () => {
+    const [passphrase, setPassphrase] = useState('');
+    const [isUnlocking, setIsUnlocking] = useState(false);
+    const [error, setError] = useState<string | null>(null);
+
+    const unlock = (e: React.FormEvent) => {
+        e.preventDefault();
+        setIsUnlocking(true);
+        setError(null);
+        chrome.runtime.sendMessage({ type: "UNLOCK_VAULT", passphrase }, (response: VaultResponse) => {
+            setIsUnlocking(false);
+            if (!response?.success) setError(response?.error || 'Could not unlock.');
+            else setPassphrase('');
+        });
+    };
+
+    return (
+        <form onSubmit={unlock} className="space-y-2">
+            <input
+                type="password"
+                value={passphrase}
+                onChange={(e) => setPassphrase(e.target.value)}
+                placeholder="Passphrase"
+                autoFocus
+                className="w-full p-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-sm"
+            />
+            <button
+                type="submit"
+                disabled={isUnlocking || !passphrase}
+                className="w-full py-1.5 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition disabled:opacity-50"
+            >
+                {isUnlocking ? 'Unlocking...' : 'Unlock'}
+            </button>
+            {error && <p className="text-xs text-red-600">{error}</p>}
+        </form>
+    );
+};
+
+// Shown in place of every view that reads remembered pages while the vault is locked
+const LockScreen: React.FC = () => (
+    <div className="p-6 max-w-sm mx-auto text-center">
+        <div className="text-4xl mb-2">🔒</div>
+        <h3 className="text-lg font-bold mb-1">Memory is locked</h3>
+        <p className="text-sm text-gray-500 mb-4">
+            Enter your passphrase to read your notes, tags and history. Pages aren't captured while locked.
+        </p>
+        <UnlockForm />
+    </div>
+);
+
+const VaultSettingsForm: React.FC<{ inputClass: string }> = ({ inputClass }) => {
+    const vault = useVaultStatus();
+    const [passphrase, setPassphrase] = useState('');
+    const [confirmation, setConfirmation] = useState('');
+    const [autoLockMinutes, setAutoLockMinutes] = useState(15);
+    const [isWorking, setIsWorking] = useState(false);
+    const [notice, setNotice] = useState<string | null>(null);
+
+    useEffect(() => {
+        if (vault) setAutoLockMinutes(vault.autoLockMinutes);
+    }, [vault]);
+
+    if (!vault) return null;
+
+    const send = (message: object, done: string) => {
+        setIsWorking(true);
+        setNotice(null);
+        chrome.runtime.sendMessage(message, (response: VaultResponse) => {
+            setIsWorking(false);
+            if (!response?.success) {
+                setNotice(response?.error || 'Something went wrong.');
+                return;
+            }
+            setPassphrase('');
+            setConfirmation('');
+            setNotice(done);
+        });
+    };
+
+    const enable = () => {
+        if (passphrase !== confirmation) {
+            setNotice("The passphrases don't match.");
+            return;
+        }
+        send({ type: "ENABLE_VAULT", passphrase, autoLockMinutes }, 'Vault enabled. Stored pages are now encrypted.');
+    };
+    const changeAutoLock = (minutes: number) => {
+        setAutoLockMinutes(minutes);
+        if (vault.enabled) send({ type: "UPDATE_VAULT_SETTINGS", autoLockMinutes: minutes }, 'Auto-lock updated.');
+    };
+
+    const autoLockSelect = (
+        <label className="block text-xs text-gray-600 dark:text-gray-300">
+            Lock automatically
+            <select value={autoLockMinutes} onChange={(e) => changeAutoLock(Number(e.target.value))} className={inputClass}>
+                {AUTO_LOCK_OPTIONS.map(({ minutes, label }) => (
+                    <option key={minutes} value={minutes}>{label}</option>
+                ))}
+            </select>
+        </label>
+    );
+
+    return (
+        <>
+            <h4 className="text-sm font-semibold text-gray-500 mt-6 mb-2">Vault</h4>
+            <p className="text-xs text-gray-500 mb-2">
+                Encrypts remembered pages, summaries, tags, sessions, search embeddings, sticky notes and Ask history with a passphrase (AES-GCM).
+                Settings, privacy lists and the taxonomy stay readable. There is no recovery: a forgotten passphrase means the memory is lost.
+            </p>
+            {vault.locked ? (
+                <UnlockForm />
+            ) : vault.enabled ? (
+                <div className="space-y-2">
+                    {autoLockSelect}
+                    <button
+                        onClick={() => send({ type: "LOCK_VAULT" }, 'Locked.')}
+                        disabled={isWorking}
+                        className="w-full py-1.5 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition disabled:opacity-50"
+                    >
+                        🔒 Lock now
+                    </button>
+                    <label className="block text-xs text-gray-600 dark:text-gray-300">
+                        Turn off encryption (passphrase)
+                        <input type="password" value={passphrase} onChange={(e) => setPassphrase(e.target.value)} className={inputClass} />
+                    </label>
+                    <button
+                        onClick={() => send({ type: "DISABLE_VAULT", passphrase }, 'Vault disabled. Stored pages are plaintext again.')}
+                        disabled={isWorking || !passphrase}
+                        className="w-full py-1.5 border border-red-500 text-red-600 rounded-lg hover:bg-red-50 transition disabled:opacity-50"
+                    >
+                        Decrypt and disable
+                    </button>
+                </div>
+            ) : (
+                <div className="space-y-2">
+                    <label className="block text-xs text-gray-600 dark:text-gray-300">
+                        Passphrase (8+ characters)
+                        <input type="password" value={passphrase} onChange={(e) => setPassphrase(e.target.value)} className={inputClass} />
+                    </label>
+                    <label className="block text-xs text-gray-600 dark:text-gray-300">
+                        Confirm passphrase
+                        <input type="password" value={confirmation} onChange={(e) => setConfirmation(e.target.value)} className={inputClass} />
+                    </label>
+                    {autoLockSelect}
+                    <button
+                        onClick={enable}
+                        disabled={isWorking || passphrase.length < 8}
+                        className="w-full py-1.5 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition disabled:opacity-50"
+                    >
+                        {isWorking ? 'Encrypting...' : '🔐 Encrypt my memory'}
+                    </button>
+                </div>
+            )}
+            {notice && <p className="text-xs text-gray-600 dark:text-gray-300 mt-2">{notice}</p>}
+        </>
+    );
+};
+
+const SettingsView: React.FC = () => {
+    const [settings, setSettings] = useState<ProviderSettings | null>(null);
+    const [status, setStatus] = useState<ProviderStatus | null>(null);
+    const [isSaving, setIsSaving] = useState(false);
+    const [notice, setNotice] = useState<string | null>(null);
+
+    useEffect(() => {
+        chrome.runtime.sendMessage({ type: "REQUEST_PROVIDER_SETTINGS" }, (response: { settings: ProviderSettings; status: ProviderStatus }) => {
+            if (!response) return;
+            setSettings(response.settings);
+            setStatus(response.status);
+        });
+    }, []);
+
+    if (!settings) return <div className="p-4 text-gray-500">Loading settings...</div>;
+
+    const setCapability = (capability: AICapability, provider: ProviderId) =>
+        setSettings({ ...settings, capabilities: { ...settings.capabilities, [capability]: provider } });
+    const setEndpoint = (change: Partial<ProviderSettings['openai']>) =>
+        setSettings({ ...settings, openai: { ...settings.openai, ...change } });
+
+    const save = () => {
+        setIsSaving(true);
+        setNotice(null);
+        chrome.runtime.sendMessage({ type: "UPDATE_PROVIDER_SETTINGS", settings }, (response: {
+            settings?: ProviderSettings; status?: ProviderStatus; modelStatus?: string; error?: string;
+        }) => {
+            setIsSaving(false);
+            if (!response || response.error) {
+                setNotice(response?.error || 'Could not apply settings.');
+                return;
+            }
+            if (response.settings) setSettings(response.settings);
+            if (response.status) setStatus(response.status);
+            setNotice(`AI status: ${response.modelStatus}`);
+        });
+    };
+
+    const usesEndpoint = Object.values(settings.capabilities).includes('openai');
+    const inputClass = "w-full p-1.5 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-sm";
+
+    return (
+        <div className="p-4 w-full h-full flex flex-col overflow-y-auto">
+            <h3 className="text-xl font-bold mb-4">⚙️ Settings</h3>
+
+            <h4 className="text-sm font-semibold text-gray-500 mb-2">AI providers</h4>
+            <div className="space-y-2 mb-4">
+                {(Object.keys(CAPABILITY_LABELS) as AICapability[]).map(capability => (
+                    <div key={capability} className="p-2 bg-white dark:bg-gray-800 rounded-lg shadow-sm">
+                        <div className="flex items-center justify-between gap-2">
+                            <span className="text-sm font-medium">{CAPABILITY_LABELS[capability]}</span>
+                            {status && (
+                                <span className={`text-xs px-2 py-0.5 rounded-full ${
+                                    status[capability].status === 'available' ? 'bg-green-100 text-green-700' : 'bg-yellow-100 text-yellow-800'
+                                }`}>
+                                    {status[capability].status}
+                                </span>
+                            )}
+                        </div>
+                        <select
+                            value={settings.capabilities[capability]}
+                            onChange={(e) => setCapability(capability, e.target.value as ProviderId)}
+                            className={`${inputClass} mt-1`}
+                        >
+                            {(Object.keys(PROVIDER_LABELS) as ProviderId[]).map(id => (
+                                <option key={id} value={id}>{PROVIDER_LABELS[id]}</option>
+                            ))}
+                        </select>
+                    </div>
+                ))}
+            </div>
+
+            <h4 className="text-sm font-semibold text-gray-500 mb-2">OpenAI-compatible endpoint</h4>
+            <div className={`space-y-2 mb-4 ${usesEndpoint ? '' : 'opacity-60'}`}>
+                <label className="block text-xs text-gray-600 dark:text-gray-300">
+                    Base URL
+                    <input value={settings.openai.baseUrl} onChange={(e) => setEndpoint({ baseUrl: e.target.value })} className={inputClass} placeholder="http://localhost:11434/v1" />
+                </label>
+                <label className="block text-xs text-gray-600 dark:text-gray-300">
+                    API key (optional)
+                    <input type="password" value={settings.openai.apiKey} onChange={(e) => setEndpoint({ apiKey: e.target.value })} className={inputClass} />
+                </label>
+                <label className="block text-xs text-gray-600 dark:text-gray-300">
+                    Chat model
+                    <input value={settings.openai.chatModel} onChange={(e) => setEndpoint({ chatModel: e.target.value })} className={inputClass} placeholder="llama3.2" />
+                </label>
+                <label className="block text-xs text-gray-600 dark:text-gray-300">
+                    Embedding model
+                    <input value={settings.openai.embeddingModel} onChange={(e) => setEndpoint({ embeddingModel: e.target.value })} className={inputClass} placeholder="nomic-embed-text" />
+                </label>
+                <p className="text-xs text-gray-500">
+                    Ollama: http://localhost:11434/v1 (start it with OLLAMA_ORIGINS=chrome-extension://*) · llama.cpp: http://localhost:8080/v1.
+                    Page text is sent to this endpoint.
+                </p>
+            </div>
+
+            <button
+                onClick={save}
+                disabled={isSaving}
+                className="w-full py-1.5 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition disabled:opacity-50"
+            >
+                {isSaving ? 'Connecting...' : 'Save & reconnect'}
+            </button>
+            {notice && <p className="text-xs text-gray-600 dark:text-gray-300 mt-2">{notice}</p>}
+
+            <PrivacySettingsForm inputClass={inputClass} />
+            <RedactionSettingsForm />
+            <RetentionSettingsForm inputClass={inputClass} />
+            <ExportImportForm inputClass={inputClass} />
+            <SyncSettingsForm inputClass={inputClass} />
+            <VaultSettingsForm inputClass={inputClass} />
+        </div>
+    );
+};
 // --- End Placeholder Components ---
 
 
@@ -299,6 +2287,11 @@ const renderFeature = (feature: Feature) => {
         case 'TabNotes': return <TabNotesView />;
         case 'SmartTags': return <SmartTagsView />;
         case 'MemorySearch': return <MemorySearchView />;
+        case 'Ask': return <AskView />;
+        case 'Clusters': return <ClustersView />;
+        case 'Sessions': return <SessionsView />;
+        case 'Diagnostics': return <DiagnosticsView />;
+        case 'Settings': return <SettingsView />;
         default: return <TabNotesView />;
     }
 };
@@ -307,10 +2300,16 @@ const navButtons: { icon: string; name: Feature }[] = [
     { icon: '📝', name: 'TabNotes' },
     { icon: '🏷️', name: 'SmartTags' },
     { icon: '🔍', name: 'MemorySearch' },
+    { icon: '💬', name: 'Ask' },
+    { icon: '🧩', name: 'Clusters' },
+    { icon: '🗂️', name: 'Sessions' },
+    { icon: '🩺', name: 'Diagnostics' },
+    { icon: '⚙️', name: 'Settings' },
 ];
 
 export default function SidePanel() {
     const [activeFeature, setActiveFeature] = useState<Feature>('TabNotes');
+    const vault = useVaultStatus();
 
     // 1. Read the initial feature when the panel loads
     const loadActiveFeature = useCallback(() => {
@@ -380,7 +2379,8 @@ export default function SidePanel() {
 
             {/* --- Main Feature Content Area --- */}
             <div className="flex-1 bg-[#f8e8cf] dark:bg-[#272631] overflow-y-auto">
-                {renderFeature(activeFeature)}
+                {/* Settings stay reachable while locked: nothing in them is encrypted */}
+                {vault?.locked && activeFeature !== 'Settings' ? <LockScreen /> : renderFeature(activeFeature)}
             </div>
 
             {/* Simple Footer/Branding */}
@@ -1,6 +1,11 @@
 // --- aiClient.js ---
+import { chunkText, splitSections } from './textUtils.js';
+import { getProvider, loadProviderSettings } from './providers/index.js';
+import { redactForPrompt } from './redaction.js';
+import { extractiveSummary } from './fallbackEngine.js';
+import { readLocal, writeLocal } from './vault.js';
 
-let summarizerInstance = null;
+let summarizerReady = false;
 let promptInstance = null;
 let modelStatus = 'checking...';
 
@@ -9,68 +14,283 @@ export function getModelStatus() {
   return modelStatus;
 }
 
+// (Re)connect every capability to its configured provider. Safe to call again after settings change.
 export async function initAI() {
-  if (!('Summarizer' in self)) {
+  await loadProviderSettings();
+  summarizerReady = false;
+  promptInstance?.destroy?.();
+  promptInstance = null;
+  askSession?.destroy?.();
+  askSession = null;
+
+  // Each capability can come from a different backend: one being unavailable doesn't stop the other
+  const summarizeProvider = getProvider('summarize');
+  const summarizeStatus = await summarizeProvider.availability('summarize').catch(() => 'unavailable');
+  if (summarizeStatus === 'unsupported') {
     modelStatus = 'UNSUPPORTED_BROWSER';
-    return false;
+  } else if (summarizeStatus === 'unavailable' || summarizeStatus === 'unconfigured') {
+    modelStatus = summarizeProvider.id === 'builtin' ? 'UNAVAILABLE_REQUIREMENTS' : 'ENDPOINT_UNREACHABLE';
+  } else {
+    try {
+      await summarizeProvider.getSummarizer(DEFAULT_SUMMARY_OPTIONS);
+      summarizerReady = true;
+      modelStatus = 'available';
+      console.log(`✅ Summarizer initialized successfully (${summarizeProvider.id}).`);
+    } catch (err) {
+      console.error("❌ AI Initialization Failed:", err);
+      modelStatus = 'INITIALIZATION_FAILED';
+    }
   }
 
+  const promptProvider = getProvider('prompt');
   try {
-    if (!summarizerInstance) {
-      summarizerInstance = await Summarizer.create({
-        type: 'tldr',
-        format: 'plain-text',
-        length: 'short',
-      });
-      console.log("✅ Summarizer initialized successfully.");
+    promptInstance = await promptProvider.createSession();
+    console.log(`✅ Prompt API initialized successfully (${promptProvider.id}).`);
+    await runPromptApiTest();
+  } catch (error) {
+    console.error("❌ Prompt API creation failed:", error);
+    promptInstance = null;
+  }
+
+  if (!promptInstance) {
+    console.warn("⚠️ Prompt API not available. SmartTags/MemorySearch will fallback.");
+  }
+
+  return summarizerReady;
+}
+
+// ====================================================
+// 🧱 Structured Output (JSON schema constrained prompts)
+// ====================================================
+
+// The Prompt API (or a capability it needs) isn't available
+export class AIUnavailableError extends Error {
+  constructor(message = 'Prompt API unavailable') {
+    super(message);
+    this.name = 'AIUnavailableError';
+  }
+}
+
+// The model kept answering with something that doesn't match the schema
+export class StructuredOutputError extends Error {
+  constructor(message, { raw = '', validationErrors = [] } = {}) {
+    super(message);
+    this.name = 'StructuredOutputError';
+    this.raw = raw;
+    this.validationErrors = validationErrors;
+  }
+}
+
+let responseConstraintSupported = true;
+
+// Minimal JSON-schema check covering what our schemas use. Returns a list of problems.
+function validateSchema(value, schema, path = '$') {
+  const errors = [];
+  const typeOk = {
+    object: v => v !== null && typeof v === 'object' && !Array.isArray(v),
+    array: v => Array.isArray(v),
+    string: v => typeof v === 'string',
+    integer: v => Number.isInteger(v),
+    number: v => typeof v === 'number',
+    boolean: v => typeof v === 'boolean',
+  };
+
+  if (schema.type && !typeOk[schema.type]?.(value)) {
+    return [`${path} should be ${schema.type}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} should be one of: ${schema.enum.join(', ')}`);
+  }
+  if (schema.type === 'string' && schema.maxLength && value.length > schema.maxLength) {
+    errors.push(`${path} is longer than ${schema.maxLength} characters`);
+  }
+  if (schema.type === 'array') {
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path} has more than ${schema.maxItems} items`);
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path} has fewer than ${schema.minItems} items`);
+    if (schema.items) value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${path}[${i}]`)));
+  }
+  if (schema.type === 'object') {
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) errors.push(`${path}.${key} is required`);
+    });
+    Object.entries(schema.properties || {}).forEach(([key, sub]) => {
+      if (key in value) errors.push(...validateSchema(value[key], sub, `${path}.${key}`));
+    });
+  }
+  return errors;
+}
+
+function parseJsonResponse(raw) {
+  const cleaned = String(raw ?? '').replace(/```json|```/g, '').trim();
+  return JSON.parse(cleaned);
+}
+
+// Use `responseConstraint` where the browser supports it, otherwise describe the schema in the prompt
+async function promptWithSchema(session, prompt, schema) {
+  if (responseConstraintSupported) {
+    try {
+      return await session.prompt(prompt, { responseConstraint: schema });
+    } catch (err) {
+      if (err?.name !== 'NotSupportedError' && !(err instanceof TypeError)) throw err;
+      console.warn("⚠️ responseConstraint not supported; falling back to schema-in-prompt.");
+      responseConstraintSupported = false;
     }
+  }
+  return session.prompt(`${prompt}\n\nRespond with ONLY JSON matching this JSON schema:\n${JSON.stringify(schema)}`);
+}
 
-    // Try locating the Prompt API
-    let Prompter = self.LanguageModel || (chrome?.ai?.languageModel ?? null);
-    console.log("🧩 Detected Prompter source:", Prompter);
+// Prompt for JSON matching `schema`, validate it, and retry with a repair prompt on failure.
+// Runs on a clone of the shared session so structured calls don't pile up context.
+export async function promptStructured(prompt, schema, { retries = 1 } = {}) {
+  if (!promptInstance) throw new AIUnavailableError();
+
+  const session = typeof promptInstance.clone === 'function' ? await promptInstance.clone() : promptInstance;
+  let raw = '';
+  let problems = [];
+
+  try {
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      const input = attempt === 0 ? prompt : `
+Your previous answer was not valid: ${problems.join('; ')}.
+Answer the same request again with ONLY valid JSON matching the schema. No markdown, no explanation.
+`;
+      raw = await promptWithSchema(session, input, schema);
 
-    if (Prompter && typeof Prompter.create === 'function') {
       try {
-        promptInstance = await Prompter.create(['en']);
-        console.log("✅ Prompt API initialized successfully.");
-        await runPromptApiTest();
-      } catch (error) {
-        console.error("❌ Prompt API creation failed:", error);
-        promptInstance = null;
+        const value = parseJsonResponse(raw);
+        problems = validateSchema(value, schema);
+        if (problems.length === 0) return value;
+      } catch (err) {
+        problems = [`response is not JSON (${err.message})`];
       }
+      console.warn(`⚠️ Structured output attempt ${attempt + 1} invalid:`, problems);
     }
+  } finally {
+    if (session !== promptInstance) session.destroy?.();
+  }
 
-    if (!promptInstance) {
-      console.warn("⚠️ Prompt API not available. SmartTags/MemorySearch will fallback.");
-    }
+  throw new StructuredOutputError('Model response did not match the expected schema', { raw, validationErrors: problems });
+}
 
-    modelStatus = 'available';
-    return true;
+// --- Tab Summarization ---
+export const SUMMARY_TYPES = ['tldr', 'key-points', 'teaser', 'headline'];
+export const SUMMARY_LENGTHS = ['short', 'medium', 'long'];
+export const SUMMARY_FORMATS = ['plain-text', 'markdown'];
+export const DEFAULT_SUMMARY_OPTIONS = { type: 'tldr', length: 'short', format: 'plain-text' };
+export const SUMMARY_SETTINGS_KEY = 'summarySettings';
+
+export function summaryOptionsKey({ type, length, format }) {
+  return `${type}/${length}/${format}`;
+}
 
-  } catch (err) {
-    console.error("❌ AI Initialization Failed:", err);
-    modelStatus = 'INITIALIZATION_FAILED';
-    return false;
+// Fill gaps and drop unknown values so only valid Summarizer options reach the provider
+export function normalizeSummaryOptions(options = {}) {
+  const pick = (value, allowed, fallback) => (allowed.includes(value) ? value : fallback);
+  return {
+    type: pick(options.type, SUMMARY_TYPES, DEFAULT_SUMMARY_OPTIONS.type),
+    length: pick(options.length, SUMMARY_LENGTHS, DEFAULT_SUMMARY_OPTIONS.length),
+    format: pick(options.format, SUMMARY_FORMATS, DEFAULT_SUMMARY_OPTIONS.format),
+  };
+}
+
+// Global default style, chosen in the popup
+export async function getDefaultSummaryOptions() {
+  const { [SUMMARY_SETTINGS_KEY]: saved } = await chrome.storage.sync.get(SUMMARY_SETTINGS_KEY);
+  return normalizeSummaryOptions(saved);
+}
+
+const SINGLE_PASS_CHARS = 15000; // pages up to this size are summarized in one call
+const SECTION_CHARS = 6000;
+const MAX_DOCUMENT_CHARS = 200000; // beyond this, even map-reduce is too slow on-device
+const MAX_REDUCE_PASSES = 3;
+
+async function summarizeOnce(summarizer, text, context) {
+  const result = await summarizer.summarize(text, context ? { context } : undefined);
+  const summaryText = result?.output || result?.summary || (typeof result === 'string' ? result : null);
+  return summaryText?.trim() || "";
+}
+
+// Summarize section summaries down to a single note, in as few passes as the input size allows
+async function reduceSummaries(summarizer, summaries) {
+  let layer = summaries;
+  for (let pass = 0; pass < MAX_REDUCE_PASSES && layer.join('\n\n').length > SINGLE_PASS_CHARS; pass++) {
+    const next = [];
+    for (const group of chunkText(layer.join('\n\n'), SINGLE_PASS_CHARS)) {
+      next.push(await summarizeOnce(summarizer, group, 'These are summaries of consecutive sections of one long document.'));
+    }
+    layer = next.filter(Boolean);
   }
+  return summarizeOnce(summarizer, layer.join('\n\n').substring(0, SINGLE_PASS_CHARS), 'These are summaries of the sections of one long document, in order.');
 }
 
-// --- Tab Summarization ---
-export async function generateTabNote(text) {
-  if (!summarizerInstance) return `AI Status: ${modelStatus}. Summary unavailable.`;
-  if (!text?.trim() || text.length < 100) return "Not enough readable content for AI summary.";
+// Returns { note, sections }. Long pages are map-reduced: every section is summarized on its
+// own (kept as an outline), then the section summaries are summarized into the note.
+// `options` picks the Summarizer type/length/format (see DEFAULT_SUMMARY_OPTIONS).
+export async function generateTabNote(text, options = DEFAULT_SUMMARY_OPTIONS) {
+  text = redactForPrompt(text); // captured text is redacted already; this covers older records
+  if (!text?.trim() || text.length < 100) return { note: "Not enough readable content for AI summary.", sections: [], engine: 'none' };
+  if (!summarizerReady) return fallbackTabNote(text, options);
 
   try {
-    const result = await summarizerInstance.summarize(text.substring(0, 15000));
-    const summaryText = result?.output || result?.summary || (typeof result === 'string' ? result : null);
-    return summaryText?.trim() || "Summary could not be generated.";
+    const summarizer = await getProvider('summarize').getSummarizer(normalizeSummaryOptions(options));
+    if (text.length <= SINGLE_PASS_CHARS) {
+      const note = await summarizeOnce(summarizer, text);
+      return note ? { note, sections: [], engine: 'ai' } : fallbackTabNote(text, options);
+    }
+
+    // One section at a time: the Summarizer runs a single request at once anyway
+    const sections = [];
+    for (const chunk of splitSections(text.substring(0, MAX_DOCUMENT_CHARS), SECTION_CHARS)) {
+      const context = chunk.heading
+        ? `This is the "${chunk.heading}" part of a longer document.`
+        : 'This is one part of a longer document.';
+      const summary = await summarizeOnce(summarizer, chunk.text, context);
+      if (summary) sections.push({ heading: chunk.heading, summary, chars: chunk.text.length });
+    }
+    if (sections.length === 0) return fallbackTabNote(text, options);
+
+    const note = await reduceSummaries(summarizer, sections.map(s => s.summary));
+    console.log(`🧾 Map-reduced ${text.length} chars in ${sections.length} sections.`);
+    return note ? { note, sections, engine: 'ai' } : fallbackTabNote(text, options);
   } catch (err) {
-    console.error("Summarize execution error:", err);
-    return "AI execution failed.";
+    console.error("Summarize execution error, using extractive summary:", err);
+    return fallbackTabNote(text, options);
   }
 }
 
+// No model (or it failed): TextRank extract, with a one-sentence outline for long pages
+function fallbackTabNote(text, options) {
+  const capped = text.substring(0, MAX_DOCUMENT_CHARS);
+  const sections = capped.length > SINGLE_PASS_CHARS
+    ? splitSections(capped, SECTION_CHARS).map(chunk => ({
+      heading: chunk.heading,
+      summary: extractiveSummary(chunk.text, { sentences: 1 }),
+      chars: chunk.text.length,
+    }))
+    : [];
+  return { note: extractiveSummary(capped, normalizeSummaryOptions(options)), sections, engine: 'extractive' };
+}
+
+// Which engine would summarize / tag right now; records made by the fallbacks get upgraded once AI is up
+export function getSummaryEngine() {
+  return summarizerReady ? 'ai' : 'extractive';
+}
+
+export function getTagEngine() {
+  return promptInstance ? 'ai' : 'rules';
+}
+
+// Status/failure strings stored instead of a summary (including ones older versions wrote)
+const NOTE_PLACEHOLDERS = [/^Generating\.\.\.$/, /^AI Status: /, /^Summary could not be generated\.$/, /^AI execution failed\.$/];
+
+// Whether a note is a real result worth keeping (and caching) rather than a placeholder
+export function isUsableNote(note) {
+  return !!note && !NOTE_PLACEHOLDERS.some(re => re.test(note));
+}
+
 // --- Smart Tags using Prompt API ---
-const AI_CATEGORIES = [
+// Default taxonomy; users can edit it from the side panel (see background/taxonomy.js)
+export const AI_CATEGORIES = [
   "Research",
   "Work/Projects",
   "Study",
@@ -80,100 +300,146 @@ const AI_CATEGORIES = [
   "Social Media"
 ];
 
-export async function generateSmartTags(tabNote) {
-  if (!promptInstance) {
-    console.warn("⚠️ Prompt API not initialized; using fallback tag.");
-    return ["Uncategorized"];
+const MAX_FREEFORM_TOPICS = 2;
+
+// Map model output onto the taxonomy: known categories are matched case-insensitively
+// to their canonical names; unknown ones are dropped, topics are tidied and de-duplicated.
+export function normalizeTags({ categories: picked = [], topics = [] }, { categories, maxTags, freeformTopics }) {
+  const byLower = new Map(categories.map(c => [c.toLowerCase(), c]));
+  const tags = [];
+
+  picked.forEach(t => {
+    const known = byLower.get(String(t).trim().toLowerCase());
+    if (known && !tags.includes(known)) tags.push(known);
+  });
+
+  if (freeformTopics) {
+    topics
+      .map(t => String(t).replace(/^[\s\-*•"'#]+|["'.\s]+$/g, '').trim())
+      .filter(t => t && t.split(/\s+/).length <= 3 && !byLower.has(t.toLowerCase()))
+      .slice(0, MAX_FREEFORM_TOPICS)
+      .forEach(t => {
+        if (!tags.some(x => x.toLowerCase() === t.toLowerCase())) tags.push(t);
+      });
   }
 
-  if (!tabNote || tabNote.startsWith("AI Status:")) return ["Uncategorized"];
+  return tags.slice(0, maxTags);
+}
+
+// Throws AIUnavailableError / StructuredOutputError instead of inventing a tag.
+export async function generateSmartTags(tabNote, options = {}) {
+  const {
+    categories = AI_CATEGORIES,
+    maxTags = 3,
+    freeformTopics = true,
+  } = options;
+
+  if (!promptInstance) throw new AIUnavailableError('Prompt API not initialized; cannot generate tags');
+  if (!tabNote?.trim()) return [];
+  tabNote = redactForPrompt(tabNote);
+
+  const schema = {
+    type: 'object',
+    properties: {
+      categories: { type: 'array', items: { type: 'string', enum: categories }, minItems: 1, maxItems: maxTags },
+      topics: { type: 'array', items: { type: 'string', maxLength: 40 }, maxItems: freeformTopics ? MAX_FREEFORM_TOPICS : 0 },
+    },
+    required: ['categories'],
+  };
 
   const tagPrompt = `
 You are a smart browser tab categorizer.
-Choose the single most relevant category from this list:
-${AI_CATEGORIES.join(", ")}.
+Choose up to ${maxTags} relevant categories from this list (most relevant first):
+${categories.join(", ")}.
+${freeformTopics ? `Also give up to ${MAX_FREEFORM_TOPICS} short topic tags (1-3 words) naming the specific subject.` : 'Leave "topics" empty.'}
 
 Text:
 "${tabNote}"
-
-Respond with ONLY one category name from the list above.
 `;
 
-  try {
-    console.log("🧠 Sending Smart Tag prompt to AI...");
-    const response = await promptInstance.prompt(tagPrompt);
-    const tag = response?.trim?.() || response?.text?.trim?.() || "Uncategorized";
-    console.log("🏷️ Smart Tag result:", tag);
-    return [tag];
-  } catch (err) {
-    console.error("❌ Smart Tag generation failed:", err);
-    return ["Uncategorized"];
+  console.log("🧠 Sending Smart Tag prompt to AI...");
+  const result = await promptStructured(tagPrompt, schema);
+  const tags = normalizeTags(result, { categories, maxTags, freeformTopics });
+  console.log("🏷️ Smart Tag result:", tags);
+  if (tags.length === 0) {
+    throw new StructuredOutputError('No valid tags in model response', { raw: JSON.stringify(result) });
   }
+  return tags;
 }
 
 // ====================================================
-// 🧠 Unified Memory Search (Hybrid: Keyword + Prompt API)
+// 🧠 Unified Memory Search (BM25 + Vector candidates, Prompt API re-rank)
 // ====================================================
 
-export async function unifiedMemorySearch(query, tabsStore) {
+const MAX_RERANK_CANDIDATES = 15;
+
+// `keywordMatches` come from the BM25 index and `candidates` from the vector index,
+// both already ordered. Only this short list is ever sent to the Prompt API.
+export async function unifiedMemorySearch(query, keywordMatches = [], candidates = []) {
   try {
     console.log("🧠 Unified Memory Search for:", query);
 
-    // Step 1 — Basic local keyword search
-    const keywordMatches = tabsStore.filter(t =>
-      t.tabNote?.toLowerCase().includes(query.toLowerCase()) ||
-      t.title?.toLowerCase().includes(query.toLowerCase())
-    );
-
-    if (keywordMatches.length > 0) {
-      console.log(`📄 Found ${keywordMatches.length} local match(es).`);
-      return keywordMatches;
-    }
+    // Step 1 — Merge keyword and vector candidates into one short list
+    const pool = [];
+    const seen = new Set();
+    // Strongest keyword hits first, then semantic ones, then the keyword tail
+    [...keywordMatches.slice(0, 8), ...candidates, ...keywordMatches.slice(8)].forEach(t => {
+      if (!seen.has(t.url)) {
+        seen.add(t.url);
+        pool.push(t);
+      }
+    });
+    const shortList = pool.slice(0, MAX_RERANK_CANDIDATES);
+    console.log(`📄 ${keywordMatches.length} keyword + ${candidates.length} vector candidate(s).`);
 
-    // Step 2 — Semantic reasoning (Prompt API fallback)
-    if (!promptInstance) {
-      console.warn("⚠️ Prompt API not initialized; returning no matches.");
-      return [];
+    if (shortList.length <= 1 || !promptInstance) {
+      return shortList;
     }
 
-    const tabList = tabsStore.map(t =>
-      `• [${t.tabId}] "${t.title}" — ${t.tabNote || 'No summary.'} (Tags: ${t.tags?.join(', ') || 'none'})`
+    // Step 2 — Re-rank the short list with the Prompt API
+    const tabList = shortList.map((t, i) =>
+      `• [${i}] "${redactForPrompt(t.title)}" — ${redactForPrompt(t.tabNote) || 'No summary.'} (Tags: ${t.tags?.join(', ') || 'none'})`
     ).join('\n');
 
     const prompt = `
 You are a semantic search assistant for browser tabs.
 User query: "${query}"
 
-Available tabs:
+Candidate tabs:
 ${tabList}
 
-Return a JSON array (max 5) of the most relevant tabs with reasoning.
-Example:
-[{"tabId": 12, "reason": "About JavaScript closures"}]
+Pick the most relevant tabs (max 5), best first, with a short reason for each.
 `;
 
-    const response = await promptInstance.prompt(prompt);
-    console.log("🧩 Prompt AI raw output:", response);
-
-    // 🧹 Step 3 — Clean AI response before parsing
-    let cleaned = response.trim();
-    cleaned = cleaned.replace(/```json|```/g, '').trim();
-
-    let parsed = [];
+    const schema = {
+      type: 'array',
+      maxItems: 5,
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer', enum: shortList.map((_, i) => i) },
+          reason: { type: 'string' },
+        },
+        required: ['id'],
+      },
+    };
+
+    let ranked = [];
     try {
-      parsed = JSON.parse(cleaned);
-      console.log("✅ Parsed AI JSON:", parsed);
+      ranked = await promptStructured(prompt, schema);
+      console.log("✅ Re-ranked by AI:", ranked);
     } catch (err) {
-      console.warn("⚠️ Could not parse JSON:", err, cleaned);
-      return [];
+      // Search still works without the re-rank: keep retrieval order
+      console.warn(`⚠️ Re-rank failed (${err.name}), keeping retrieval order:`, err.validationErrors || err.message);
+      return shortList;
     }
 
-    // Step 4 — Map found tabIds to actual tab objects
-    const semanticMatches = parsed
-      .map(p => tabsStore.find(t => t.tabId === p.tabId))
+    // Step 3 — Map found ids back to actual tab objects
+    const reranked = ranked
+      .map(p => shortList[p.id])
       .filter(Boolean);
 
-    return semanticMatches;
+    return reranked.length ? reranked : shortList;
 
   } catch (err) {
     console.error("❌ Unified memory search failed:", err);
@@ -181,34 +447,151 @@ Example:
   }
 }
 
+// --- Group Naming (Sessions & Clusters) ---
+// Ask the Prompt API for a short name for a group of tabs; `fallbackName` is used when it can't.
+async function promptForGroupName(tabs, fallbackName, task) {
+  if (!promptInstance || tabs.length === 0) return fallbackName;
+
+  const tabList = tabs.slice(0, 20).map(t =>
+    `• "${redactForPrompt(t.title)}" — ${redactForPrompt(t.tabNote) || 'No summary.'}`
+  ).join('\n');
 
+  const namePrompt = `
+You are ${task}.
+
+Tabs:
+${tabList}
 
+Respond with ONLY a short descriptive name (2 to 5 words) for this group. No quotes, no punctuation at the end.
+`;
 
-// --- Cluster Tabs ---
-export async function clusterTabsByTags(tabDataArray) {
-  if (!promptInstance) return {};
+  try {
+    const response = await promptInstance.prompt(namePrompt);
+    const name = (response?.trim?.() || '').replace(/^["'\s]+|["'.\s]+$/g, '').split('\n')[0];
+    return name ? name.substring(0, 60) : fallbackName;
+  } catch (err) {
+    console.error("❌ Group naming failed:", err);
+    return fallbackName;
+  }
+}
 
-  const tabTagsMap = tabDataArray
-    .map(tab => tab.tags[0] || 'Uncategorized')
-    .filter(t => t !== 'Uncategorized')
-    .join(',');
+export async function generateSessionName(tabs) {
+  const tagCounts = {};
+  tabs.forEach(t => (t.tags || []).forEach(tag => {
+    if (tag !== 'Uncategorized') tagCounts[tag] = (tagCounts[tag] || 0) + 1;
+  }));
+  const topTag = Object.keys(tagCounts).sort((a, b) => tagCounts[b] - tagCounts[a])[0];
+  const fallbackName = `${topTag || 'Browsing'} Session – ${new Date().toLocaleDateString()}`;
 
-  const baseName = tabTagsMap.includes('Research') || tabTagsMap.includes('Study')
-    ? "Research Session"
-    : "General Browsing";
+  return promptForGroupName(tabs, fallbackName, 'naming a saved group of browser tabs');
+}
 
-  return {
-    id: 'CLUSTER_AI_01',
-    name: baseName,
-    tabIds: tabDataArray.map(t => t.tabId)
-  };
+export async function generateClusterLabel(tabs, topTerms = []) {
+  const fallbackName = topTerms.length
+    ? topTerms.slice(0, 2).map(t => t.charAt(0).toUpperCase() + t.slice(1)).join(' & ')
+    : 'Miscellaneous';
+
+  return promptForGroupName(tabs, fallbackName, 'labeling a cluster of related browser tabs by their shared topic');
+}
+
+// ====================================================
+// 💬 Ask My Tabs (persistent conversation with citations)
+// ====================================================
+
+const ASK_HISTORY_KEY = 'askConversation';
+const ASK_HISTORY_LIMIT = 20; // messages kept for rebuilding the session
+
+const ASK_SYSTEM_PROMPT = `You answer questions about web pages the user has read.
+Each question comes with numbered sources. Answer ONLY from those sources and earlier turns of this conversation.
+Cite sources inline with their number in square brackets, like [1] or [2][3].
+If the sources don't contain the answer, say so briefly. Keep answers short and plain-text.`;
+
+let askSession = null;
+
+// The session lives as long as the service worker; after a restart it is rebuilt from the saved transcript.
+async function getAskSession() {
+  if (askSession) return askSession;
+
+  const history = await readLocal(ASK_HISTORY_KEY, []);
+  askSession = await getProvider('prompt').createSession({
+    initialPrompts: [
+      { role: 'system', content: ASK_SYSTEM_PROMPT },
+      ...history.map(({ role, content }) => ({ role, content })),
+    ],
+  });
+  return askSession;
+}
+
+async function appendAskHistory(...messages) {
+  const history = await readLocal(ASK_HISTORY_KEY, []);
+  const next = [...history, ...messages].slice(-ASK_HISTORY_LIMIT);
+  await writeLocal(ASK_HISTORY_KEY, next);
+}
+
+// Query strings and fragments carry tokens, session ids and emails: the model only needs the page's address
+function urlForPrompt(url) {
+  try {
+    const { origin, pathname } = new URL(url);
+    return redactForPrompt(`${origin}${pathname}`);
+  } catch {
+    return redactForPrompt(String(url || '').split(/[?#]/)[0]);
+  }
+}
+
+// sources: [{ n, title, url, passage }] from the retrieval step
+export async function askTabsQuestion(question, sources) {
+  const session = await getAskSession().catch(err => {
+    console.error("❌ Ask session creation failed:", err);
+    return null;
+  });
+  if (!session) return { answer: null, error: 'Prompt API unavailable' };
+
+  const sourceBlock = sources.length
+    ? sources.map(s => `[${s.n}] ${redactForPrompt(s.title)} (${urlForPrompt(s.url)})\n"""${redactForPrompt(s.passage)}"""`).join('\n\n')
+    : '(no matching pages found)';
+
+  const prompt = `Sources:
+${sourceBlock}
+
+Question: ${question}`;
+
+  try {
+    const answer = (await session.prompt(prompt))?.trim?.() || '';
+    // Only the question and answer go back into the model; sources are re-retrieved on each turn
+    // and kept alongside the answer so the side panel can still link its citations.
+    await appendAskHistory(
+      { role: 'user', content: question },
+      { role: 'assistant', content: answer, sources: sources.map(({ n, title, url, tabId, status }) => ({ n, title, url, tabId, status })) },
+    );
+    return { answer };
+  } catch (err) {
+    console.error("❌ Ask my tabs failed:", err);
+    return { answer: null, error: err.message };
+  }
+}
+
+export async function resetAskConversation() {
+  askSession?.destroy?.();
+  askSession = null;
+  await chrome.storage.local.remove(ASK_HISTORY_KEY);
+}
+
+// Forget the live session (it holds the transcript) without clearing the saved history
+export function closeAskSession() {
+  askSession?.destroy?.();
+  askSession = null;
+}
+
+export async function getAskHistory() {
+  const history = await readLocal(ASK_HISTORY_KEY, []);
+  return history;
 }
 
 // --- Prompt API Debug Utility ---
 async function runPromptApiTest() {
   console.log("🚀 Starting Prompt API test...");
   try {
-    const session = await LanguageModel.create(['en']);
+    const session = await getProvider('prompt').createSession();
     const poem = await session.prompt("Write a 1-line Chrome extension joke.");
     console.log("✅ Prompt test output:", poem);
     session.destroy();
@@ -0,0 +1,213 @@
+// src/utils/archive.js
+// Whole-memory export and import: a versioned JSON archive (lossless, importable), a Markdown digest
+// grouped by tag, and a Netscape bookmarks file other browsers can import. Also the merge rules used
+// when an archive comes back in.
+
+export const ARCHIVE_FORMAT = 'ai-tabrix-archive';
+export const ARCHIVE_VERSION = 1;
+
+// How conflicts (same URL, session id or note id) are settled on import
+export const CONFLICT_STRATEGIES = ['newer', 'keep', 'replace'];
+
+// What a page carries in an archive; tab ids, incognito flags and job state are machine-local
+const PAGE_FIELDS = [
+  'url', 'title', 'rawText', 'metadata', 'tabNote', 'sections', 'summaryStyle', 'noteEngine',
+  'tags', 'aiTags', 'manualTags', 'tagEngine', 'contentHash', 'tagsHash', 'redactions',
+  'starred', 'textTrimmedAt', 'visitCount', 'totalTime', 'closedAt', 'lastUpdated',
+];
+
+const UNTAGGED = 'Untagged';
+
+export function pickPage(entry) {
+  const page = {};
+  PAGE_FIELDS.forEach(field => {
+    if (entry[field] !== undefined) page[field] = entry[field];
+  });
+  return page;
+}
+
+export function buildArchive({ pages, sessions, stickyNotes, taxonomy }) {
+  return {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exportedAt: new Date().toISOString(),
+    pages: pages.filter(p => p.url?.startsWith('http')).map(pickPage),
+    sessions,
+    stickyNotes,
+    taxonomy: { categories: taxonomy.categories },
+  };
+}
+
+// Parse and check an archive file's text; throws with a message fit for the user
+export function parseArchive(text) {
+  let archive;
+  try {
+    archive = JSON.parse(text);
+  } catch {
+    throw new Error('Not a JSON file.');
+  }
+  if (archive?.format !== ARCHIVE_FORMAT) throw new Error('Not an AI-Tabrix archive.');
+  if (!Number.isInteger(archive.version) || archive.version > ARCHIVE_VERSION) {
+    throw new Error(`Archive version ${archive.version} is newer than this extension supports; update AI-Tabrix first.`);
+  }
+  return {
+    pages: Array.isArray(archive.pages) ? archive.pages.filter(p => typeof p?.url === 'string').map(pickPage) : [],
+    sessions: Array.isArray(archive.sessions) ? archive.sessions.filter(s => s?.id && Array.isArray(s.tabs)) : [],
+    stickyNotes: archive.stickyNotes && typeof archive.stickyNotes === 'object' ? archive.stickyNotes : {},
+    taxonomy: { categories: Array.isArray(archive.taxonomy?.categories) ? archive.taxonomy.categories : [] },
+  };
+}
+
+// --- Merging ---
+
+// Does the incoming copy replace the local one? 'newer' compares the given timestamps (ties keep local).
+export function incomingWins(local, incoming, strategy, timeOf) {
+  if (!local) return true;
+  if (strategy === 'replace') return true;
+  if (strategy === 'keep') return false;
+  return (timeOf(incoming) || 0) > (timeOf(local) || 0);
+}
+
+// One page seen on two machines: the winner's summary, text and tags, plus what both agree to keep
+export function mergePage(local, incoming, strategy) {
+  if (!local) return { ...incoming };
+  const [winner, loser] = incomingWins(local, incoming, strategy, p => p.lastUpdated)
+    ? [incoming, local]
+    : [local, incoming];
+  return {
+    ...loser,
+    ...winner,
+    starred: !!(local.starred || incoming.starred),
+    visitCount: Math.max(local.visitCount || 0, incoming.visitCount || 0),
+    totalTime: Math.max(local.totalTime || 0, incoming.totalTime || 0),
+  };
+}
+
+// Sticky notes per URL, matched by note id. Returns { notes, added, updated }.
+export function mergeNotes(local = [], incoming = [], strategy) {
+  const notes = [...local];
+  let added = 0;
+  let updated = 0;
+  incoming.forEach(note => {
+    const i = notes.findIndex(n => n.id === note.id);
+    if (i < 0) {
+      notes.push(note);
+      added++;
+    } else if (JSON.stringify(notes[i]) !== JSON.stringify(note) && incomingWins(notes[i], note, strategy, n => n.updatedAt)) {
+      notes[i] = note;
+      updated++;
+    }
+  });
+  return { notes, added, updated };
+}
+
+// --- Human-readable exports ---
+
+function groupByTag(pages) {
+  const groups = new Map();
+  pages.forEach(page => {
+    const tags = page.tags?.length ? page.tags : [UNTAGGED];
+    tags.forEach(tag => {
+      if (!groups.has(tag)) groups.set(tag, []);
+      groups.get(tag).push(page);
+    });
+  });
+  // Alphabetical, with untagged pages last
+  return [...groups.entries()].sort(([a], [b]) => (a === UNTAGGED) - (b === UNTAGGED) || a.localeCompare(b));
+}
+
+const day = (time) => (time ? new Date(time).toISOString().slice(0, 10) : '');
+
+function mdEscape(text) {
+  return (text || '').replace(/([\\[\]*_`#<>])/g, '\\$1');
+}
+
+function mdLink(title, url) {
+  return `[${mdEscape(title || url)}](${url.replace(/\)/g, '%29')})`;
+}
+
+export function toMarkdown(archive) {
+  const lines = [
+    '# AI-Tabrix memory',
+    '',
+    `Exported ${day(archive.exportedAt)} · ${archive.pages.length} pages · ${archive.sessions.length} sessions`,
+  ];
+
+  groupByTag(archive.pages).forEach(([tag, pages]) => {
+    lines.push('', `## ${mdEscape(tag)} (${pages.length})`);
+    pages
+      .sort((a, b) => (b.lastUpdated || 0) - (a.lastUpdated || 0))
+      .forEach(page => {
+        lines.push('', `### ${mdLink(page.title, page.url)}${page.starred ? ' ★' : ''}`);
+        if (page.tabNote && page.tabNote !== 'Generating...') lines.push('', page.tabNote.trim());
+        (archive.stickyNotes[page.url] || []).forEach(note => lines.push('', `> 🗒️ ${(note.text || '').replace(/\n/g, '\n> ')}`));
+        const details = [page.tags?.length ? `Tags: ${page.tags.join(', ')}` : null, day(page.lastUpdated) || null].filter(Boolean);
+        if (details.length) lines.push('', `_${details.join(' · ')}_`);
+      });
+  });
+
+  if (archive.sessions.length) {
+    lines.push('', '## Sessions');
+    archive.sessions.forEach(session => {
+      lines.push('', `### ${mdEscape(session.name)} (${day(session.createdAt)})`, '');
+      session.tabs.forEach(tab => lines.push(`- ${mdLink(tab.title, tab.url)}`));
+    });
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+function htmlEscape(text) {
+  return String(text ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+const seconds = (time) => Math.floor((time || Date.now()) / 1000);
+
+// Netscape bookmark file (what Chrome, Firefox and Safari import): a folder per tag and per session
+export function toBookmarksHtml(archive) {
+  const out = [
+    '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+    '<!-- This is an automatically generated file. It will be read and overwritten. DO NOT EDIT! -->',
+    '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+    '<TITLE>Bookmarks</TITLE>',
+    '<H1>Bookmarks</H1>',
+    '<DL><p>',
+  ];
+  const folder = (name, depth, items) => {
+    const pad = '    '.repeat(depth);
+    out.push(`${pad}<DT><H3 ADD_DATE="${seconds(Date.parse(archive.exportedAt))}">${htmlEscape(name)}</H3>`, `${pad}<DL><p>`);
+    items();
+    out.push(`${pad}</DL><p>`);
+  };
+  const link = (depth, { url, title, tags, lastUpdated, tabNote }) => {
+    const pad = '    '.repeat(depth);
+    const tagAttr = tags?.length ? ` TAGS="${htmlEscape(tags.join(','))}"` : '';
+    out.push(`${pad}<DT><A HREF="${htmlEscape(url)}" ADD_DATE="${seconds(lastUpdated)}"${tagAttr}>${htmlEscape(title || url)}</A>`);
+    if (tabNote && tabNote !== 'Generating...') out.push(`${pad}<DD>${htmlEscape(tabNote.replace(/\s+/g, ' ').trim())}`);
+  };
+
+  folder('AI-Tabrix', 1, () => {
+    groupByTag(archive.pages).forEach(([tag, pages]) => {
+      folder(tag, 2, () => pages.forEach(page => link(3, page)));
+    });
+    if (archive.sessions.length) {
+      folder('Sessions', 2, () => archive.sessions.forEach(session => {
+        folder(session.name, 3, () => session.tabs.forEach(tab => link(4, { ...tab, lastUpdated: session.createdAt })));
+      }));
+    }
+  });
+  out.push('</DL><p>');
+  return `${out.join('\n')}\n`;
+}
+
+// File name, MIME type and contents for each export format
+export function renderExport(archive, format) {
+  const stamp = day(archive.exportedAt);
+  switch (format) {
+    case 'markdown':
+      return { filename: `ai-tabrix-${stamp}.md`, mimeType: 'text/markdown', content: toMarkdown(archive) };
+    case 'bookmarks':
+      return { filename: `ai-tabrix-bookmarks-${stamp}.html`, mimeType: 'text/html', content: toBookmarksHtml(archive) };
+    default:
+      return { filename: `ai-tabrix-${stamp}.json`, mimeType: 'application/json', content: JSON.stringify(archive, null, 2) };
+  }
+}
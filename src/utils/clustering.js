@@ -0,0 +1,58 @@
+// src/utils/clustering.js
+// Topic clustering over tab summaries: TF-IDF vectors + average-linkage agglomerative merging.
+import { tokenize, buildTfIdfVectors, cosineSimilarity } from './textUtils.js';
+
+const DEFAULT_THRESHOLD = 0.18;
+
+function tabText(tab) {
+  // Title and tags are repeated so short summaries don't drown them out
+  return [tab.title, tab.title, tab.tabNote, ...(tab.tags || [])].join(' ');
+}
+
+function averageLinkage(groupA, groupB, sims) {
+  let total = 0;
+  groupA.forEach(i => groupB.forEach(j => { total += sims[i][j]; }));
+  return total / (groupA.length * groupB.length);
+}
+
+function topTermsFor(indices, vectors, count = 3) {
+  const weights = new Map();
+  indices.forEach(i => vectors[i].forEach((w, tok) => weights.set(tok, (weights.get(tok) || 0) + w)));
+  return [...weights.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, count)
+    .map(([tok]) => tok);
+}
+
+// Group tabs by topic. Returns [{ tabs, topTerms }], largest clusters first.
+export function clusterTabs(tabs, { threshold = DEFAULT_THRESHOLD } = {}) {
+  if (tabs.length === 0) return [];
+
+  const vectors = buildTfIdfVectors(tabs.map(t => tokenize(tabText(t))));
+  const sims = vectors.map(a => vectors.map(b => cosineSimilarity(a, b)));
+
+  let groups = tabs.map((_, i) => [i]);
+
+  // Repeatedly merge the two most similar groups until nothing is similar enough
+  while (groups.length > 1) {
+    let best = { score: -1, a: -1, b: -1 };
+    for (let a = 0; a < groups.length; a++) {
+      for (let b = a + 1; b < groups.length; b++) {
+        const score = averageLinkage(groups[a], groups[b], sims);
+        if (score > best.score) best = { score, a, b };
+      }
+    }
+    if (best.score < threshold) break;
+
+    const merged = [...groups[best.a], ...groups[best.b]];
+    groups = groups.filter((_, i) => i !== best.a && i !== best.b);
+    groups.push(merged);
+  }
+
+  return groups
+    .sort((a, b) => b.length - a.length)
+    .map(indices => ({
+      tabs: indices.map(i => tabs[i]),
+      topTerms: topTermsFor(indices, vectors),
+    }));
+}
@@ -0,0 +1,57 @@
+// src/utils/embeddings.js
+// On-device sentence embeddings (ONNX model running on the WASM backend).
+import { pipeline, env } from '@huggingface/transformers';
+
+export const EMBEDDING_MODEL = 'Xenova/all-MiniLM-L6-v2';
+
+// Everything loads from the extension package, nothing from the network: the model is fetched into
+// models/ at build time (scripts/fetch-model.mjs) and packaged by vite.background.config.ts, whose bundle
+// also carries the ONNX runtime (its JS glue inline, since service workers can't import() it, and its .wasm
+// as an asset).
+env.allowRemoteModels = false;
+env.allowLocalModels = true;
+env.localModelPath = chrome.runtime.getURL('models/');
+env.useBrowserCache = false; // the Cache API refuses chrome-extension:// URLs, and the files are local anyway
+// The service worker isn't cross-origin isolated, so no SharedArrayBuffer threads
+if (env.backends?.onnx?.wasm) env.backends.onnx.wasm.numThreads = 1;
+
+let extractorPromise = null;
+let embeddingStatus = 'not-loaded';
+
+export function getEmbeddingStatus() {
+  return embeddingStatus;
+}
+
+function getExtractor() {
+  if (!extractorPromise) {
+    embeddingStatus = 'loading';
+    extractorPromise = pipeline('feature-extraction', EMBEDDING_MODEL, { dtype: 'q8', device: 'wasm' })
+      .then((extractor) => {
+        embeddingStatus = 'available';
+        console.log("✅ Embedding model loaded:", EMBEDDING_MODEL);
+        return extractor;
+      })
+      .catch((err) => {
+        console.error("❌ Embedding model failed to load:", err);
+        embeddingStatus = 'unavailable';
+        extractorPromise = null;
+        throw err;
+      });
+  }
+  return extractorPromise;
+}
+
+// Embed a list of texts into normalized vectors (plain number arrays)
+export async function embedTexts(texts) {
+  if (!texts.length) return [];
+  const extractor = await getExtractor();
+  const output = await extractor(texts, { pooling: 'mean', normalize: true });
+  return output.tolist();
+}
+
+// Vectors are normalized, so the dot product is the cosine similarity
+export function dotSimilarity(a, b) {
+  let dot = 0;
+  for (let i = 0; i < a.length; i++) dot += a[i] * b[i];
+  return dot;
+}
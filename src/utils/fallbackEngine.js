@@ -0,0 +1,132 @@
+// src/utils/fallbackEngine.js
+// Deterministic summaries and tags for when no AI model is available (no model involved):
+// TextRank sentence extraction, domain rules, keyword rules and TF-IDF topics.
+import { tokenize, stem, buildTfIdfVectors, cosineSimilarity } from './textUtils.js';
+
+const DAMPING = 0.85;
+const TEXTRANK_ITERATIONS = 30;
+const MAX_CANDIDATE_SENTENCES = 300; // keeps the O(n²) similarity graph cheap
+const SENTENCES_BY_LENGTH = { short: 2, medium: 4, long: 6 };
+
+function splitSentences(text) {
+  return text
+    .replace(/\s+/g, ' ')
+    .split(/(?<=[.!?])\s+(?=["'“(]?[A-Z0-9])/)
+    .map(s => s.trim())
+    .filter(s => s.length >= 40 && s.length <= 400 && s.split(' ').length >= 6);
+}
+
+// TextRank: sentences are nodes, TF-IDF cosine similarity the edge weights
+function rankSentences(sentences) {
+  const vectors = buildTfIdfVectors(sentences.map(s => tokenize(s).map(stem)));
+  const n = sentences.length;
+  const weights = vectors.map((a, i) => vectors.map((b, j) => (i === j ? 0 : cosineSimilarity(a, b))));
+  const outWeight = weights.map(row => row.reduce((sum, w) => sum + w, 0));
+
+  let scores = new Array(n).fill(1);
+  for (let iter = 0; iter < TEXTRANK_ITERATIONS; iter++) {
+    scores = scores.map((_, i) => {
+      let incoming = 0;
+      for (let j = 0; j < n; j++) {
+        if (weights[j][i] && outWeight[j]) incoming += (weights[j][i] / outWeight[j]) * scores[j];
+      }
+      return (1 - DAMPING) + DAMPING * incoming;
+    });
+  }
+  return scores;
+}
+
+// Extractive summary shaped roughly like the requested Summarizer options
+export function extractiveSummary(text, { type = 'tldr', length = 'short', format = 'plain-text', sentences } = {}) {
+  const candidates = splitSentences(text || '').slice(0, MAX_CANDIDATE_SENTENCES);
+  if (candidates.length === 0) {
+    const flat = (text || '').replace(/\s+/g, ' ').trim();
+    return flat.length > 300 ? `${flat.substring(0, 300)}…` : flat;
+  }
+
+  const count = sentences || (type === 'headline' ? 1 : SENTENCES_BY_LENGTH[length] || 2);
+  const scores = rankSentences(candidates);
+  const picked = candidates
+    .map((sentence, i) => ({ sentence, i, score: scores[i] }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, count)
+    .sort((a, b) => a.i - b.i) // read in page order
+    .map(p => p.sentence);
+
+  if (type === 'key-points') return picked.map(s => `${format === 'markdown' ? '-' : '•'} ${s}`).join('\n');
+  return picked.join(' ');
+}
+
+// --- Rule-based tagging ---
+
+// Hostname patterns for the default categories (only used if the category is in the taxonomy)
+const DOMAIN_RULES = [
+  [/(^|\.)(github\.com|gitlab\.com|bitbucket\.org|atlassian\.net|notion\.so|linear\.app|trello\.com|figma\.com|slack\.com|stackoverflow\.com)$|^docs\.google\.com$/, 'Work/Projects'],
+  [/(^|\.)(arxiv\.org|researchgate\.net|sciencedirect\.com|springer\.com|nature\.com|acm\.org|ieee\.org|ncbi\.nlm\.nih\.gov|semanticscholar\.org)$|^scholar\.google\./, 'Research'],
+  [/(^|\.)(wikipedia\.org|coursera\.org|edx\.org|khanacademy\.org|udemy\.com|w3schools\.com|developer\.mozilla\.org)$/, 'Study'],
+  [/(^|\.)(youtube\.com|netflix\.com|twitch\.tv|spotify\.com|imdb\.com|hulu\.com|disneyplus\.com)$/, 'Entertainment'],
+  [/(^|\.)(nytimes\.com|bbc\.co\.uk|bbc\.com|cnn\.com|reuters\.com|theguardian\.com|apnews\.com|washingtonpost\.com|news\.ycombinator\.com)$/, 'News'],
+  [/(^|\.)(amazon\.[a-z.]+|ebay\.[a-z.]+|etsy\.com|aliexpress\.com|walmart\.com|bestbuy\.com)$/, 'Shopping'],
+  [/(^|\.)(twitter\.com|x\.com|facebook\.com|instagram\.com|reddit\.com|linkedin\.com|threads\.net|bsky\.app|mastodon\.social)$/, 'Social Media'],
+];
+
+// Keywords that hint at a category when the domain doesn't (stemmed once at load)
+const KEYWORD_RULES = Object.entries({
+  'Work/Projects': ['repository', 'commit', 'pull', 'deploy', 'sprint', 'issue', 'backlog', 'meeting', 'roadmap', 'api'],
+  'Research': ['abstract', 'paper', 'hypothesis', 'methodology', 'experiment', 'dataset', 'citation', 'journal', 'doi', 'arxiv'],
+  'Study': ['lecture', 'course', 'tutorial', 'exercise', 'homework', 'exam', 'lesson', 'chapter', 'quiz', 'learn'],
+  'Entertainment': ['episode', 'trailer', 'movie', 'music', 'game', 'season', 'playlist', 'album', 'stream', 'film'],
+  'News': ['reported', 'breaking', 'correspondent', 'according', 'journalist', 'editorial', 'press', 'announced', 'minister', 'election'],
+  'Shopping': ['price', 'cart', 'checkout', 'shipping', 'discount', 'deal', 'order', 'buy', 'warranty', 'coupon'],
+  'Social Media': ['followers', 'likes', 'retweet', 'repost', 'comments', 'profile', 'share', 'upvote', 'subreddit', 'feed'],
+}).map(([category, words]) => [category, words.map(stem)]);
+const MIN_KEYWORD_HITS = 3;
+const MAX_TOPICS = 2;
+
+function domainCategory(url) {
+  try {
+    const host = new URL(url).hostname.replace(/^www\./, '');
+    return DOMAIN_RULES.find(([pattern]) => pattern.test(host))?.[1] || null;
+  } catch {
+    return null;
+  }
+}
+
+// Most distinctive words of the page against `corpus` (other pages' text), by TF-IDF
+function keywordTopics(text, corpus = []) {
+  const words = tokenize(text).filter(w => w.length > 3);
+  const [vector] = buildTfIdfVectors([words.map(stem), ...corpus.map(doc => tokenize(doc).map(stem))]);
+
+  // Show the most common surface form of each stem
+  const surface = new Map();
+  words.forEach(w => {
+    const forms = surface.get(stem(w)) || new Map();
+    forms.set(w, (forms.get(w) || 0) + 1);
+    surface.set(stem(w), forms);
+  });
+
+  return [...vector.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_TOPICS)
+    .map(([term]) => {
+      const [word] = [...surface.get(term).entries()].sort((a, b) => b[1] - a[1])[0];
+      return word.charAt(0).toUpperCase() + word.slice(1);
+    });
+}
+
+// Returns { categories, topics } in the same shape as the AI tagger's output
+export function ruleBasedTags({ url, title = '', text = '' }, corpus = []) {
+  const terms = tokenize(`${title}\n${text}`).map(stem);
+  const counts = new Map();
+  terms.forEach(t => counts.set(t, (counts.get(t) || 0) + 1));
+
+  const scored = KEYWORD_RULES
+    .map(([category, keywords]) => [category, keywords.reduce((sum, k) => sum + (counts.get(k) || 0), 0)])
+    .filter(([, hits]) => hits >= MIN_KEYWORD_HITS)
+    .sort((a, b) => b[1] - a[1])
+    .map(([category]) => category);
+
+  const fromDomain = domainCategory(url);
+  const categories = [...new Set([fromDomain, ...scored].filter(Boolean))];
+  return { categories, topics: keywordTopics(`${title}\n${text}`, corpus) };
+}
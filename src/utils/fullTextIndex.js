@@ -0,0 +1,158 @@
+// src/utils/fullTextIndex.js
+// In-memory BM25 inverted index over captured page text, keyed by URL. No model involved.
+import { tokenize, stem } from './textUtils.js';
+
+const K1 = 1.2;
+const B = 0.75;
+
+// Title and URL hits count for more than a passing mention in the body
+const FIELD_WEIGHTS = {
+  title: 3,
+  url: 2,
+  tabNote: 2,
+  notes: 2,
+  rawText: 1,
+};
+
+const SNIPPET_RADIUS = 90;
+
+const docs = new Map();      // url -> { fields, length }
+const postings = new Map();  // term -> Map(url -> weighted term frequency)
+let totalLength = 0;
+
+function analyze(text) {
+  return tokenize(text).map(stem);
+}
+
+function urlText(url) {
+  // Split the URL into words: "github.com/user/repo" -> "github com user repo"
+  return (url || '').replace(/^https?:\/\//, '').replace(/[^\p{L}\p{N}]+/gu, ' ');
+}
+
+export function removeDocument(url) {
+  const doc = docs.get(url);
+  if (!doc) return;
+  doc.terms.forEach(term => {
+    const list = postings.get(term);
+    list?.delete(url);
+    if (list?.size === 0) postings.delete(term);
+  });
+  totalLength -= doc.length;
+  docs.delete(url);
+}
+
+export function clearFullTextIndex() {
+  docs.clear();
+  postings.clear();
+  totalLength = 0;
+}
+
+// Add or update a page. Partial updates merge with the fields already indexed for that URL.
+export function indexDocument({ url, ...fields }) {
+  if (!url) return;
+  const merged = { ...(docs.get(url)?.fields || {}), ...fields };
+  removeDocument(url);
+
+  const termFreq = new Map();
+  let length = 0;
+  Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+    const text = field === 'url' ? urlText(url) : merged[field];
+    analyze(text).forEach(term => {
+      termFreq.set(term, (termFreq.get(term) || 0) + weight);
+      length += weight;
+    });
+  });
+
+  termFreq.forEach((tf, term) => {
+    if (!postings.has(term)) postings.set(term, new Map());
+    postings.get(term).set(url, tf);
+  });
+  docs.set(url, { fields: merged, length, terms: [...termFreq.keys()] });
+  totalLength += length;
+}
+
+// Split text around the first dense cluster of query hits into highlighted segments
+function buildSnippet(text, queryTerms) {
+  if (!text) return null;
+
+  const words = [...text.matchAll(/[\p{L}\p{N}]+/gu)];
+  const hits = words.filter(m => queryTerms.has(stem(m[0].toLowerCase())));
+  if (hits.length === 0) return null;
+
+  // Centre the window on the hit with the most other hits nearby
+  let anchor = hits[0];
+  let bestCount = 0;
+  hits.forEach(h => {
+    const count = hits.filter(o => Math.abs(o.index - h.index) <= SNIPPET_RADIUS).length;
+    if (count > bestCount) {
+      bestCount = count;
+      anchor = h;
+    }
+  });
+
+  const start = Math.max(0, text.lastIndexOf(' ', Math.max(0, anchor.index - SNIPPET_RADIUS)) + 1);
+  const endSpace = text.indexOf(' ', anchor.index + SNIPPET_RADIUS);
+  const end = endSpace === -1 ? text.length : endSpace;
+
+  const segments = [];
+  let cursor = start;
+  hits
+    .filter(h => h.index >= start && h.index + h[0].length <= end)
+    .forEach(h => {
+      if (h.index > cursor) segments.push({ text: text.slice(cursor, h.index), hit: false });
+      segments.push({ text: h[0], hit: true });
+      cursor = h.index + h[0].length;
+    });
+  if (cursor < end) segments.push({ text: text.slice(cursor, end), hit: false });
+
+  if (start > 0) segments.unshift({ text: '…', hit: false });
+  if (end < text.length) segments.push({ text: '…', hit: false });
+  return segments.map(s => ({ ...s, text: s.text.replace(/\s+/g, ' ') }));
+}
+
+// Highlighted snippet for a page: body text first, then summary, notes and title
+export function getSnippet(url, query) {
+  const doc = docs.get(url);
+  if (!doc) return null;
+  const queryTerms = new Set(analyze(query));
+  const { rawText, tabNote, notes, title } = doc.fields;
+  for (const text of [rawText, tabNote, notes, title]) {
+    const snippet = buildSnippet(text, queryTerms);
+    if (snippet) return snippet;
+  }
+  return null;
+}
+
+// BM25-ranked pages for a free-text query: [{ url, score, snippet }]
+// `allowedUrls` (a Set) restricts ranking to pages that passed the query's filters.
+export function searchFullText(query, limit = 20, allowedUrls = null) {
+  const queryTerms = [...new Set(analyze(query))];
+  if (queryTerms.length === 0 || docs.size === 0) return [];
+
+  const n = docs.size;
+  const avgLength = totalLength / n || 1;
+  const scores = new Map();
+
+  queryTerms.forEach(term => {
+    const list = postings.get(term);
+    if (!list) return;
+    const idf = Math.log(1 + (n - list.size + 0.5) / (list.size + 0.5));
+    list.forEach((tf, url) => {
+      if (allowedUrls && !allowedUrls.has(url)) return;
+      const norm = tf * (K1 + 1) / (tf + K1 * (1 - B + B * docs.get(url).length / avgLength));
+      scores.set(url, (scores.get(url) || 0) + idf * norm);
+    });
+  });
+
+  return [...scores.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([url, score]) => ({ url, score, snippet: getSnippet(url, query) }));
+}
+
+// Size of the in-memory index (it is rebuilt from storage on startup, never saved)
+export function getFullTextIndexStats() {
+  let entries = 0;
+  postings.forEach(list => { entries += list.size; });
+  return { documents: docs.size, terms: postings.size, postings: entries };
+}
@@ -0,0 +1,55 @@
+// src/utils/providers/builtinProvider.js
+// Chrome built-in AI (Summarizer + Prompt API on Gemini Nano) and the local MiniLM embedder.
+import { embedTexts, EMBEDDING_MODEL } from '../embeddings.js';
+
+const MAX_POOLED_SUMMARIZERS = 3;
+const summarizerPool = new Map(); // options key -> Promise<Summarizer>, least recently used first
+
+function getPrompterApi() {
+  return self.LanguageModel || (chrome?.ai?.languageModel ?? null);
+}
+
+// One Summarizer per option set, created on demand; the least recently used is destroyed past the cap
+function getSummarizer(options) {
+  const key = `${options.type}/${options.length}/${options.format}`;
+  let pending = summarizerPool.get(key);
+  if (pending) {
+    summarizerPool.delete(key);
+  } else {
+    pending = Summarizer.create({ ...options });
+    pending.catch(() => summarizerPool.delete(key));
+    console.log(`🧾 Creating Summarizer (${key}).`);
+  }
+  summarizerPool.set(key, pending);
+
+  if (summarizerPool.size > MAX_POOLED_SUMMARIZERS) {
+    const [oldestKey, oldest] = summarizerPool.entries().next().value;
+    summarizerPool.delete(oldestKey);
+    oldest.then(s => s.destroy?.()).catch(() => {});
+  }
+  return pending;
+}
+
+export const builtinProvider = {
+  id: 'builtin',
+  label: 'Chrome built-in AI (on-device)',
+  embeddingModelId: EMBEDDING_MODEL,
+
+  async availability(capability) {
+    if (capability === 'embed') return 'available'; // bundled ONNX model, loaded on first use
+    const api = capability === 'summarize' ? self.Summarizer : getPrompterApi();
+    if (!api || typeof api.create !== 'function') return 'unsupported';
+    return typeof api.availability === 'function' ? api.availability() : 'available';
+  },
+
+  getSummarizer,
+
+  // Native LanguageModel session: prompt(text, { responseConstraint }), clone(), destroy()
+  async createSession({ initialPrompts } = {}) {
+    const Prompter = getPrompterApi();
+    if (!Prompter || typeof Prompter.create !== 'function') throw new Error('Prompt API not available in this browser');
+    return initialPrompts ? Prompter.create({ initialPrompts }) : Prompter.create();
+  },
+
+  embed: embedTexts,
+};
@@ -0,0 +1,70 @@
+// src/utils/providers/index.js
+// AI provider registry. Each capability (summarize, prompt, embed) can use a different backend.
+//
+// A provider implements:
+//   availability(capability)  -> 'available' | 'downloadable' | 'unavailable' | 'unsupported' | ...
+//   getSummarizer(options)    -> { summarize(text, { context }) }   (options: type / length / format)
+//   createSession({ initialPrompts }) -> { prompt(text, { responseConstraint }), clone(), destroy() }
+//   embed(texts)              -> unit-length vectors; `embeddingModelId` tags them in the index
+import { builtinProvider } from './builtinProvider.js';
+import { createOpenAICompatibleProvider } from './openaiCompatibleProvider.js';
+
+export const AI_CAPABILITIES = ['summarize', 'prompt', 'embed'];
+
+// Endpoints are usually machine-local (localhost), so these live in chrome.storage.local
+export const PROVIDER_SETTINGS_KEY = 'aiProviderSettings';
+
+export const DEFAULT_PROVIDER_SETTINGS = {
+  capabilities: { summarize: 'builtin', prompt: 'builtin', embed: 'builtin' },
+  openai: {
+    baseUrl: 'http://localhost:11434/v1',
+    apiKey: '',
+    chatModel: 'llama3.2',
+    embeddingModel: 'nomic-embed-text',
+  },
+};
+
+let settings = DEFAULT_PROVIDER_SETTINGS;
+let providers = { builtin: builtinProvider };
+
+function applySettings(next) {
+  settings = {
+    capabilities: { ...DEFAULT_PROVIDER_SETTINGS.capabilities, ...next?.capabilities },
+    openai: { ...DEFAULT_PROVIDER_SETTINGS.openai, ...next?.openai },
+  };
+  providers = {
+    builtin: builtinProvider,
+    openai: createOpenAICompatibleProvider(settings.openai),
+  };
+}
+
+export async function loadProviderSettings() {
+  const { [PROVIDER_SETTINGS_KEY]: saved } = await chrome.storage.local.get(PROVIDER_SETTINGS_KEY);
+  applySettings(saved);
+  return settings;
+}
+
+export async function saveProviderSettings(next) {
+  applySettings(next);
+  await chrome.storage.local.set({ [PROVIDER_SETTINGS_KEY]: settings });
+  return settings;
+}
+
+export function getProviderSettings() {
+  return settings;
+}
+
+// The backend configured for a capability (falls back to built-in AI)
+export function getProvider(capability) {
+  return providers[settings.capabilities[capability]] || builtinProvider;
+}
+
+// Availability of every capability with its current backend, for the settings screen
+export async function checkProviders() {
+  const entries = await Promise.all(AI_CAPABILITIES.map(async capability => {
+    const provider = getProvider(capability);
+    const status = await provider.availability(capability).catch(err => `error: ${err.message}`);
+    return [capability, { provider: provider.id, status }];
+  }));
+  return Object.fromEntries(entries);
+}
@@ -0,0 +1,126 @@
+// src/utils/providers/openaiCompatibleProvider.js
+// Any server speaking the OpenAI REST API: Ollama, llama.cpp, LM Studio, vLLM, or a hosted endpoint.
+
+const REQUEST_TIMEOUT_MS = 120000;
+const PROBE_TIMEOUT_MS = 5000;
+
+// Mirrors the Summarizer API's definitions of each type and length
+const SUMMARY_STYLES = {
+  tldr: { short: 'a TL;DR of 1 sentence', medium: 'a TL;DR of 3 sentences', long: 'a TL;DR of 5 sentences' },
+  'key-points': { short: 'the 3 key points as bullets', medium: 'the 5 key points as bullets', long: 'the 7 key points as bullets' },
+  teaser: { short: 'a 1-sentence teaser', medium: 'a 3-sentence teaser', long: 'a 5-sentence teaser' },
+  headline: { short: 'a headline of about 12 words', medium: 'a headline of about 17 words', long: 'a headline of about 22 words' },
+};
+
+function unitLength(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, x) => sum + x * x, 0)) || 1;
+  return vector.map(x => x / norm);
+}
+
+export function createOpenAICompatibleProvider({ baseUrl, apiKey, chatModel, embeddingModel, timeoutMs = REQUEST_TIMEOUT_MS }) {
+  const root = (baseUrl || '').replace(/\/+$/, '');
+
+  async function request(path, body, timeout = timeoutMs) {
+    if (!root) throw new Error('No endpoint URL configured');
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    try {
+      const response = await fetch(`${root}${path}`, {
+        method: body ? 'POST' : 'GET',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+        },
+        body: body ? JSON.stringify(body) : undefined,
+        signal: controller.signal,
+      });
+      if (!response.ok) {
+        const detail = (await response.text().catch(() => '')).substring(0, 200);
+        const err = new Error(`${root}${path} returned ${response.status}${detail ? `: ${detail}` : ''}`);
+        err.status = response.status;
+        throw err;
+      }
+      return await response.json();
+    } catch (err) {
+      if (err.name === 'AbortError') throw new Error(`${root}${path} timed out after ${timeout / 1000}s`);
+      throw err;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async function chat(messages, { responseConstraint } = {}) {
+    const body = { model: chatModel, messages, temperature: 0.2 };
+    if (responseConstraint) {
+      body.response_format = { type: 'json_schema', json_schema: { name: 'response', schema: responseConstraint } };
+    }
+    try {
+      const data = await request('/chat/completions', body);
+      return data.choices?.[0]?.message?.content?.trim() || '';
+    } catch (err) {
+      // Servers without JSON-schema output reject the request: let the caller fall back to schema-in-prompt
+      if (responseConstraint && err.status === 400) throw new DOMException(err.message, 'NotSupportedError');
+      throw err;
+    }
+  }
+
+  // Same surface as a LanguageModel session; the conversation lives client-side
+  function createSession({ initialPrompts = [] } = {}) {
+    const messages = initialPrompts.map(({ role, content }) => ({ role, content }));
+    return {
+      async prompt(text, options) {
+        const reply = await chat([...messages, { role: 'user', content: text }], options);
+        messages.push({ role: 'user', content: text }, { role: 'assistant', content: reply });
+        return reply;
+      },
+      async clone() {
+        return createSession({ initialPrompts: messages });
+      },
+      destroy() {
+        messages.length = 0;
+      },
+    };
+  }
+
+  return {
+    id: 'openai',
+    label: 'OpenAI-compatible endpoint',
+    embeddingModelId: `openai:${root}:${embeddingModel}`,
+
+    async availability(capability) {
+      if (!root) return 'unconfigured';
+      if (capability !== 'embed' && !chatModel) return 'unconfigured';
+      if (capability === 'embed' && !embeddingModel) return 'unconfigured';
+      try {
+        await request('/models', null, PROBE_TIMEOUT_MS);
+        return 'available';
+      } catch (err) {
+        console.warn(`⚠️ AI endpoint ${root} unreachable:`, err.message);
+        return 'unavailable';
+      }
+    },
+
+    getSummarizer({ type, length, format }) {
+      const style = SUMMARY_STYLES[type]?.[length] || SUMMARY_STYLES.tldr.short;
+      const system = `Summarize the user's text as ${style}. ${format === 'markdown'
+        ? 'Use Markdown.'
+        : 'Use plain text with no Markdown.'} Reply with the summary only.`;
+      return {
+        summarize: (text, { context } = {}) => chat([
+          { role: 'system', content: context ? `${system}\nContext: ${context}` : system },
+          { role: 'user', content: text },
+        ]),
+      };
+    },
+
+    createSession,
+
+    async embed(texts) {
+      if (!texts.length) return [];
+      const data = await request('/embeddings', { model: embeddingModel, input: texts });
+      return [...data.data]
+        .sort((a, b) => a.index - b.index)
+        .map(d => unitLength(d.embedding));
+    },
+  };
+}
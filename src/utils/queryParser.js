@@ -0,0 +1,121 @@
+// src/utils/queryParser.js
+// Gmail-style search operators for MemorySearch:
+//   tag:Research  tag:"Social Media"  site:github.com  before:2026-10-01  after:2026-09-01
+//   is:open  is:closed  is:starred  has:note  "exact phrase"
+
+export const SEARCH_OPERATORS = ['tag:', 'site:', 'before:', 'after:', 'is:', 'has:'];
+
+const TOKEN_PATTERN = /(\w+):("[^"]*"|\S+)|"([^"]*)"|(\S+)/g;
+
+function unquote(value) {
+  return value.replace(/^"|"$/g, '');
+}
+
+// "2026-10-01" -> local midnight timestamp, or null if it isn't a date
+function parseDay(value) {
+  const match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(value);
+  if (!match) return null;
+  const [, y, m, d] = match.map(Number);
+  return new Date(y, m - 1, d).getTime();
+}
+
+export function parseSearchQuery(raw) {
+  const parsed = {
+    text: '',
+    phrases: [],
+    tags: [],
+    sites: [],
+    before: null,
+    after: null,
+    status: null,
+    starred: false,
+    has: [],
+  };
+  const freeText = [];
+
+  for (const match of (raw || '').matchAll(TOKEN_PATTERN)) {
+    const [token, key, rawValue, phrase, word] = match;
+
+    if (phrase !== undefined) {
+      if (phrase.trim()) parsed.phrases.push(phrase.trim());
+      continue;
+    }
+    if (word !== undefined) {
+      freeText.push(word);
+      continue;
+    }
+
+    const value = unquote(rawValue);
+    switch (key.toLowerCase()) {
+      case 'tag':
+        parsed.tags.push(value);
+        break;
+      case 'site':
+        parsed.sites.push(value.toLowerCase().replace(/^https?:\/\//, '').replace(/\/.*$/, ''));
+        break;
+      case 'before':
+        parsed.before = parseDay(value) ?? parsed.before;
+        break;
+      case 'after':
+        parsed.after = parseDay(value) ?? parsed.after;
+        break;
+      case 'is':
+        if (value === 'open' || value === 'closed') parsed.status = value;
+        else if (value === 'starred') parsed.starred = true;
+        break;
+      case 'has':
+        parsed.has.push(value.toLowerCase());
+        break;
+      default:
+        // Not an operator (e.g. "note:" in prose or a URL) — keep it as text
+        freeText.push(token);
+    }
+  }
+
+  parsed.text = freeText.join(' ');
+  return parsed;
+}
+
+function hostnameOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch {
+    return '';
+  }
+}
+
+// Does a memory entry pass every filter in the parsed query?
+// `notedUrls` is the set of URLs that have sticky notes (for has:note).
+export function matchesQueryFilters(entry, parsed, { notedUrls = new Set() } = {}) {
+  if (parsed.status && entry.status !== parsed.status) return false;
+  if (parsed.starred && !entry.starred) return false;
+
+  if (parsed.tags.length) {
+    const entryTags = (entry.tags || []).map(t => t.toLowerCase());
+    if (!parsed.tags.every(tag => entryTags.includes(tag.toLowerCase()))) return false;
+  }
+
+  if (parsed.sites.length) {
+    const host = hostnameOf(entry.url);
+    if (!parsed.sites.some(site => host === site || host.endsWith(`.${site}`))) return false;
+  }
+
+  // Same semantics as Gmail: after: includes that day, before: excludes it
+  const when = entry.lastUpdated || entry.closedAt || 0;
+  if (parsed.after !== null && when < parsed.after) return false;
+  if (parsed.before !== null && when >= parsed.before) return false;
+
+  if (parsed.has.includes('note') && !notedUrls.has(entry.url)) return false;
+
+  if (parsed.phrases.length) {
+    const haystack = [entry.title, entry.tabNote, entry.rawText].join('\n').toLowerCase();
+    if (!parsed.phrases.every(p => haystack.includes(p.toLowerCase()))) return false;
+  }
+
+  return true;
+}
+
+// True when the query narrows results but has nothing to rank by
+export function isFilterOnlyQuery(parsed) {
+  return !parsed.text.trim() && parsed.phrases.length === 0;
+}
@@ -0,0 +1,122 @@
+// src/utils/redaction.js
+// Finds common PII and secrets in captured text and swaps them for typed placeholders ([EMAIL], [CARD], …).
+// Runs on page text before it is stored and again on anything built into a model prompt.
+
+export const REDACTION_SETTINGS_KEY = 'redactionSettings';
+
+export const REDACTION_CATEGORIES = {
+  secret: { label: 'API keys, tokens & passwords', placeholder: '[SECRET]' },
+  card: { label: 'Payment card numbers', placeholder: '[CARD]' },
+  iban: { label: 'Bank account numbers (IBAN)', placeholder: '[IBAN]' },
+  email: { label: 'Email addresses', placeholder: '[EMAIL]' },
+  ssn: { label: 'US social security numbers', placeholder: '[SSN]' },
+  phone: { label: 'Phone numbers', placeholder: '[PHONE]' },
+  ip: { label: 'IP addresses', placeholder: '[IP]' },
+};
+
+export const DEFAULT_REDACTION_SETTINGS = {
+  categories: Object.fromEntries(Object.keys(REDACTION_CATEGORIES).map(c => [c, true])),
+};
+
+function luhnValid(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+  }
+  return sum % 10 === 0;
+}
+
+// ISO 13616 mod-97 check
+function ibanValid(iban) {
+  const compact = iban.replace(/\s/g, '').toUpperCase();
+  const rearranged = compact.slice(4) + compact.slice(0, 4);
+  let remainder = 0;
+  for (const ch of rearranged) {
+    const value = /\d/.test(ch) ? ch : String(ch.charCodeAt(0) - 55);
+    for (const digit of value) remainder = (remainder * 10 + Number(digit)) % 97;
+  }
+  return remainder === 1;
+}
+
+const digitCount = (s) => s.replace(/\D/g, '').length;
+
+// Applied in order: secrets first so their digits don't also read as phone or card numbers.
+// `keep` names a capture group left in place (e.g. the "password=" part of "password=hunter2").
+const RULES = [
+  { category: 'secret', pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g },
+  { category: 'secret', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  { category: 'secret', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})\b/g },
+  { category: 'secret', pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}\b/g },
+  { category: 'secret', pattern: /\b[rs]k_(?:live|test)_[A-Za-z0-9]{16,}\b/g },
+  { category: 'secret', pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+  { category: 'secret', pattern: /\bsk-[A-Za-z0-9_-]{20,}\b/g },
+  { category: 'secret', pattern: /\beyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}\b/g },
+  { category: 'secret', pattern: /\b(Bearer\s+)[A-Za-z0-9._~+/-]{20,}=*/g, keep: 1 },
+  { category: 'secret', pattern: /(\/\/)[^\s/:@]+:[^\s/@]+(?=@)/g, keep: 1 }, // user:pass@ in URLs
+  { category: 'secret', pattern: /\b((?:api[_-]?key|access[_-]?token|auth[_-]?token|client[_-]?secret|secret[_-]?key|password|passwd|pwd)\s*[:=]\s*["']?)[^\s"'&,;]{6,}/gi, keep: 1 },
+  { category: 'card', pattern: /\b\d(?:[ -]?\d){12,18}\b/g, valid: m => digitCount(m) >= 13 && luhnValid(m.replace(/\D/g, '')) },
+  { category: 'iban', pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]){11,30}\b/g, valid: ibanValid },
+  { category: 'email', pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}\b/g },
+  { category: 'ssn', pattern: /\b(?!000|666|9\d\d)\d{3}-(?!00)\d{2}-(?!0000)\d{4}\b/g },
+  {
+    category: 'phone',
+    pattern: /(?<![\w+])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?)?\d{2,4}[\s.-]\d{2,4}(?:[\s.-]\d{2,4}){0,2}(?![\w-])/g,
+    valid: m => digitCount(m) >= 9 && digitCount(m) <= 15 && !/^\d{4}-\d{2}-\d{2}/.test(m),
+  },
+  { category: 'ip', pattern: /\b(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)\b/g },
+];
+
+let settings = DEFAULT_REDACTION_SETTINGS;
+
+export async function loadRedactionSettings() {
+  const { [REDACTION_SETTINGS_KEY]: saved } = await chrome.storage.sync.get(REDACTION_SETTINGS_KEY);
+  settings = { categories: { ...DEFAULT_REDACTION_SETTINGS.categories, ...saved?.categories } };
+  return settings;
+}
+
+export async function saveRedactionSettings(next) {
+  settings = { categories: { ...DEFAULT_REDACTION_SETTINGS.categories, ...next?.categories } };
+  await chrome.storage.sync.set({ [REDACTION_SETTINGS_KEY]: settings });
+  return settings;
+}
+
+export function getRedactionSettings() {
+  return settings;
+}
+
+// Returns { text, counts } where counts is { category: matches replaced } for the enabled categories
+export function redactText(text, categories = settings.categories) {
+  const counts = {};
+  if (!text) return { text: text || '', counts };
+
+  let result = text;
+  RULES.forEach(({ category, pattern, keep, valid }) => {
+    if (!categories[category]) return;
+    const { placeholder } = REDACTION_CATEGORIES[category];
+    result = result.replace(pattern, (match, ...groups) => {
+      if (valid && !valid(match)) return match;
+      counts[category] = (counts[category] || 0) + 1;
+      return keep ? `${groups[keep - 1]}${placeholder}` : placeholder;
+    });
+  });
+  return { text: result, counts };
+}
+
+// Just the redacted text, for prompt building
+export function redactForPrompt(text) {
+  return redactText(text).text;
+}
+
+// Add per-category counts from several passes into one report
+export function mergeRedactionCounts(...reports) {
+  const total = {};
+  reports.forEach(report => Object.entries(report || {}).forEach(([category, n]) => {
+    total[category] = (total[category] || 0) + n;
+  }));
+  return total;
+}
@@ -2,13 +2,395 @@
 
 const STORAGE_KEY = 'aiTabrixTabsStore';
 
+// Bump this whenever the database layout or the tab record shape changes,
+// and add the matching step to MIGRATIONS below.
+const SCHEMA_VERSION = 6;
+
+const TABS_STORE = 'tabs';
+const HISTORY_STORE = 'history';
+const SESSIONS_STORE = 'sessions';
+const EMBEDDINGS_STORE = 'embeddings';
+const JOBS_STORE = 'jobs';
+const SUMMARY_CACHE_STORE = 'summaryCache';
+
+// --- Schema Migrations ---
+// Each entry upgrades the database from (version - 1) to `version`.
+// They run in order inside the IndexedDB `versionchange` transaction.
+const MIGRATIONS = {
+    1: (db) => {
+        db.createObjectStore(TABS_STORE, { keyPath: 'tabId' });
+    },
+    // Closed tabs are archived by URL so their memory outlives the tab id
+    2: (db) => {
+        const history = db.createObjectStore(HISTORY_STORE, { keyPath: 'url' });
+        history.createIndex('closedAt', 'closedAt');
+    },
+    3: (db) => {
+        db.createObjectStore(SESSIONS_STORE, { keyPath: 'id' });
+    },
+    // Vector index entries, keyed by page URL like the history
+    4: (db) => {
+        db.createObjectStore(EMBEDDINGS_STORE, { keyPath: 'url' });
+    },
+    // Pending AI jobs, so queued work survives service worker restarts
+    5: (db) => {
+        db.createObjectStore(JOBS_STORE, { keyPath: 'key' });
+    },
+    // Summaries and tags keyed by URL + content hash, shared across tabs
+    6: (db) => {
+        db.createObjectStore(SUMMARY_CACHE_STORE, { keyPath: 'key' });
+    },
+};
+
+let dbPromise = null;
+
+function openDB() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(STORAGE_KEY, SCHEMA_VERSION);
+
+        request.onupgradeneeded = (event) => {
+            const db = request.result;
+            const tx = request.transaction;
+            for (let v = event.oldVersion + 1; v <= SCHEMA_VERSION; v++) {
+                console.log(`[Storage] 🔧 Migrating schema to v${v}`);
+                MIGRATIONS[v]?.(db, tx);
+            }
+        };
+
+        request.onsuccess = () => {
+            const db = request.result;
+            // Another context upgraded the schema: drop our handle so it can proceed
+            db.onversionchange = () => {
+                db.close();
+                dbPromise = null;
+            };
+            resolve(db);
+        };
+
+        request.onerror = () => {
+            dbPromise = null;
+            reject(request.error);
+        };
+    });
+
+    return dbPromise;
+}
+
+// Run `fn(store)` inside a transaction and resolve once it commits.
+async function withStore(storeName, mode, fn) {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        let result;
+        tx.oncomplete = () => resolve(result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+
+        const request = fn(tx.objectStore(storeName));
+        if (request) request.onsuccess = () => { result = request.result; };
+    });
+}
+
+// Strip anything IndexedDB's structured clone would choke on (e.g. functions).
+function toStorable(record) {
+    return JSON.parse(JSON.stringify(record));
+}
+
+// --- Encryption at Rest ---
+// While the vault (src/utils/vault.js) is enabled, records in these stores are written as
+// { <keyPath>: key, vault: <AES-GCM blob> }. URL-based keys are blinded (HMAC) so they don't leak either.
+// Jobs only hold tab ids and stay in plaintext.
+const ENCRYPTED_STORES = {
+    [TABS_STORE]: { keyPath: 'tabId', blind: false },
+    [HISTORY_STORE]: { keyPath: 'url', blind: true },
+    [SESSIONS_STORE]: { keyPath: 'id', blind: false },
+    [EMBEDDINGS_STORE]: { keyPath: 'url', blind: true },
+    [SUMMARY_CACHE_STORE]: { keyPath: 'key', blind: true },
+};
+
+// Codec state while the vault is enabled but no key is loaded
+export const VAULT_LOCKED = 'locked';
+
+let codec = null; // null (plaintext) | VAULT_LOCKED | { encrypt, decrypt, blind }
+
+export function setRecordCodec(next) {
+    codec = next;
+}
+
+function requireKey(using) {
+    if (using === VAULT_LOCKED) throw new Error('The vault is locked.');
+}
+
+// The key a record is stored under
+async function storeKey(storeName, key, using = codec) {
+    if (!using || !ENCRYPTED_STORES[storeName]?.blind) return key;
+    requireKey(using);
+    return using.blind(String(key));
+}
+
+async function encodeRecord(storeName, record, using = codec) {
+    const storable = toStorable(record);
+    const spec = ENCRYPTED_STORES[storeName];
+    if (!using || !spec) return storable;
+    requireKey(using);
+    return {
+        [spec.keyPath]: await storeKey(storeName, storable[spec.keyPath], using),
+        vault: await using.encrypt(storable),
+    };
+}
+
+// Plaintext rows pass through; encrypted ones are decrypted, or undefined if they can't be
+async function decodeRow(row, using = codec) {
+    if (!row?.vault) return row;
+    if (!using || using === VAULT_LOCKED) return undefined;
+    try {
+        return await using.decrypt(row.vault);
+    } catch (err) {
+        console.error('[Storage] ❌ Could not decrypt a record:', err);
+        return undefined;
+    }
+}
+
+async function decodeRows(rows, using = codec) {
+    const records = await Promise.all((rows || []).map(row => decodeRow(row, using)));
+    return records.filter(Boolean);
+}
+
+async function loadAll(storeName) {
+    return decodeRows(await withStore(storeName, 'readonly', (store) => store.getAll()));
+}
+
+// Encode outside the transaction: IndexedDB commits it as soon as it goes idle across an await
+async function putRecord(storeName, record) {
+    const encoded = await encodeRecord(storeName, record);
+    await withStore(storeName, 'readwrite', (store) => store.put(encoded));
+}
+
+async function deleteRecord(storeName, key) {
+    const stored = await storeKey(storeName, key);
+    await withStore(storeName, 'readwrite', (store) => {
+        if (stored !== key) store.delete(key); // a plaintext row left from before the vault was enabled
+        return store.delete(stored);
+    });
+}
+
+// Rewrite every encrypted-capable store from one codec to another (null = plaintext).
+// Rows that can't be decoded with `from` are left as they are.
+export async function reencodeStores(from, to) {
+    for (const storeName of Object.keys(ENCRYPTED_STORES)) {
+        const rows = (await withStore(storeName, 'readonly', (store) => store.getAll())) || [];
+        const encoded = await Promise.all(rows.map(async (row) => {
+            const record = await decodeRow(row, from);
+            return record ? encodeRecord(storeName, record, to) : row;
+        }));
+        await withStore(storeName, 'readwrite', (store) => {
+            store.clear();
+            encoded.forEach((row) => store.put(row));
+        });
+        console.log(`[Storage] 🔐 Re-encoded ${encoded.length} records in ${storeName}`);
+    }
+}
+
+// --- Tab Records ---
+
 // Load data on service worker startup
 export async function loadTabs() {
-    // ... (implementation) ...
-    return {};
+    try {
+        const records = await loadAll(TABS_STORE);
+        const tabsStore = {};
+        records.forEach((record) => { tabsStore[record.tabId] = record; });
+        return tabsStore;
+    } catch (err) {
+        console.error('[Storage] ❌ Failed to load tabs:', err);
+        return {};
+    }
+}
+
+// Persist a single tab record (incremental write)
+export async function saveTab(record) {
+    if (!record || record.tabId === undefined || record.tabId === null) return;
+    try {
+        await putRecord(TABS_STORE, record);
+    } catch (err) {
+        console.error(`[Storage] ❌ Failed to save tab ${record.tabId}:`, err);
+    }
+}
+
+// Remove a single tab record
+export async function deleteTab(tabId) {
+    try {
+        await deleteRecord(TABS_STORE, tabId);
+    } catch (err) {
+        console.error(`[Storage] ❌ Failed to delete tab ${tabId}:`, err);
+    }
 }
 
-// Save data
-export function saveTabs(tabsStore) {
-    // ... (implementation) ...
-}
\ No newline at end of file
+// Save data (full rewrite — prefer saveTab for single-record updates)
+export async function saveTabs(tabsStore) {
+    try {
+        const records = Object.values(tabsStore || {}).filter((record) => record?.tabId !== undefined);
+        const encoded = await Promise.all(records.map((record) => encodeRecord(TABS_STORE, record)));
+        await withStore(TABS_STORE, 'readwrite', (store) => {
+            store.clear();
+            encoded.forEach((row) => store.put(row));
+        });
+    } catch (err) {
+        console.error('[Storage] ❌ Failed to save tabs:', err);
+    }
+}
+
+// --- Closed Tab History ---
+
+// Load archived entries, keyed by URL
+export async function loadHistory() {
+    try {
+        const entries = await loadAll(HISTORY_STORE);
+        const historyStore = {};
+        entries.forEach((entry) => { historyStore[entry.url] = entry; });
+        return historyStore;
+    } catch (err) {
+        console.error('[Storage] ❌ Failed to load history:', err);
+        return {};
+    }
+}
+
+// Persist a single history entry
+export async function saveHistoryEntry(entry) {
+    if (!entry?.url) return;
+    try {
+        await putRecord(HISTORY_STORE, entry);
+    } catch (err) {
+        console.error(`[Storage] ❌ Failed to save history for ${entry.url}:`, err);
+    }
+}
+
+// Forget a closed page entirely (retention purges)
+export async function deleteHistoryEntry(url) {
+    try {
+        await deleteRecord(HISTORY_STORE, url);
+    } catch (err) {
+        console.error(`[Storage] ❌ Failed to delete history for ${url}:`, err);
+    }
+}
+
+// --- Saved Sessions ---
+
+export async function loadSessions() {
+    try {
+        return await loadAll(SESSIONS_STORE);
+    } catch (err) {
+        console.error('[Storage] ❌ Failed to load sessions:', err);
+        return [];
+    }
+}
+
+export async function saveSession(session) {
+    if (!session?.id) return;
+    try {
+        await putRecord(SESSIONS_STORE, session);
+    } catch (err) {
+        console.error(`[Storage] ❌ Failed to save session ${session.id}:`, err);
+    }
+}
+
+export async function deleteSession(id) {
+    try {
+        await deleteRecord(SESSIONS_STORE, id);
+    } catch (err) {
+        console.error(`[Storage] ❌ Failed to delete session ${id}:`, err);
+    }
+}
+
+// --- Embedding Index ---
+
+export async function loadEmbeddings() {
+    try {
+        return await loadAll(EMBEDDINGS_STORE);
+    } catch (err) {
+        console.error('[Storage] ❌ Failed to load embeddings:', err);
+        return [];
+    }
+}
+
+export async function saveEmbedding(entry) {
+    if (!entry?.url) return;
+    try {
+        await putRecord(EMBEDDINGS_STORE, entry);
+    } catch (err) {
+        console.error(`[Storage] ❌ Failed to save embedding for ${entry.url}:`, err);
+    }
+}
+
+export async function deleteEmbedding(url) {
+    try {
+        await deleteRecord(EMBEDDINGS_STORE, url);
+    } catch (err) {
+        console.error(`[Storage] ❌ Failed to delete embedding for ${url}:`, err);
+    }
+}
+
+// --- AI Job Queue ---
+
+export async function loadJobs() {
+    try {
+        return (await withStore(JOBS_STORE, 'readonly', (store) => store.getAll())) || [];
+    } catch (err) {
+        console.error('[Storage] ❌ Failed to load jobs:', err);
+        return [];
+    }
+}
+
+export async function saveJob(job) {
+    if (!job?.key) return;
+    try {
+        await withStore(JOBS_STORE, 'readwrite', (store) => store.put(toStorable(job)));
+    } catch (err) {
+        console.error(`[Storage] ❌ Failed to save job ${job.key}:`, err);
+    }
+}
+
+export async function deleteJob(key) {
+    try {
+        await withStore(JOBS_STORE, 'readwrite', (store) => store.delete(key));
+    } catch (err) {
+        console.error(`[Storage] ❌ Failed to delete job ${key}:`, err);
+    }
+}
+
+// --- Summary Cache ---
+
+export async function loadSummaryCache() {
+    try {
+        return await loadAll(SUMMARY_CACHE_STORE);
+    } catch (err) {
+        console.error('[Storage] ❌ Failed to load summary cache:', err);
+        return [];
+    }
+}
+
+export async function saveSummaryCacheEntry(entry) {
+    if (!entry?.key) return;
+    try {
+        await putRecord(SUMMARY_CACHE_STORE, entry);
+    } catch (err) {
+        console.error(`[Storage] ❌ Failed to save cache entry ${entry.key}:`, err);
+    }
+}
+
+export async function deleteSummaryCacheEntry(key) {
+    try {
+        await deleteRecord(SUMMARY_CACHE_STORE, key);
+    } catch (err) {
+        console.error(`[Storage] ❌ Failed to delete cache entry ${key}:`, err);
+    }
+}
+
+export async function clearSummaryCache() {
+    try {
+        await withStore(SUMMARY_CACHE_STORE, 'readwrite', (store) => store.clear());
+    } catch (err) {
+        console.error('[Storage] ❌ Failed to clear summary cache:', err);
+    }
+}
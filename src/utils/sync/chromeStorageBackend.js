@@ -0,0 +1,83 @@
+// src/utils/sync/chromeStorageBackend.js
+// chrome.storage.sync, replicated by the browser to every device signed into the same profile.
+// Its quota is small (~100 KB, 8 KB per item), so it only carries the light record form and,
+// when even that doesn't fit, the newest records first.
+
+const MANIFEST_KEY = 'syncManifest';
+const CHUNK_PREFIX = 'syncChunk_';
+const BUDGET_BYTES = 80 * 1024;      // leaves room for settings, taxonomy and theme
+const CHUNK_BYTES = 7 * 1024;        // under QUOTA_BYTES_PER_ITEM with the key and overhead
+
+const size = (value) => new TextEncoder().encode(JSON.stringify(value)).length;
+
+// Deletions and notes first (small, and the user's own words), then everything else newest first
+function priority([key, entry]) {
+  if (entry.deleted) return 0;
+  if (key.startsWith('note:')) return 1;
+  if (entry.data?.starred) return 2;
+  return 3;
+}
+
+function fitToBudget(replica) {
+  const ordered = Object.entries(replica).sort((a, b) => priority(a) - priority(b) || b[1].at - a[1].at);
+  const chunks = [];
+  let current = {};
+  let currentBytes = 0;
+  let total = 0;
+  let dropped = 0;
+  for (const [key, entry] of ordered) {
+    const bytes = size({ [key]: entry });
+    if (bytes > CHUNK_BYTES || total + bytes > BUDGET_BYTES) {
+      dropped++;
+      continue;
+    }
+    if (currentBytes + bytes > CHUNK_BYTES) {
+      chunks.push(current);
+      current = {};
+      currentBytes = 0;
+    }
+    current[key] = entry;
+    currentBytes += bytes;
+    total += bytes;
+  }
+  if (currentBytes) chunks.push(current);
+  return { chunks, dropped };
+}
+
+export function createChromeStorageBackend() {
+  return {
+    id: 'chrome',
+    label: 'Chrome sync (summary)',
+    light: true,
+
+    async read() {
+      const { [MANIFEST_KEY]: manifest } = await chrome.storage.sync.get(MANIFEST_KEY);
+      if (!manifest?.chunks) return { replica: {}, version: null };
+      const keys = Array.from({ length: manifest.chunks }, (_, i) => `${CHUNK_PREFIX}${i}`);
+      const stored = await chrome.storage.sync.get(keys);
+      const replica = Object.assign({}, ...keys.map(key => stored[key] || {}));
+      return { replica, version: manifest.writtenAt };
+    },
+
+    fit(replica) {
+      const { chunks, dropped } = fitToBudget(replica);
+      return { replica: Object.assign({}, ...chunks), dropped };
+    },
+
+    // chrome.storage.sync has no conditional writes: re-check the manifest right before writing
+    async write(replica, version, device) {
+      const { [MANIFEST_KEY]: manifest } = await chrome.storage.sync.get(MANIFEST_KEY);
+      if ((manifest?.writtenAt ?? null) !== version) {
+        const err = new Error('Chrome sync data changed during the sync.');
+        err.code = 'conflict';
+        throw err;
+      }
+      const { chunks } = fitToBudget(replica);
+      const items = Object.fromEntries(chunks.map((chunk, i) => [`${CHUNK_PREFIX}${i}`, chunk]));
+      items[MANIFEST_KEY] = { chunks: chunks.length, writtenAt: Date.now(), device };
+      await chrome.storage.sync.set(items);
+      const stale = Array.from({ length: Math.max(0, (manifest?.chunks || 0) - chunks.length) }, (_, i) => `${CHUNK_PREFIX}${chunks.length + i}`);
+      if (stale.length) await chrome.storage.sync.remove(stale);
+    },
+  };
+}
@@ -0,0 +1,63 @@
+// src/utils/sync/httpBackend.js
+// One JSON document on a WebDAV share (Nextcloud, ownCloud, Apache mod_dav, rclone serve webdav…)
+// or any HTTP server that answers GET and PUT on a URL. Carries full records. ETags make the
+// write conditional, so two devices syncing at once can't overwrite each other.
+// scripts/sync-server.mjs is a minimal server for trying this locally.
+
+const REQUEST_TIMEOUT_MS = 60000;
+const DEFAULT_FILENAME = 'ai-tabrix-sync.json';
+const DOCUMENT_FORMAT = 'ai-tabrix-sync';
+
+export function createHttpBackend({ url, username, password }) {
+  // A folder URL gets the default file name
+  const target = (url || '').trim().replace(/\/$/, `/${DEFAULT_FILENAME}`);
+
+  function headers(extra) {
+    const auth = username
+      ? { Authorization: `Basic ${btoa(String.fromCharCode(...new TextEncoder().encode(`${username}:${password || ''}`)))}` }
+      : password ? { Authorization: `Bearer ${password}` } : {};
+    return { ...auth, ...extra };
+  }
+
+  async function request(method, { body, headers: extra } = {}) {
+    if (!target) throw new Error('No sync URL configured');
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+    try {
+      return await fetch(target, { method, headers: headers(extra), body, cache: 'no-store', signal: controller.signal });
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  function fail(response) {
+    const err = new Error(`${target} returned ${response.status}`);
+    err.status = response.status;
+    if (response.status === 412) err.code = 'conflict';
+    return err;
+  }
+
+  return {
+    id: 'http',
+    label: 'WebDAV / HTTP (full records)',
+    light: false,
+
+    async read() {
+      const response = await request('GET');
+      if (response.status === 404) return { replica: {}, version: null };
+      if (!response.ok) throw fail(response);
+      const doc = await response.json().catch(() => null);
+      if (doc?.format !== DOCUMENT_FORMAT) throw new Error(`${target} is not an AI-Tabrix sync file.`);
+      // '' = the file exists but the server sends no ETag, so writes can't be conditional
+      return { replica: doc.records || {}, version: response.headers.get('ETag') || '' };
+    },
+
+    async write(replica, version, device) {
+      const body = JSON.stringify({ format: DOCUMENT_FORMAT, writtenAt: Date.now(), device, records: replica });
+      // If-None-Match: * when the file didn't exist, so a concurrent first upload isn't overwritten
+      const condition = version === null ? { 'If-None-Match': '*' } : version ? { 'If-Match': version } : {};
+      const response = await request('PUT', { body, headers: { 'Content-Type': 'application/json', ...condition } });
+      if (!response.ok) throw fail(response);
+    },
+  };
+}
@@ -0,0 +1,122 @@
+// src/utils/sync/index.js
+// Sync across devices. Memory is replicated as per-record last-writer-wins entries (replica.js)
+// to one or more backends:
+//   http    a WebDAV or plain HTTP file: full records, page text and summaries included
+//   chrome  chrome.storage.sync: a light form of each record (titles, tags, stars, notes, sessions)
+//
+// A backend implements:
+//   light                          -> whether it carries the light record form
+//   read()                         -> { replica, version }  (version: opaque, passed back to write)
+//   fit(replica)                   -> { replica, dropped }  (optional: what the backend has room for)
+//   write(replica, version, device)   throws with err.code === 'conflict' if the remote changed
+import { createChromeStorageBackend } from './chromeStorageBackend.js';
+import { createHttpBackend } from './httpBackend.js';
+import { stampReplica, mergeReplicas, diffReplica, settleState, sameReplica } from './replica.js';
+import { readLocal, writeLocal } from '../vault.js';
+
+// Endpoints and credentials are per machine, so these live in chrome.storage.local
+export const SYNC_SETTINGS_KEY = 'syncSettings';
+const SYNC_STATE_KEY = 'syncState'; // sealed by the vault: record keys are URLs
+const DEVICE_KEY = 'syncDeviceId';
+const MAX_ATTEMPTS = 3;
+
+export const DEFAULT_SYNC_SETTINGS = {
+  enabled: false,
+  intervalMinutes: 15,
+  backends: { chrome: true, http: false },
+  http: { url: '', username: '', password: '' },
+};
+
+let settings = DEFAULT_SYNC_SETTINGS;
+let deviceId = null;
+let backends = {};
+
+function applySettings(next) {
+  settings = {
+    enabled: !!next?.enabled,
+    intervalMinutes: Math.max(5, Number(next?.intervalMinutes) || DEFAULT_SYNC_SETTINGS.intervalMinutes),
+    backends: { ...DEFAULT_SYNC_SETTINGS.backends, ...next?.backends },
+    http: { ...DEFAULT_SYNC_SETTINGS.http, ...next?.http },
+  };
+  // Full records first, so a page arriving on both isn't first created from its light form
+  backends = {
+    http: createHttpBackend(settings.http),
+    chrome: createChromeStorageBackend(),
+  };
+}
+
+export async function loadSyncSettings() {
+  const { [SYNC_SETTINGS_KEY]: saved, [DEVICE_KEY]: savedDevice } = await chrome.storage.local.get([SYNC_SETTINGS_KEY, DEVICE_KEY]);
+  applySettings(saved);
+  deviceId = savedDevice;
+  if (!deviceId) {
+    deviceId = crypto.randomUUID();
+    await chrome.storage.local.set({ [DEVICE_KEY]: deviceId });
+  }
+  return settings;
+}
+
+export async function saveSyncSettings(next) {
+  applySettings(next);
+  await chrome.storage.local.set({ [SYNC_SETTINGS_KEY]: settings });
+  return settings;
+}
+
+export function getSyncSettings() {
+  return settings;
+}
+
+// The backends switched on, in sync order
+export function getActiveSyncBackends() {
+  if (!settings.enabled) return [];
+  return Object.keys(backends)
+    .filter(id => settings.backends[id])
+    .map(id => backends[id]);
+}
+
+// Last result per backend: { lastSyncAt, lastError, pulled, pushed, dropped }
+export async function getSyncStatus() {
+  const state = await readLocal(SYNC_STATE_KEY, {});
+  return Object.fromEntries(Object.entries(state).map(([id, { entries, ...status }]) => [id, status]));
+}
+
+async function saveBackendState(id, update) {
+  const state = await readLocal(SYNC_STATE_KEY, {});
+  state[id] = { ...state[id], ...update };
+  await writeLocal(SYNC_STATE_KEY, state);
+}
+
+// One round with a backend: pull, merge, apply what changed here, push what changed there.
+// `collect(light)` returns this device's records ({ key: data }); `apply({ upserts, deletes })`
+// writes merged records into memory. Returns { pulled, pushed, dropped }.
+export async function syncWith(backend, { collect, apply }) {
+  let previous = (await readLocal(SYNC_STATE_KEY, {}))[backend.id]?.entries || {};
+  try {
+    for (let attempt = 1; ; attempt++) {
+      const local = await stampReplica(await collect(backend.light), previous, deviceId);
+      const { replica: remote, version } = await backend.read();
+      const merged = mergeReplicas(local, remote);
+      const changes = diffReplica(merged, local);
+      if (changes.upserts.length || changes.deletes.length) await apply(changes);
+      previous = await settleState(merged, await collect(backend.light));
+
+      const { replica: outgoing, dropped } = backend.fit ? backend.fit(merged) : { replica: merged, dropped: 0 };
+      const pushed = Object.keys(outgoing).filter(key => !sameReplica({ [key]: outgoing[key] }, { [key]: remote[key] })).length;
+      if (pushed || !sameReplica(outgoing, remote)) {
+        try {
+          await backend.write(outgoing, version, deviceId);
+        } catch (err) {
+          // Another device wrote in between: go again on top of what it wrote
+          if (err.code === 'conflict' && attempt < MAX_ATTEMPTS) continue;
+          throw err;
+        }
+      }
+      const result = { pulled: changes.upserts.length + changes.deletes.length, pushed, dropped };
+      await saveBackendState(backend.id, { entries: previous, lastSyncAt: Date.now(), lastError: null, ...result });
+      return result;
+    }
+  } catch (err) {
+    await saveBackendState(backend.id, { entries: previous, lastError: err.message });
+    throw err;
+  }
+}
@@ -0,0 +1,85 @@
+// src/utils/sync/replica.js
+// The replicated data set: a map of record key ("page:<url>", "note:<id>", "session:<id>") to
+// { at, device, data } or, for deletions, { at, device, deleted: true }. Every key is a
+// last-writer-wins register: the later `at` wins, ties go to the higher device id, so any two
+// replicas merge to the same result whatever the order.
+import { hashText } from '../textUtils.js';
+
+// Deletions are remembered this long so devices that were offline still hear about them
+const TOMBSTONE_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+function isNewer(a, b) {
+  return a.at > b.at || (a.at === b.at && a.device > b.device);
+}
+
+export function hashRecord(data) {
+  return hashText(JSON.stringify(data));
+}
+
+// Date the local records against what was there at the last sync (`state`: key -> { at, device,
+// hash } or a tombstone). Unchanged records keep their timestamp, changed ones get `now`, and
+// records that disappeared since become tombstones. Records never synced from here get 0, so any
+// copy already on the backend (e.g. pulled through another backend, or a page both devices
+// visited) is taken instead of being overwritten by this device's first sync.
+export async function stampReplica(records, state, device, now = Date.now()) {
+  const entries = {};
+  for (const [key, data] of Object.entries(records)) {
+    const previous = state[key];
+    const hash = await hashRecord(data);
+    entries[key] = previous && !previous.deleted && previous.hash === hash
+      ? { at: previous.at, device: previous.device, data }
+      : { at: previous ? now : 0, device, data };
+  }
+  Object.entries(state).forEach(([key, previous]) => {
+    if (key in entries) return;
+    entries[key] = previous.deleted ? previous : { at: now, device, deleted: true };
+  });
+  return entries;
+}
+
+export function mergeReplicas(local, remote, now = Date.now()) {
+  const merged = { ...local };
+  Object.entries(remote || {}).forEach(([key, entry]) => {
+    if (!merged[key] || isNewer(entry, merged[key])) merged[key] = entry;
+  });
+  Object.entries(merged).forEach(([key, entry]) => {
+    if (entry.deleted && now - entry.at > TOMBSTONE_TTL_MS) delete merged[key];
+  });
+  return merged;
+}
+
+// What the merge changed relative to the local replica: records to write and keys to delete here
+export function diffReplica(merged, local) {
+  const upserts = [];
+  const deletes = [];
+  Object.entries(merged).forEach(([key, entry]) => {
+    const mine = local[key];
+    if (mine && mine.at === entry.at && mine.device === entry.device) return;
+    if (entry.deleted) {
+      if (mine && !mine.deleted) deletes.push(key);
+    } else {
+      upserts.push([key, entry.data]);
+    }
+  });
+  return { upserts, deletes };
+}
+
+// The state to remember after a sync: the merged versions of what is actually stored here now
+// (an applied record may have been refused or combined with local fields), plus tombstones.
+export async function settleState(merged, records) {
+  const state = {};
+  for (const [key, entry] of Object.entries(merged)) {
+    if (entry.deleted) {
+      if (!(key in records)) state[key] = entry;
+    } else if (key in records) {
+      state[key] = { at: entry.at, device: entry.device, hash: await hashRecord(records[key]) };
+    }
+  }
+  return state;
+}
+
+export function sameReplica(a, b) {
+  const keys = Object.keys(a || {});
+  if (keys.length !== Object.keys(b || {}).length) return false;
+  return keys.every(key => b[key] && a[key].at === b[key].at && a[key].device === b[key].device && !!a[key].deleted === !!b[key].deleted);
+}
@@ -0,0 +1,191 @@
+// src/utils/textUtils.js
+// Small text helpers shared by clustering and search (no model involved).
+
+const STOPWORDS = new Set(`
+a about above after again against all also am an and any are as at be because been before being
+below between both but by can could did do does doing down during each few for from further had
+has have having he her here hers herself him himself his how i if in into is it its itself just
+let me more most my myself no nor not now of off on once only or other our ours ourselves out over
+own same she should so some such than that the their theirs them themselves then there these they
+this those through to too under until up very was we were what when where which while who whom why
+will with would you your yours yourself yourselves via new one two use using used get like
+`.split(/\s+/).filter(Boolean));
+
+// Lowercase word tokens with stopwords and very short tokens removed
+export function tokenize(text) {
+  if (!text) return [];
+  return text
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(tok => tok.length > 2 && !STOPWORDS.has(tok) && !/^\d+$/.test(tok));
+}
+
+// Light suffix-stripping stemmer (Porter-style step 1 plus common derivational endings)
+const STEM_RULES = [
+  ['ational', 'ate'], ['tional', 'tion'], ['ization', 'ize'], ['fulness', 'ful'],
+  ['ousness', 'ous'], ['iveness', 'ive'], ['ation', 'ate'], ['ments', ''], ['ment', ''],
+  ['ness', ''], ['ings', ''], ['ing', ''], ['edly', ''], ['sses', 'ss'], ['ies', 'y'],
+  ['ied', 'y'], ['ed', ''], ['ly', ''], ['s', ''],
+];
+
+export function stem(token) {
+  if (token.length <= 3) return token;
+  for (const [suffix, replacement] of STEM_RULES) {
+    if (!token.endsWith(suffix)) continue;
+    if (suffix === 's' && /(ss|us|is)$/.test(token)) return token;
+
+    let base = token.slice(0, -suffix.length);
+    if (base.length < 3) return token;
+    // running -> run, stopped -> stop
+    if (!replacement && /([^aeioulsz])\1$/.test(base)) base = base.slice(0, -1);
+    return base + replacement;
+  }
+  return token;
+}
+
+// Build TF-IDF vectors (as Maps term -> weight) for a list of token arrays
+export function buildTfIdfVectors(docs) {
+  const docFreq = new Map();
+  docs.forEach(tokens => {
+    new Set(tokens).forEach(tok => docFreq.set(tok, (docFreq.get(tok) || 0) + 1));
+  });
+
+  const n = docs.length;
+  return docs.map(tokens => {
+    const tf = new Map();
+    tokens.forEach(tok => tf.set(tok, (tf.get(tok) || 0) + 1));
+
+    const vector = new Map();
+    tf.forEach((count, tok) => {
+      const idf = Math.log(1 + n / docFreq.get(tok));
+      vector.set(tok, (count / tokens.length) * idf);
+    });
+    return vector;
+  });
+}
+
+// Cosine similarity between two sparse Map vectors
+export function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  a.forEach((w, tok) => {
+    normA += w * w;
+    const other = b.get(tok);
+    if (other) dot += w * other;
+  });
+  b.forEach(w => { normB += w * w; });
+  if (!normA || !normB) return 0;
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+// Split long text into roughly `maxChars`-sized chunks, breaking on paragraph boundaries
+export function chunkText(text, maxChars = 1000) {
+  if (!text?.trim()) return [];
+
+  const chunks = [];
+  let current = '';
+  text.split(/\n\s*\n|\n/).forEach(para => {
+    const piece = para.trim();
+    if (!piece) return;
+
+    if (current && current.length + piece.length + 1 > maxChars) {
+      chunks.push(current);
+      current = '';
+    }
+    // Hard-split paragraphs that are longer than a chunk on their own
+    let rest = piece;
+    while (rest.length > maxChars) {
+      chunks.push(rest.substring(0, maxChars));
+      rest = rest.substring(maxChars);
+    }
+    current = current ? `${current}\n${rest}` : rest;
+  });
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+// Short line without closing punctuation, e.g. "2.1 Related Work" or "Installation"
+function looksLikeHeading(line) {
+  return line.length >= 3 && line.length <= 80
+    && line.split(/\s+/).length <= 10
+    && /\p{L}/u.test(line)
+    && !/[.,;:!?…)\]]$/.test(line);
+}
+
+// Split a long page into section-aware chunks of at most `maxChars`, for map-reduce summarization.
+// The text is cut at heading-like lines, oversized sections continue in "(cont.)" chunks, and
+// short neighbouring sections are packed together. Returns [{ heading, text }].
+export function splitSections(text, maxChars = 6000) {
+  if (!text?.trim()) return [];
+
+  // 1. Cut at headings (a run of headings with no text between them keeps the last one)
+  const raw = [];
+  let current = { heading: '', text: '' };
+  text.split(/\n+/).forEach(line => {
+    line = line.trim();
+    if (!line) return;
+    if (looksLikeHeading(line)) {
+      if (current.text) raw.push(current);
+      current = { heading: line, text: '' };
+    } else {
+      current.text = current.text ? `${current.text}\n${line}` : line;
+    }
+  });
+  if (current.text) raw.push(current);
+
+  // 2. Split oversized sections
+  const pieces = raw.flatMap(section => chunkText(section.text, maxChars).map((chunk, i) => ({
+    heading: i === 0 || !section.heading ? section.heading : `${section.heading} (cont.)`,
+    text: chunk,
+  })));
+
+  // 3. Pack short neighbours so each model call gets a reasonable amount of text
+  const sections = [];
+  pieces.forEach(piece => {
+    const last = sections[sections.length - 1];
+    if (last && last.text.length + piece.text.length + 1 <= maxChars) {
+      last.heading = [last.heading, piece.heading].filter(Boolean).join(' · ');
+      last.text = `${last.text}\n${piece.text}`;
+    } else {
+      sections.push({ ...piece });
+    }
+  });
+  return sections;
+}
+
+// SHA-256 of the text as hex, used to spot unchanged page content
+export async function hashText(text) {
+  const bytes = new TextEncoder().encode(text || '');
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// How much text differs between two captures of a page, compared line by line (order ignored).
+// Returns the changed characters and their share of both texts (0 = same lines, 1 = nothing shared).
+export function diffTextLines(before, after) {
+  const lines = text => (text || '').split('\n').map(l => l.trim()).filter(Boolean);
+  const remaining = new Map();
+  let total = 0;
+  lines(before).forEach(line => {
+    remaining.set(line, (remaining.get(line) || 0) + 1);
+    total += line.length;
+  });
+
+  let changedChars = 0;
+  lines(after).forEach(line => {
+    total += line.length;
+    const left = remaining.get(line) || 0;
+    if (left > 0) remaining.set(line, left - 1);
+    else changedChars += line.length;
+  });
+  remaining.forEach((count, line) => { changedChars += count * line.length; });
+
+  return { changedChars, ratio: total ? changedChars / total : 0 };
+}
+
+// UTF-8 size of a string, or of anything else as JSON (for storage estimates)
+export function byteLength(value) {
+  if (value === undefined || value === null || value === '') return 0;
+  return new TextEncoder().encode(typeof value === 'string' ? value : JSON.stringify(value)).length;
+}
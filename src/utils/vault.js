@@ -0,0 +1,215 @@
+// src/utils/vault.js
+// Optional encryption at rest. Tab records, history, sessions, embeddings, cached summaries and the
+// content-bearing chrome.storage.local keys are sealed with AES-GCM under a key derived (PBKDF2) from
+// the user's passphrase. The key is only held in memory and chrome.storage.session (cleared when the
+// browser closes), never on disk; locking drops it.
+import { setRecordCodec, reencodeStores, VAULT_LOCKED } from './storage.js';
+
+const VAULT_CONFIG_KEY = 'vaultConfig';
+const SESSION_KEY = 'vaultSessionKey';
+const PBKDF2_ITERATIONS = 310000;
+const CHECK_TEXT = 'ai-tabrix-vault'; // encrypted at setup to recognize the right passphrase
+const MIN_PASSPHRASE_LENGTH = 8;
+
+export const DEFAULT_AUTO_LOCK_MINUTES = 15;
+const MAX_AUTO_LOCK_MINUTES = 240; // chrome.idle.setDetectionInterval takes at most 4 hours
+
+const clampAutoLock = (minutes) => Math.min(MAX_AUTO_LOCK_MINUTES, Math.max(0, Number(minutes) || 0));
+
+// chrome.storage.local entries that hold page content (sticky notes, Ask history, cluster labels, cache log,
+// synced record keys)
+export const ENCRYPTED_LOCAL_KEYS = ['stickyNotes', 'askConversation', 'tabClusters', 'summaryCacheStats', 'syncState'];
+
+let config = null; // { enabled, salt, iterations, check, autoLockMinutes }
+let keys = null;   // { raw, aes, hmac } while unlocked
+let loading = null; // initVault()'s promise: readLocal/writeLocal wait for it
+let loaded = false; // until then the vault counts as locked
+
+// Record writes fail until initVault() knows whether they must be encrypted
+setRecordCodec(VAULT_LOCKED);
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+function toBase64(bytes) {
+  let binary = '';
+  bytes.forEach(b => { binary += String.fromCharCode(b); });
+  return btoa(binary);
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+}
+
+// 512 derived bits: the first half keys AES-GCM, the second half HMAC (for blinding URL keys)
+async function importKeys(raw) {
+  return {
+    raw,
+    aes: await crypto.subtle.importKey('raw', raw.slice(0, 32), 'AES-GCM', false, ['encrypt', 'decrypt']),
+    hmac: await crypto.subtle.importKey('raw', raw.slice(32), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']),
+  };
+}
+
+async function deriveKeys(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, material, 512);
+  return importKeys(new Uint8Array(bits));
+}
+
+async function encryptValue(value, withKeys) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, withKeys.aes, encoder.encode(JSON.stringify(value)));
+  return { iv: toBase64(iv), data: toBase64(new Uint8Array(data)) };
+}
+
+async function decryptValue(blob, withKeys) {
+  const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(blob.iv) }, withKeys.aes, fromBase64(blob.data));
+  return JSON.parse(decoder.decode(data));
+}
+
+async function blindKey(key, withKeys) {
+  const mac = new Uint8Array(await crypto.subtle.sign('HMAC', withKeys.hmac, encoder.encode(key)));
+  return [...mac].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function codecFor(withKeys) {
+  return {
+    encrypt: value => encryptValue(value, withKeys),
+    decrypt: blob => decryptValue(blob, withKeys),
+    blind: key => blindKey(key, withKeys),
+  };
+}
+
+function applyCodec() {
+  setRecordCodec(!config?.enabled ? null : keys ? codecFor(keys) : VAULT_LOCKED);
+}
+
+async function startSession(next) {
+  keys = next;
+  await chrome.storage.session.set({ [SESSION_KEY]: toBase64(next.raw) });
+  applyCodec();
+}
+
+// Derive from the passphrase and prove it against the stored check value
+async function keysFromPassphrase(passphrase) {
+  if (!config?.enabled) throw new Error('The vault is not enabled.');
+  const candidate = await deriveKeys(passphrase || '', fromBase64(config.salt), config.iterations);
+  const check = await decryptValue(config.check, candidate).catch(() => null);
+  if (check !== CHECK_TEXT) throw new Error('Wrong passphrase.');
+  return candidate;
+}
+
+// Rewrite the local keys from one encoding to another (null = plaintext)
+async function reencodeLocal(fromKeys, toKeys) {
+  for (const key of ENCRYPTED_LOCAL_KEYS) {
+    const { [key]: stored } = await chrome.storage.local.get(key);
+    if (stored === undefined) continue;
+    const value = stored?.vault ? (fromKeys ? await decryptValue(stored.vault, fromKeys) : undefined) : stored;
+    if (value === undefined) continue;
+    await chrome.storage.local.set({ [key]: toKeys ? { vault: await encryptValue(value, toKeys) } : value });
+  }
+}
+
+// Load the config and, within the same browser session, the key from before a service worker restart
+export function initVault() {
+  loading = loadVault();
+  return loading;
+}
+
+async function loadVault() {
+  const { [VAULT_CONFIG_KEY]: saved } = await chrome.storage.local.get(VAULT_CONFIG_KEY);
+  config = saved?.enabled ? saved : null;
+  keys = null;
+  if (config) {
+    const { [SESSION_KEY]: raw } = await chrome.storage.session.get(SESSION_KEY);
+    if (raw) keys = await importKeys(fromBase64(raw));
+  }
+  loaded = true;
+  applyCodec();
+  return getVaultStatus();
+}
+
+export function getVaultStatus() {
+  return {
+    enabled: !!config?.enabled,
+    locked: !!config?.enabled && !keys,
+    autoLockMinutes: clampAutoLock(config?.autoLockMinutes ?? DEFAULT_AUTO_LOCK_MINUTES), // configs saved before the cap
+  };
+}
+
+export function isVaultLocked() {
+  return !loaded || (!!config?.enabled && !keys);
+}
+
+export async function enableVault(passphrase, { autoLockMinutes = DEFAULT_AUTO_LOCK_MINUTES } = {}) {
+  if (config?.enabled) throw new Error('The vault is already enabled.');
+  if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`Use a passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters.`);
+  }
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const next = await deriveKeys(passphrase, salt, PBKDF2_ITERATIONS);
+
+  // Encrypt what's stored before the config says so: an interruption leaves readable plaintext rows
+  await reencodeStores(null, codecFor(next));
+  await reencodeLocal(null, next);
+
+  config = {
+    enabled: true,
+    salt: toBase64(salt),
+    iterations: PBKDF2_ITERATIONS,
+    check: await encryptValue(CHECK_TEXT, next),
+    autoLockMinutes: clampAutoLock(autoLockMinutes),
+  };
+  await chrome.storage.local.set({ [VAULT_CONFIG_KEY]: config });
+  await startSession(next);
+}
+
+export async function disableVault(passphrase) {
+  const current = await keysFromPassphrase(passphrase);
+  await reencodeStores(codecFor(current), null);
+  await reencodeLocal(current, null);
+  config = null;
+  keys = null;
+  await chrome.storage.local.remove(VAULT_CONFIG_KEY);
+  await chrome.storage.session.remove(SESSION_KEY);
+  applyCodec();
+}
+
+export async function unlockVault(passphrase) {
+  await startSession(await keysFromPassphrase(passphrase));
+}
+
+export async function lockVault() {
+  keys = null;
+  await chrome.storage.session.remove(SESSION_KEY);
+  applyCodec();
+}
+
+export async function setAutoLockMinutes(minutes) {
+  if (!config?.enabled) return getVaultStatus();
+  config = { ...config, autoLockMinutes: clampAutoLock(minutes) };
+  await chrome.storage.local.set({ [VAULT_CONFIG_KEY]: config });
+  return getVaultStatus();
+}
+
+// chrome.storage.local access for ENCRYPTED_LOCAL_KEYS: sealed while the vault is on,
+// `fallback` while it's locked
+export async function readLocal(key, fallback) {
+  await loading;
+  const { [key]: stored } = await chrome.storage.local.get(key);
+  if (stored === undefined) return fallback;
+  if (!stored?.vault) return stored;
+  if (!keys) return fallback;
+  return decryptValue(stored.vault, keys).catch(err => {
+    console.error(`[Vault] ❌ Could not decrypt ${key}:`, err);
+    return fallback;
+  });
+}
+
+export async function writeLocal(key, value) {
+  await loading;
+  if (!loaded) throw new Error('The vault is not loaded yet.');
+  if (!config?.enabled) return chrome.storage.local.set({ [key]: value });
+  if (!keys) throw new Error('The vault is locked.');
+  return chrome.storage.local.set({ [key]: { vault: await encryptValue(value, keys) } });
+}
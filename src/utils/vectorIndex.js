@@ -0,0 +1,97 @@
+// src/utils/vectorIndex.js
+// Local vector index over page summaries and raw-text chunks, keyed by URL.
+import { loadEmbeddings, saveEmbedding, deleteEmbedding } from './storage.js';
+import { dotSimilarity, EMBEDDING_MODEL } from './embeddings.js';
+import { getProvider } from './providers/index.js';
+import { chunkText } from './textUtils.js';
+
+const CHUNK_SIZE = 1000;
+const MAX_CHUNKS_PER_PAGE = 8;
+const MIN_SIMILARITY = 0.2;
+
+// url -> { url, model, vectors: [{ kind: 'summary' | 'chunk', vector }], indexedAt }
+// Vectors from different embedding models aren't comparable, so each entry records its model.
+const index = new Map();
+
+export async function initVectorIndex() {
+  const entries = await loadEmbeddings();
+  index.clear();
+  entries.forEach(entry => index.set(entry.url, entry));
+  console.log(`[VectorIndex] Loaded ${entries.length} indexed page(s).`);
+}
+
+// Embed a page's summary and the first chunks of its raw text
+export async function indexPage({ url, title, tabNote, rawText }) {
+  if (!url?.startsWith('http')) return;
+
+  const summaryText = [title, tabNote].filter(Boolean).join('\n');
+  const chunks = chunkText(rawText, CHUNK_SIZE).slice(0, MAX_CHUNKS_PER_PAGE);
+  const texts = [summaryText, ...chunks].filter(t => t.trim());
+  if (texts.length === 0) return;
+
+  try {
+    const provider = getProvider('embed');
+    const vectors = await provider.embed(texts);
+    const entry = {
+      url,
+      model: provider.embeddingModelId,
+      vectors: vectors.map((vector, i) => ({ kind: i === 0 && summaryText ? 'summary' : 'chunk', vector })),
+      indexedAt: Date.now(),
+    };
+    index.set(url, entry);
+    await saveEmbedding(entry);
+    console.log(`[VectorIndex] 📐 Indexed ${texts.length} vector(s) for ${url}`);
+  } catch (err) {
+    console.warn(`[VectorIndex] ⚠️ Could not index ${url}:`, err);
+  }
+}
+
+// Top-k pages by cosine similarity (best-matching vector per page).
+// `allowedUrls` (a Set) restricts results to pages that passed the query's filters.
+export async function searchVectorIndex(query, k = 10, allowedUrls = null, minScore = MIN_SIMILARITY) {
+  if (!query?.trim() || index.size === 0) return [];
+
+  const provider = getProvider('embed');
+  const [queryVector] = await provider.embed([query]);
+  const scored = [];
+  index.forEach(entry => {
+    if (allowedUrls && !allowedUrls.has(entry.url)) return;
+    // Entries from before per-model tagging were made with the bundled model
+    if ((entry.model || EMBEDDING_MODEL) !== provider.embeddingModelId) return;
+    let best = -1;
+    entry.vectors.forEach(({ vector }) => {
+      best = Math.max(best, dotSimilarity(queryVector, vector));
+    });
+    scored.push({ url: entry.url, score: best });
+  });
+
+  return scored
+    .filter(s => s.score >= minScore)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, k);
+}
+
+export async function removePageVectors(url) {
+  if (!index.delete(url)) return;
+  await deleteEmbedding(url);
+}
+
+// Keep only the summary vector once a page's raw text has been dropped
+export async function dropChunkVectors(url) {
+  const entry = index.get(url);
+  if (!entry?.vectors.some(v => v.kind === 'chunk')) return;
+  entry.vectors = entry.vectors.filter(v => v.kind === 'summary');
+  if (entry.vectors.length === 0) return removePageVectors(url);
+  await saveEmbedding(entry);
+}
+
+// Pages and approximate stored bytes (vectors are arrays of 8-byte numbers)
+export function getVectorIndexSize() {
+  let floats = 0;
+  index.forEach(entry => entry.vectors.forEach(({ vector }) => { floats += vector.length; }));
+  return { pages: index.size, bytes: floats * 8 };
+}
+
+export function hasPageVectors(url) {
+  return index.has(url);
+}
@@ -0,0 +1,106 @@
+// test/httpSyncBackend.test.mjs
+// The WebDAV / HTTP sync backend against scripts/sync-server.mjs: conditional writes, the
+// last-writer-wins merge between two devices, and file names that try to leave the data directory.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, readdir } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createSyncServer } from '../scripts/sync-server.mjs';
+import { createHttpBackend } from '../src/utils/sync/httpBackend.js';
+import { createChromeMock } from './mocks/chrome.mjs';
+
+// The server logs every PUT
+console.log = () => {};
+console.error = () => {};
+
+let directory;
+let server;
+let baseUrl;
+
+before(async () => {
+  directory = await mkdtemp(join(tmpdir(), 'tabrix-sync-'));
+  server = createSyncServer(directory);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+  await rm(directory, { recursive: true, force: true });
+});
+
+test('refuses writes made against a stale ETag', async () => {
+  const backend = createHttpBackend({ url: `${baseUrl}/etag.json` });
+  const record = { 'page:https://a.example/': { at: 1, device: 'a', data: { title: 'A' } } };
+
+  assert.deepEqual(await backend.read(), { replica: {}, version: null });
+  await backend.write(record, null, 'a');
+  // A second "first upload" must not overwrite the first one
+  await assert.rejects(backend.write({}, null, 'b'), { code: 'conflict', status: 412 });
+
+  const { replica, version } = await backend.read();
+  assert.deepEqual(replica, record);
+  assert.match(version, /^".+"$/);
+  await backend.write({}, version, 'a');
+  await assert.rejects(backend.write(record, version, 'b'), { code: 'conflict', status: 412 });
+  assert.deepEqual((await backend.read()).replica, {});
+});
+
+test('merges two devices record by record, the later write winning', async () => {
+  // Two devices, each with their own chrome.storage, sharing one sync file. sync/index.js holds the
+  // device id in module state, so each device gets its own instance of it.
+  const devices = await Promise.all(['a', 'b'].map(async (id) => {
+    const chrome = createChromeMock({ syncDeviceId: `device-${id}` });
+    globalThis.chrome = chrome;
+    const sync = await import(`../src/utils/sync/index.js?device=${id}`);
+    await sync.loadSyncSettings();
+    return { chrome, sync, pages: {} };
+  }));
+  const { initVault } = await import('../src/utils/vault.js');
+  await initVault();
+
+  const backend = createHttpBackend({ url: `${baseUrl}/` });
+  const syncDevice = async (device) => {
+    globalThis.chrome = device.chrome;
+    return device.sync.syncWith(backend, {
+      collect: async () => ({ ...device.pages }),
+      apply: async ({ upserts, deletes }) => {
+        upserts.forEach(([key, data]) => { device.pages[key] = data; });
+        deletes.forEach(key => { delete device.pages[key]; });
+      },
+    });
+  };
+  const [a, b] = devices;
+
+  a.pages['page:one'] = { title: 'One' };
+  a.pages['page:two'] = { title: 'Two' };
+  assert.deepEqual(await syncDevice(a), { pulled: 0, pushed: 2, dropped: 0 });
+  assert.deepEqual(await syncDevice(b), { pulled: 2, pushed: 0, dropped: 0 });
+  assert.deepEqual(b.pages, a.pages);
+
+  // Both edit "one"; b does so later. a also deletes "two", b adds "three".
+  a.pages['page:one'] = { title: 'One, edited on a' };
+  delete a.pages['page:two'];
+  await syncDevice(a);
+  await new Promise(resolve => setTimeout(resolve, 5));
+  b.pages['page:one'] = { title: 'One, edited on b' };
+  b.pages['page:three'] = { title: 'Three' };
+  await syncDevice(b);
+  await syncDevice(a);
+
+  const expected = { 'page:one': { title: 'One, edited on b' }, 'page:three': { title: 'Three' } };
+  assert.deepEqual(a.pages, expected);
+  assert.deepEqual(b.pages, expected);
+  assert.deepEqual(await readdir(directory), ['ai-tabrix-sync.json', 'etag.json']);
+});
+
+test('rejects file names that escape the data directory', async () => {
+  for (const path of ['/..%2Fescaped.json', '/%2e%2e%2Fescaped.json', '/..%5Cescaped.json', '/%E0%A4%A']) {
+    const put = await fetch(`${baseUrl}${path}`, { method: 'PUT', body: '{}' });
+    assert.equal(put.status, 400, path);
+    assert.equal((await fetch(`${baseUrl}${path}`)).status, 400, path);
+  }
+  assert.deepEqual((await readdir(join(directory, '..'))).filter(name => name === 'escaped.json'), []);
+});
@@ -0,0 +1,32 @@
+// test/mocks/chrome.mjs
+// In-memory chrome.storage areas (local, session, sync), enough for modules that only persist settings and state.
+
+function createStorageArea(initial = {}) {
+  const items = structuredClone(initial);
+  const pick = (keys) => {
+    if (keys == null) return structuredClone(items);
+    const list = typeof keys === 'string' ? [keys] : Array.isArray(keys) ? keys : Object.keys(keys);
+    return Object.fromEntries(list.filter(key => key in items).map(key => [key, structuredClone(items[key])]));
+  };
+  return {
+    async get(keys) {
+      return pick(keys);
+    },
+    async set(values) {
+      Object.assign(items, structuredClone(values));
+    },
+    async remove(keys) {
+      [].concat(keys).forEach(key => { delete items[key]; });
+    },
+  };
+}
+
+export function createChromeMock(local = {}) {
+  return {
+    storage: {
+      local: createStorageArea(local),
+      session: createStorageArea(),
+      sync: createStorageArea(),
+    },
+  };
+}
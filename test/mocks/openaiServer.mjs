@@ -0,0 +1,55 @@
+// test/mocks/openaiServer.mjs
+// A local stand-in for an OpenAI-compatible server (Ollama, llama.cpp, …) for the endpoint provider's tests.
+// Answers /v1/models, /v1/chat/completions and /v1/embeddings, checks the bearer key when one is set,
+// and with `hang` never answers at all. Every request is recorded for assertions.
+import { createServer } from 'node:http';
+
+export async function startMockOpenAIServer({ apiKey = null, hang = false } = {}) {
+  const requests = [];
+
+  const server = createServer(async (req, res) => {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const body = chunks.length ? JSON.parse(Buffer.concat(chunks).toString()) : null;
+    requests.push({ method: req.method, path: req.url, headers: req.headers, body });
+    if (hang) return;
+
+    const send = (status, data) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(data));
+    };
+    if (apiKey && req.headers.authorization !== `Bearer ${apiKey}`) {
+      return send(401, { error: { message: 'Invalid API key', type: 'invalid_request_error' } });
+    }
+
+    if (req.method === 'GET' && req.url === '/v1/models') {
+      return send(200, { object: 'list', data: [{ id: 'mock-chat', object: 'model' }] });
+    }
+    if (req.method === 'POST' && req.url === '/v1/chat/completions') {
+      if (body.response_format && body.model === 'no-json-schema') return send(400, { error: { message: 'response_format not supported' } });
+      const last = body.messages[body.messages.length - 1].content;
+      return send(200, {
+        choices: [{ index: 0, message: { role: 'assistant', content: ` reply ${body.messages.length}: ${last} ` } }],
+      });
+    }
+    if (req.method === 'POST' && req.url === '/v1/embeddings') {
+      // Length 2 along the axis of the text's length, returned out of order as some servers do
+      const data = body.input
+        .map((text, index) => ({ index, embedding: [0, 1, 2].map(axis => (axis === text.length ? 2 : 0)) }))
+        .reverse();
+      return send(200, { object: 'list', data });
+    }
+    send(404, { error: { message: `No route ${req.method} ${req.url}` } });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  return {
+    baseUrl: `http://127.0.0.1:${port}/v1`,
+    requests,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    }),
+  };
+}
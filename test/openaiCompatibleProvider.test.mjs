@@ -0,0 +1,100 @@
+// test/openaiCompatibleProvider.test.mjs
+// The OpenAI-compatible endpoint provider against a local mock server: success, auth errors, timeouts.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createOpenAICompatibleProvider } from '../src/utils/providers/openaiCompatibleProvider.js';
+import { startMockOpenAIServer } from './mocks/openaiServer.mjs';
+
+const MODELS = { chatModel: 'mock-chat', embeddingModel: 'mock-embed' };
+
+// The provider warns when the endpoint is unreachable; keep the test output clean
+console.warn = () => {};
+
+test('probes the endpoint with the API key', async (t) => {
+  const server = await startMockOpenAIServer({ apiKey: 'secret' });
+  t.after(server.close);
+  const provider = createOpenAICompatibleProvider({ baseUrl: `${server.baseUrl}/`, apiKey: 'secret', ...MODELS });
+
+  assert.equal(await provider.availability('summarize'), 'available');
+  assert.equal(server.requests[0].path, '/v1/models');
+  assert.equal(server.requests[0].headers.authorization, 'Bearer secret');
+});
+
+test('reports a missing URL or model as unconfigured without a request', async (t) => {
+  const server = await startMockOpenAIServer();
+  t.after(server.close);
+
+  assert.equal(await createOpenAICompatibleProvider({ baseUrl: '', ...MODELS }).availability('prompt'), 'unconfigured');
+  assert.equal(await createOpenAICompatibleProvider({ baseUrl: server.baseUrl, chatModel: 'mock-chat' }).availability('embed'), 'unconfigured');
+  assert.equal(server.requests.length, 0);
+});
+
+test('summarizes through chat completions', async (t) => {
+  const server = await startMockOpenAIServer();
+  t.after(server.close);
+  const provider = createOpenAICompatibleProvider({ baseUrl: server.baseUrl, ...MODELS });
+
+  const summary = await provider.getSummarizer({ type: 'key-points', length: 'short', format: 'markdown' })
+    .summarize('Some page text', { context: 'A news article' });
+
+  assert.equal(summary, 'reply 2: Some page text');
+  const { body } = server.requests[0];
+  assert.equal(body.model, 'mock-chat');
+  assert.match(body.messages[0].content, /3 key points/);
+  assert.match(body.messages[0].content, /Context: A news article/);
+});
+
+test('keeps the conversation of a session', async (t) => {
+  const server = await startMockOpenAIServer();
+  t.after(server.close);
+  const provider = createOpenAICompatibleProvider({ baseUrl: server.baseUrl, ...MODELS });
+
+  const session = provider.createSession({ initialPrompts: [{ role: 'system', content: 'Be brief.' }] });
+  await session.prompt('first');
+  const clone = await session.clone();
+  assert.equal(await session.prompt('second'), 'reply 4: second');
+  assert.deepEqual(server.requests[1].body.messages.map(m => m.role), ['system', 'user', 'assistant', 'user']);
+  assert.equal(await clone.prompt('other'), 'reply 4: other');
+});
+
+test('turns a rejected response schema into NotSupportedError', async (t) => {
+  const server = await startMockOpenAIServer();
+  t.after(server.close);
+  const provider = createOpenAICompatibleProvider({ baseUrl: server.baseUrl, chatModel: 'no-json-schema' });
+
+  await assert.rejects(
+    provider.createSession().prompt('tags?', { responseConstraint: { type: 'object' } }),
+    { name: 'NotSupportedError' },
+  );
+});
+
+test('returns unit embeddings in input order', async (t) => {
+  const server = await startMockOpenAIServer();
+  t.after(server.close);
+  const provider = createOpenAICompatibleProvider({ baseUrl: server.baseUrl, ...MODELS });
+
+  assert.deepEqual(await provider.embed(['a', 'bb']), [[0, 1, 0], [0, 0, 1]]);
+  assert.deepEqual(server.requests[0].body, { model: 'mock-embed', input: ['a', 'bb'] });
+  assert.deepEqual(await provider.embed([]), []);
+  assert.equal(server.requests.length, 1);
+});
+
+test('surfaces a rejected API key', async (t) => {
+  const server = await startMockOpenAIServer({ apiKey: 'secret' });
+  t.after(server.close);
+  const provider = createOpenAICompatibleProvider({ baseUrl: server.baseUrl, apiKey: 'wrong', ...MODELS });
+
+  assert.equal(await provider.availability('summarize'), 'unavailable');
+  await assert.rejects(
+    provider.getSummarizer({ type: 'tldr', length: 'short' }).summarize('text'),
+    (err) => err.status === 401 && /returned 401: .*Invalid API key/.test(err.message),
+  );
+});
+
+test('gives up on a server that never answers', async (t) => {
+  const server = await startMockOpenAIServer({ hang: true });
+  t.after(server.close);
+  const provider = createOpenAICompatibleProvider({ baseUrl: server.baseUrl, ...MODELS, timeoutMs: 200 });
+
+  await assert.rejects(provider.embed(['text']), /\/embeddings timed out after 0.2s/);
+});
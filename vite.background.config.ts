@@ -0,0 +1,45 @@
+// vite.background.config.ts
+// Second build pass (after vite.config.ts): bundles the service worker with its dependencies
+// (transformers.js, onnxruntime-web, whose .wasm is emitted as an asset), which a worker can't resolve
+// as bare imports, and completes dist/ as a loadable extension: manifest, icons, content scripts, the model.
+import { defineConfig, type Plugin } from 'vite';
+import { cpSync, existsSync } from 'fs';
+import path from 'path';
+
+const MODEL_DIR = 'models/Xenova/all-MiniLM-L6-v2';
+
+function copyExtensionFiles(): Plugin {
+  const copy = (from: string, to: string) => cpSync(path.resolve(__dirname, from), path.resolve(__dirname, 'dist', to), { recursive: true });
+  return {
+    name: 'copy-extension-files',
+    closeBundle() {
+      if (!existsSync(path.resolve(__dirname, MODEL_DIR))) {
+        throw new Error(`${MODEL_DIR} is missing: run node scripts/fetch-model.mjs first`);
+      }
+      copy('manifest.json', 'manifest.json');
+      copy('icons', 'icons');
+      copy('src/content', 'src/content');
+      copy(MODEL_DIR, MODEL_DIR);
+    },
+  };
+}
+
+export default defineConfig({
+  plugins: [copyExtensionFiles()],
+  // The popup and side panel build has already filled dist/
+  publicDir: false,
+  build: {
+    outDir: 'dist',
+    emptyOutDir: false,
+    rollupOptions: {
+      input: path.resolve(__dirname, 'src/background/background.js'),
+      output: {
+        format: 'es',
+        // Same path as in manifest.json
+        entryFileNames: 'src/background/background.js',
+        // Service workers can't import() at runtime, so no split chunks
+        inlineDynamicImports: true,
+      },
+    },
+  },
+});